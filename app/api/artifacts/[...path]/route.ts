@@ -1,44 +1,127 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { readFile, stat } from 'fs/promises'
+import { createReadStream } from 'fs'
+import { stat } from 'fs/promises'
 import path from 'path'
+import { requireRole } from '@/lib/auth'
 
 const ARTIFACTS_DIR = path.join(process.cwd(), 'artifacts')
 
 const MIME_TYPES: Record<string, string> = {
   '.mp4': 'video/mp4',
-  '.log': 'text/plain',
-  '.txt': 'text/plain',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.log': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.yaml': 'application/yaml; charset=utf-8',
+  '.yml': 'application/yaml; charset=utf-8',
+  '.patch': 'text/x-diff; charset=utf-8',
+  '.diff': 'text/x-diff; charset=utf-8',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
-  '.json': 'application/json',
+  '.json': 'application/json; charset=utf-8',
 }
 
-export async function GET(
-  request: NextRequest,
-  { params }: { params: Promise<{ path: string[] }> }
-) {
+// Recordings and thumbnails don't change once written; logs grow while a run is active,
+// so they are always revalidated (cheap with the ETag)
+const CACHEABLE = /\.(mp4|webm|mov|png|jpe?g)$/i
+
+type Params = { params: Promise<{ path: string[] }> }
+
+// `bytes=a-b`, `bytes=a-` or `bytes=-n` → inclusive byte range; null when unsatisfiable;
+// undefined when absent or not a single range (the whole file is sent)
+function parseRange(header: string | null, size: number): { start: number; end: number } | null | undefined {
+  const match = header?.match(/^bytes=(\d*)-(\d*)$/)
+  if (!match || (!match[1] && !match[2])) return undefined
+  let start: number
+  let end: number
+  if (!match[1]) {
+    start = Math.max(0, size - parseInt(match[2], 10))
+    end = size - 1
+  } else {
+    start = parseInt(match[1], 10)
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1
+  }
+  return start > end || start >= size ? null : { start, end }
+}
+
+// Node stream → web stream, reading only as fast as the client takes it
+function streamFile(filePath: string, start: number, end: number): ReadableStream<Uint8Array> {
+  const file = createReadStream(filePath, { start, end })
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      file.on('data', (chunk) => {
+        controller.enqueue(new Uint8Array(chunk as Buffer))
+        if ((controller.desiredSize ?? 1) <= 0) file.pause()
+      })
+      file.on('end', () => controller.close())
+      file.on('error', (err) => controller.error(err))
+    },
+    pull() {
+      file.resume()
+    },
+    cancel() {
+      file.destroy()
+    },
+  })
+}
+
+async function serve(request: NextRequest, { params }: Params, withBody: boolean) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
   const segments = (await params).path
   const filePath = path.join(ARTIFACTS_DIR, ...segments)
 
   // Prevent directory traversal
-  if (!filePath.startsWith(ARTIFACTS_DIR)) {
+  if (!filePath.startsWith(ARTIFACTS_DIR + path.sep)) {
     return NextResponse.json({ error: 'Forbidden' }, { status: 403 })
   }
 
+  let info
   try {
-    await stat(filePath)
-    const data = await readFile(filePath)
-    const ext = path.extname(filePath).toLowerCase()
-    const contentType = MIME_TYPES[ext] || 'application/octet-stream'
-
-    return new NextResponse(data, {
-      headers: {
-        'Content-Type': contentType,
-        'Content-Disposition': ext === '.mp4' ? 'inline' : `inline; filename="${path.basename(filePath)}"`,
-      },
-    })
+    info = await stat(filePath)
   } catch {
     return NextResponse.json({ error: 'Not found' }, { status: 404 })
   }
+  if (!info.isFile()) {
+    return NextResponse.json({ error: 'Not found' }, { status: 404 })
+  }
+
+  const ext = path.extname(filePath).toLowerCase()
+  const etag = `"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`
+  const headers: Record<string, string> = {
+    'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+    'Content-Disposition': ext === '.mp4' ? 'inline' : `inline; filename="${path.basename(filePath)}"`,
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': info.mtime.toUTCString(),
+    'Cache-Control': CACHEABLE.test(ext) ? 'private, max-age=86400' : 'no-cache',
+  }
+
+  const ifNoneMatch = request.headers.get('if-none-match')
+  if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag))) {
+    return new NextResponse(null, { status: 304, headers })
+  }
+
+  // A Range only applies while the client's copy is current (If-Range)
+  const ifRange = request.headers.get('if-range')
+  const range = ifRange && ifRange !== etag ? undefined : parseRange(request.headers.get('range'), info.size)
+  if (range === null) {
+    return new NextResponse(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${info.size}` } })
+  }
+
+  const { start, end } = range || { start: 0, end: info.size - 1 }
+  headers['Content-Length'] = String(info.size === 0 ? 0 : end - start + 1)
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${info.size}`
+  const body = withBody && info.size > 0 ? streamFile(filePath, start, end) : null
+  return new NextResponse(body, { status: range ? 206 : 200, headers })
+}
+
+export async function GET(request: NextRequest, context: Params) {
+  return serve(request, context, true)
+}
+
+export async function HEAD(request: NextRequest, context: Params) {
+  return serve(request, context, false)
 }
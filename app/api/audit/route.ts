@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { openReadonlyDB } from '@/lib/queue-db'
+import { requireRole } from '@/lib/auth'
+
+export const dynamic = 'force-dynamic'
+
+// GET /api/audit?limit=50&offset=0&actor= — audited actions, newest first (admins only)
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'admin')
+  if (auth instanceof NextResponse) return auth
+
+  const params = request.nextUrl.searchParams
+  const limit = Math.min(parseInt(params.get('limit') || '50', 10) || 50, 500)
+  const offset = parseInt(params.get('offset') || '0', 10) || 0
+  const actor = params.get('actor')
+
+  let db: ReturnType<typeof openReadonlyDB> | null = null
+  try {
+    db = openReadonlyDB()
+    const entries = actor
+      ? db.prepare('SELECT * FROM audit_log WHERE actor = ? ORDER BY id DESC LIMIT ? OFFSET ?').all(actor, limit, offset)
+      : db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ? OFFSET ?').all(limit, offset)
+    return NextResponse.json({ entries })
+  } catch (error) {
+    // No audit_log table until the worker has applied migration 016
+    return NextResponse.json({ entries: [], error: error instanceof Error ? error.message : String(error) })
+  } finally {
+    if (db) try { db.close() } catch {}
+  }
+}
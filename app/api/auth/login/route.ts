@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { clientAddress, lockedOut, setSessionCookie, signIn } from '@/lib/auth'
+
+// POST /api/auth/login — { username, password } from the users file, or { token } (DASHBOARD_TOKEN)
+export async function POST(request: NextRequest) {
+  let body: { username?: string; password?: string; token?: string }
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON' }, { status: 400 })
+  }
+
+  const name = body.token !== undefined ? 'token' : String(body.username || '').trim()
+  const client = clientAddress(request)
+  if (lockedOut(name, client)) {
+    return NextResponse.json({ error: 'Too many failed attempts — try again in a minute' }, { status: 429 })
+  }
+  const session = signIn(body, client)
+  if (!session) {
+    console.warn(`🚫 Failed sign-in for ${name || '(no username)'} from ${client}`)
+    return NextResponse.json({ error: body.token !== undefined ? 'Wrong token' : 'Wrong username or password' }, { status: 401 })
+  }
+
+  console.log(`🔑 ${session.user} signed in (${session.role}, ${session.method})`)
+  const response = NextResponse.json({ user: session.user, role: session.role })
+  setSessionCookie(response, request, session)
+  return response
+}
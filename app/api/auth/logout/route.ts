@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server'
+import { clearSessionCookie } from '@/lib/auth'
+
+// POST /api/auth/logout
+export async function POST() {
+  const response = NextResponse.json({ ok: true })
+  clearSessionCookie(response)
+  return response
+}
@@ -0,0 +1,40 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authSettings, baseUrl, newSession, readSignedValue, safeNext, setSessionCookie } from '@/lib/auth'
+import { OIDC_COOKIE, exchangeCode, roleFromClaims, userFromClaims } from '@/lib/oidc'
+
+export const dynamic = 'force-dynamic'
+
+// GET /api/auth/oidc/callback?code=&state= — the provider sends the browser back here
+export async function GET(request: NextRequest) {
+  const settings = authSettings()
+  const params = request.nextUrl.searchParams
+  const fail = (message: string) => {
+    const response = NextResponse.redirect(`${baseUrl(request)}/login?error=${encodeURIComponent(message)}`)
+    response.cookies.set(OIDC_COOKIE, '', { path: '/api/auth/oidc', maxAge: 0 })
+    return response
+  }
+
+  if (!settings.oidc) return fail('Single sign-on is not configured')
+  if (params.get('error')) return fail(`Sign-on provider: ${params.get('error_description') || params.get('error')}`)
+  const pending = readSignedValue<{ state: string; nonce: string; next?: string; exp: number }>(request.cookies.get(OIDC_COOKIE)?.value)
+  const code = params.get('code')
+  if (!pending || !code || params.get('state') !== pending.state) return fail('Sign-on expired or was started elsewhere — try again')
+
+  try {
+    const claims = await exchangeCode(settings.oidc, code, `${baseUrl(request)}/api/auth/oidc/callback`, pending.nonce)
+    const user = userFromClaims(claims)
+    const role = roleFromClaims(settings.oidc, claims)
+    if (!role) {
+      console.warn(`🚫 ${user} signed on but has no dashboard role`)
+      return fail(`${user} has no access to this dashboard`)
+    }
+    console.log(`🔑 ${user} signed in (${role}, oidc)`)
+    const response = NextResponse.redirect(`${baseUrl(request)}${safeNext(pending.next)}`)
+    response.cookies.set(OIDC_COOKIE, '', { path: '/api/auth/oidc', maxAge: 0 })
+    setSessionCookie(response, request, newSession(user, role, 'oidc', settings))
+    return response
+  } catch (error) {
+    console.error('❌ OIDC sign-in failed:', error)
+    return fail('Sign-on failed — see the dashboard log')
+  }
+}
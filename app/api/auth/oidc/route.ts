@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { randomBytes } from 'crypto'
+import { authSettings, baseUrl, safeNext, signValue } from '@/lib/auth'
+import { OIDC_COOKIE, authorizationUrl } from '@/lib/oidc'
+
+export const dynamic = 'force-dynamic'
+
+// GET /api/auth/oidc?next=/path — start single sign-on: off to the provider, back at /api/auth/oidc/callback
+export async function GET(request: NextRequest) {
+  const { oidc } = authSettings()
+  if (!oidc) {
+    return NextResponse.json({ error: 'Single sign-on is not configured (auth.oidc)' }, { status: 404 })
+  }
+
+  const state = randomBytes(16).toString('base64url')
+  const nonce = randomBytes(16).toString('base64url')
+  try {
+    const url = await authorizationUrl(oidc, `${baseUrl(request)}/api/auth/oidc/callback`, state, nonce)
+    const response = NextResponse.redirect(url)
+    // Ties the callback to this browser; only good for the round trip
+    response.cookies.set(OIDC_COOKIE, signValue({
+      state, nonce, next: safeNext(request.nextUrl.searchParams.get('next')), exp: Date.now() + 10 * 60 * 1000,
+    }), {
+      httpOnly: true,
+      sameSite: 'lax',
+      path: '/api/auth/oidc',
+      maxAge: 600,
+    })
+    return response
+  } catch (error) {
+    console.error('❌ OIDC discovery failed:', error)
+    return NextResponse.redirect(`${baseUrl(request)}/login?error=${encodeURIComponent('Could not reach the sign-on provider')}`)
+  }
+}
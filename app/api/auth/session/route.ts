@@ -0,0 +1,15 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { authSettings, currentSession, loginMethods } from '@/lib/auth'
+
+export const dynamic = 'force-dynamic'
+
+// GET /api/auth/session — who is signed in (null if nobody), and how the login page can sign in
+export async function GET(request: NextRequest) {
+  const settings = authSettings()
+  const session = currentSession(request)
+  return NextResponse.json({
+    session: session && { user: session.user, role: session.role, method: session.method },
+    enabled: settings.enabled,
+    methods: loginMethods(settings),
+  })
+}
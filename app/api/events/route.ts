@@ -0,0 +1,92 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { openReadonlyDB } from '@/lib/queue-db'
+import { requireRole } from '@/lib/auth'
+
+export const dynamic = 'force-dynamic'
+
+const POLL_MS = 1000
+const HEARTBEAT_MS = 15000
+const BATCH = 200
+
+interface EventRow {
+  id: number
+  type: string
+  payload: string | null
+  created_at: string
+}
+
+// GET /api/events — Server-Sent Events tailing the worker's `events` table (see scripts/db.js).
+// Each message uses the event type as its SSE event name and the row id as its SSE id, so
+// a reconnecting EventSource resumes from Last-Event-ID instead of replaying everything.
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
+  let db: ReturnType<typeof openReadonlyDB>
+  let cursor: number
+  try {
+    db = openReadonlyDB()
+    const resumeFrom = request.headers.get('last-event-id') || request.nextUrl.searchParams.get('since')
+    cursor = resumeFrom && /^\d+$/.test(resumeFrom)
+      ? parseInt(resumeFrom, 10)
+      : ((db.prepare('SELECT MAX(id) as id FROM events').get() as { id: number | null }).id || 0)
+  } catch (error) {
+    return NextResponse.json({ error: `Event feed unavailable: ${String(error)}` }, { status: 503 })
+  }
+
+  const encoder = new TextEncoder()
+  let timer: ReturnType<typeof setInterval> | null = null
+  let closed = false
+
+  const cleanup = () => {
+    if (closed) return
+    closed = true
+    if (timer) clearInterval(timer)
+    try { db.close() } catch {}
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const nextEvents = db.prepare('SELECT id, type, payload, created_at FROM events WHERE id > ? ORDER BY id ASC LIMIT ?')
+      let lastWrite = Date.now()
+
+      const write = (chunk: string) => {
+        controller.enqueue(encoder.encode(chunk))
+        lastWrite = Date.now()
+      }
+
+      const poll = () => {
+        if (closed) return
+        try {
+          const rows = nextEvents.all(cursor, BATCH) as EventRow[]
+          for (const row of rows) {
+            const data = { ...JSON.parse(row.payload || '{}'), at: row.created_at.replace(' ', 'T') + 'Z' }
+            write(`id: ${row.id}\nevent: ${row.type}\ndata: ${JSON.stringify(data)}\n\n`)
+            cursor = row.id
+          }
+          if (Date.now() - lastWrite >= HEARTBEAT_MS) write(': ping\n\n')
+        } catch (error) {
+          write(`event: error\ndata: ${JSON.stringify({ message: String(error) })}\n\n`)
+          cleanup()
+          try { controller.close() } catch {}
+        }
+      }
+
+      write('retry: 3000\n\n')
+      timer = setInterval(poll, POLL_MS)
+      request.signal.addEventListener('abort', () => {
+        cleanup()
+        try { controller.close() } catch {} // already closed by the client
+      })
+    },
+    cancel: cleanup,
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  })
+}
@@ -1,6 +1,9 @@
-import { NextResponse } from 'next/server'
+import { NextRequest, NextResponse } from 'next/server'
 import { execFileSync } from 'child_process'
 import path from 'path'
+import { loadRoutingConfig } from '@/lib/routing-config'
+import { watchedRepos } from '@/scripts/repos'
+import { requireRole } from '@/lib/auth'
 
 const NODE_BIN = process.execPath
 const workerScript = path.join(process.cwd(), 'scripts', 'queue-worker.js')
@@ -13,14 +16,17 @@ const CACHE_TTL = 5 * 60 * 1000 // 5 min
 
 function getRepos(): string[] {
   if (repoCache && Date.now() - repoCache.ts < CACHE_TTL) return repoCache.repos
-  const repos: string[] = []
+  // Watched repos are listed even when they live outside OWNERS
+  const repos: string[] = watchedRepos(loadRoutingConfig()).map(r => r.name)
   for (const owner of OWNERS) {
     try {
       const raw = execFileSync('gh', [
         'repo', 'list', owner, '--limit', '50', '--json', 'nameWithOwner,hasIssuesEnabled',
         '-q', '.[] | select(.hasIssuesEnabled) | .nameWithOwner'
       ], { encoding: 'utf8' })
-      repos.push(...raw.trim().split('\n').filter(Boolean))
+      for (const name of raw.trim().split('\n').filter(Boolean)) {
+        if (!repos.some(r => r.toLowerCase() === name.toLowerCase())) repos.push(name)
+      }
     } catch {}
   }
   repos.sort()
@@ -28,7 +34,10 @@ function getRepos(): string[] {
   return repos
 }
 
-export async function GET(request: Request) {
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'operator')
+  if (auth instanceof NextResponse) return auth
+
   const { searchParams } = new URL(request.url)
   const repos = getRepos()
 
@@ -59,16 +68,19 @@ export async function GET(request: Request) {
 
     // Get currently tracked issue numbers from queue state
     const stateRaw = execFileSync(NODE_BIN, [workerScript, 'status'], { encoding: 'utf8' })
-    // Parse tracked numbers from the queue-state.json directly
+    // Parse tracked numbers for this repo from the queue-state.json directly
     let tracked = new Set<number>()
     try {
       const fs = require('fs')
       const statePath = path.join(process.cwd(), 'queue-state.json')
       const state = JSON.parse(fs.readFileSync(statePath, 'utf8'))
-      for (const item of state.queue || []) tracked.add(Number(item.issueNumber || item.number))
-      if (state.processing) tracked.add(Number(state.processing.issueNumber || state.processing.number))
-      for (const item of state.completed || []) tracked.add(Number(item.issueNumber || item.number))
-      for (const item of state.failed || []) tracked.add(Number(item.issueNumber || item.number))
+      const processing = Array.isArray(state.processing) ? state.processing : (state.processing ? [state.processing] : [])
+      const all = [...(state.queue || []), ...processing, ...(state.completed || []), ...(state.failed || []),
+        ...(state.pr_open || []), ...(state.merged || [])]
+      for (const item of all) {
+        if ((item.repo || '').toLowerCase() !== matchedRepo.toLowerCase()) continue
+        tracked.add(Number(item.issueNumber || item.number))
+      }
     } catch {}
 
     const result = issues.map((issue: any) => ({
@@ -1,11 +1,15 @@
 import { NextRequest, NextResponse } from 'next/server'
 import { execFileSync } from 'child_process'
 import path from 'path'
+import { requireRole } from '@/lib/auth'
 
 const NODE_BIN = process.execPath
 const DB_API = path.join(process.cwd(), 'scripts', 'db-api.js')
 
 export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
   try {
     const { searchParams } = new URL(request.url)
     const limit = searchParams.get('limit') || '50'
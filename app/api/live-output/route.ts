@@ -0,0 +1,126 @@
+import { NextRequest, NextResponse } from 'next/server'
+import fs from 'fs'
+import path from 'path'
+import { latestRunDir } from '@/scripts/artifacts'
+import { requireRole } from '@/lib/auth'
+
+export const dynamic = 'force-dynamic'
+
+const STATE_FILE = path.join(process.cwd(), 'queue-state.json')
+const POLL_MS = 500
+const STATUS_EVERY = 10 // polls between queue status checks
+
+// The worker rewrites queue-state.json whenever an item changes status. Items are keyed by
+// repo and issue number ('' for items tracked without a repo).
+function isProcessing(repo: string, issueNumber: number): boolean {
+  try {
+    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'))
+    const processing = Array.isArray(state.processing) ? state.processing : [state.processing].filter(Boolean)
+    return processing.some((item: { repo?: string; issueNumber?: number }) =>
+      (item.repo || '') === repo && item.issueNumber === issueNumber)
+  } catch {
+    return false
+  }
+}
+
+// The worker streams into ai-solution.partial.md and replaces it with ai-solution.md once complete
+function outputFile(runDir: string | null): string | null {
+  if (!runDir) return null
+  for (const name of ['ai-solution.partial.md', 'ai-solution.md']) {
+    const file = path.join(runDir, name)
+    if (fs.existsSync(file)) return file
+  }
+  return null
+}
+
+// GET /api/live-output?issue=123&repo=owner/name — Server-Sent Events following the model's output
+// in the issue's current run folder
+// Events: token { text }, reset (output restarted, e.g. a fallback provider), done
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
+  const issue = request.nextUrl.searchParams.get('issue') || ''
+  const repo = request.nextUrl.searchParams.get('repo') || ''
+  if (!/^-?\d+$/.test(issue)) {
+    return NextResponse.json({ error: 'issue query parameter is required' }, { status: 400 })
+  }
+  if (repo && !/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+    return NextResponse.json({ error: 'repo must be owner/name' }, { status: 400 })
+  }
+  const issueNumber = parseInt(issue, 10)
+
+  const encoder = new TextEncoder()
+  let timer: ReturnType<typeof setInterval> | null = null
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let file: string | null = null
+      let offset = 0
+      let decoder = new TextDecoder()
+      let polls = 0
+      let closed = false
+
+      const send = (event: string, data: unknown) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+      }
+
+      const close = () => {
+        if (closed) return
+        closed = true
+        if (timer) clearInterval(timer)
+        try { controller.close() } catch {} // already closed by the client
+      }
+
+      const poll = () => {
+        if (closed) return
+        try {
+          // The run folder appears once the worker starts the run
+          const current = outputFile(latestRunDir(repo, issueNumber))
+          if (current) {
+            const size = fs.statSync(current).size
+            if (current !== file || size < offset) {
+              // New attempt truncated the partial, or the final file replaced it — start over
+              if (file) send('reset', {})
+              file = current
+              offset = 0
+              decoder = new TextDecoder()
+            }
+            if (size > offset) {
+              const fd = fs.openSync(current, 'r')
+              const buf = Buffer.alloc(size - offset)
+              fs.readSync(fd, buf, 0, buf.length, offset)
+              fs.closeSync(fd)
+              offset = size
+              const text = decoder.decode(buf, { stream: true })
+              if (text) send('token', { text })
+            }
+          }
+
+          if (polls++ % STATUS_EVERY === 0 && !isProcessing(repo, issueNumber)) {
+            send('done', {})
+            close()
+          }
+        } catch (error) {
+          send('error', { message: String(error) })
+          close()
+        }
+      }
+
+      poll()
+      timer = setInterval(poll, POLL_MS)
+      request.signal.addEventListener('abort', close)
+    },
+    cancel() {
+      if (timer) clearInterval(timer)
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  })
+}
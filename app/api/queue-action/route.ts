@@ -2,30 +2,31 @@ import { NextRequest, NextResponse } from 'next/server'
 import { exec } from 'child_process'
 import { promisify } from 'util'
 import path from 'path'
-import fs from 'fs'
+import { LEVELS } from '@/scripts/priority'
+import { ACTION_ROLES, requireRole } from '@/lib/auth'
 
 const execAsync = promisify(exec)
 const NODE_BIN = process.execPath
 
-// Check if worker is already running via lock file
-function isWorkerRunning(): boolean {
-  const lockFile = path.join(process.cwd(), 'queue-worker.lock')
-  if (!fs.existsSync(lockFile)) return false
-  try {
-    const pid = parseInt(fs.readFileSync(lockFile, 'utf-8').trim(), 10)
-    if (isNaN(pid)) return false
-    process.kill(pid, 0) // throws if process doesn't exist
-    return true
-  } catch {
-    // Process not running, clean up stale lock
-    try { fs.unlinkSync(lockFile) } catch {}
-    return false
-  }
+// Items are addressed as owner/repo#123 (repo optional for items tracked without one).
+// Sub-tasks without a GitHub issue have negative numbers.
+function itemRef(payload: any): string | null {
+  const issueNumber = parseInt(payload?.issueNumber, 10)
+  if (!issueNumber) return null
+  const repo = typeof payload.repo === 'string' && /^[\w.-]+\/[\w.-]+$/.test(payload.repo) ? payload.repo : ''
+  return repo ? `${repo}#${issueNumber}` : String(issueNumber)
 }
 
 export async function POST(request: NextRequest) {
   try {
     const { action, payload } = await request.json()
+    if (!ACTION_ROLES[action]) {
+      return NextResponse.json({ error: 'Unknown action' }, { status: 400 })
+    }
+    const auth = requireRole(request, ACTION_ROLES[action])
+    if (auth instanceof NextResponse) return auth
+    // The worker records who ran the command in the audit log
+    const env = { ...process.env, QUEUE_ACTOR: auth.user, QUEUE_ACTOR_ROLE: auth.role }
     
     // Path to our local queue worker script
     const workerScript = path.join(process.cwd(), 'scripts', 'queue-worker.js')
@@ -39,15 +40,9 @@ export async function POST(request: NextRequest) {
         message = 'GitHub issues loaded into queue'
         break
       case 'process-one':
-        if (isWorkerRunning()) {
-          return NextResponse.json({
-            success: false,
-            action,
-            message: 'Worker is already running. Wait for it to finish or stop it first.'
-          }, { status: 409 })
-        }
+        // The worker only claims an item if its pipeline's resources have a free lane
         command = `"${NODE_BIN}" "${workerScript}" process`
-        message = 'Processing started with Ollama Llama 3.1 70B'
+        message = 'Processing next runnable item'
         break
       case 'cleanup':
         command = `"${NODE_BIN}" "${workerScript}" cleanup`
@@ -57,20 +52,24 @@ export async function POST(request: NextRequest) {
         command = `"${NODE_BIN}" "${workerScript}" status`
         message = 'Queue status retrieved'
         break
-      case 'remove':
-        if (!payload?.issueNumber) {
+      case 'remove': {
+        const ref = itemRef(payload)
+        if (!ref) {
           return NextResponse.json({ error: 'Missing issueNumber' }, { status: 400 })
         }
-        command = `"${NODE_BIN}" "${workerScript}" remove ${parseInt(payload.issueNumber)}`
-        message = `Issue #${payload.issueNumber} removed from queue`
+        command = `"${NODE_BIN}" "${workerScript}" remove "${ref}"`
+        message = `Issue ${ref} removed from queue`
         break
-      case 'retry':
-        if (!payload?.issueNumber) {
+      }
+      case 'retry': {
+        const ref = itemRef(payload)
+        if (!ref) {
           return NextResponse.json({ error: 'Missing issueNumber' }, { status: 400 })
         }
-        command = `"${NODE_BIN}" "${workerScript}" retry ${parseInt(payload.issueNumber)}`
-        message = `Issue #${payload.issueNumber} moved back to queue for retry`
+        command = `"${NODE_BIN}" "${workerScript}" retry "${ref}"`
+        message = `Issue ${ref} moved back to queue for retry`
         break
+      }
       case 'clear-all':
         command = `"${NODE_BIN}" "${workerScript}" clear-all`
         message = 'All queued items cleared'
@@ -79,20 +78,56 @@ export async function POST(request: NextRequest) {
         command = `"${NODE_BIN}" "${workerScript}" clear-history`
         message = 'Completed and failed history cleared'
         break
-      case 'cancel':
-        command = `"${NODE_BIN}" "${workerScript}" cancel`
-        message = 'Processing cancelled'
+      case 'cancel': {
+        const ref = itemRef(payload)
+        if (ref) {
+          command = `"${NODE_BIN}" "${workerScript}" cancel "${ref}"`
+          message = `Processing of issue ${ref} cancelled`
+        } else {
+          command = `"${NODE_BIN}" "${workerScript}" cancel`
+          message = 'Processing cancelled'
+        }
         break
-      case 'add-issue':
-        if (!payload?.issueNumber) {
+      }
+      case 'set-priority': {
+        const ref = itemRef(payload)
+        const priority = String(payload?.priority || '').toLowerCase()
+        if (!ref || !Object.keys(LEVELS).includes(priority)) {
+          return NextResponse.json({ error: `Need issueNumber and priority (${Object.keys(LEVELS).join(', ')})` }, { status: 400 })
+        }
+        command = `"${NODE_BIN}" "${workerScript}" set-priority "${ref}" ${priority}`
+        message = `Priority of issue ${ref} set to ${priority}`
+        break
+      }
+      case 'run-now': {
+        const ref = itemRef(payload)
+        if (!ref) {
           return NextResponse.json({ error: 'Missing issueNumber' }, { status: 400 })
         }
-        {
-          const repo = typeof payload.repo === 'string' ? payload.repo.replace(/[^a-zA-Z0-9\-_\/]/g, '') : ''
-          command = `"${NODE_BIN}" "${workerScript}" add-issue ${parseInt(payload.issueNumber)}${repo ? ` ${repo}` : ''}`
-          message = `Issue #${payload.issueNumber} added to queue`
+        command = `"${NODE_BIN}" "${workerScript}" run-now "${ref}"`
+        message = `Issue ${ref} will start on the next free lane, ignoring processing windows`
+        break
+      }
+      case 'reorder': {
+        // payload.items: queued items in the order they should run; [] clears the manual order
+        const items = Array.isArray(payload?.items) ? payload.items : null
+        const refs = items ? items.map(itemRef) : []
+        if (!items || refs.some((ref: string | null) => !ref)) {
+          return NextResponse.json({ error: 'Need items: [{ issueNumber, repo }]' }, { status: 400 })
+        }
+        command = `"${NODE_BIN}" "${workerScript}" reorder ${refs.map((ref: string) => `"${ref}"`).join(' ')}`
+        message = refs.length > 0 ? `Queue order saved for ${refs.length} item(s)` : 'Manual queue order cleared'
+        break
+      }
+      case 'add-issue': {
+        const ref = itemRef(payload)
+        if (!ref) {
+          return NextResponse.json({ error: 'Missing issueNumber' }, { status: 400 })
         }
+        command = `"${NODE_BIN}" "${workerScript}" add-issue "${ref}"`
+        message = `Issue ${ref} added to queue`
         break
+      }
       default:
         return NextResponse.json({ error: 'Unknown action' }, { status: 400 })
     }
@@ -101,7 +136,7 @@ export async function POST(request: NextRequest) {
     
     // For process-one, run in background since Ollama processing takes time
     if (action === 'process-one') {
-      execAsync(command).then(({ stdout }) => {
+      execAsync(command, { env }).then(({ stdout }) => {
         console.log('✅ Processing completed:', stdout)
       }).catch(error => {
         console.error('❌ Background processing error:', error)
@@ -110,11 +145,11 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ 
         success: true, 
         action,
-        message: 'Processing started with Llama 3.1 70B model...'
+        message: 'Processing started for the next item with a free lane...'
       })
     }
     
-    const { stdout, stderr } = await execAsync(command)
+    const { stdout, stderr } = await execAsync(command, { env })
     
     return NextResponse.json({ 
       success: true, 
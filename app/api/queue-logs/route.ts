@@ -1,10 +1,14 @@
-import { NextResponse } from 'next/server'
+import { NextRequest, NextResponse } from 'next/server'
 import fs from 'fs'
 import path from 'path'
+import { requireRole } from '@/lib/auth'
 
 const LOG_FILE = process.env.QUEUE_LOG_FILE || '/tmp/queue-worker.log'
 
-export async function GET() {
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
   try {
     if (!fs.existsSync(LOG_FILE)) {
       return NextResponse.json({ lines: [] })
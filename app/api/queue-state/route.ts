@@ -1,71 +1,99 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { readFile, readdir, stat } from 'fs/promises'
+import { readFile, readdir } from 'fs/promises'
 import { join } from 'path'
-import Database from 'better-sqlite3'
-
-const DB_PATH = join(process.cwd(), 'queue-history.db')
-
-function getDB() {
-  const db = new Database(DB_PATH, { readonly: true })
-  db.pragma('journal_mode = WAL')
-  return db
-}
+import { loadRoutingConfig } from '@/lib/routing-config'
+import { openReadonlyDB } from '@/lib/queue-db'
+import { latestRunDir, runDir, relativeDir } from '@/scripts/artifacts'
+import { requireRole } from '@/lib/auth'
+// The worker's own rules, so the dashboard can't drift from what it will do
+import { getBudgets } from '@/scripts/budget'
+import { BLOCKING_EDGES } from '@/scripts/dependencies'
+import { LEVELS, scoreSql, orderBySql } from '@/scripts/priority'
+import { getRetryPolicy } from '@/scripts/retry-policy'
+import { detectIssueType } from '@/scripts/routing'
+import { isOpen, nextOpen } from '@/scripts/windows'
 
 function parseLabels(labels: string | null): string[] {
   if (!labels) return []
   try { return JSON.parse(labels) } catch { return labels.split(',').map(s => s.trim()) }
 }
 
-async function getArtifacts(issueId: string, repo?: string) {
-  // Try namespaced path first (v2: artifacts/{owner}/{repo}/{issueId}), then legacy (artifacts/{issueId})
-  const paths = []
-  if (repo) {
-    paths.push(join(process.cwd(), 'artifacts', ...repo.split('/'), issueId))
-  }
-  // Also try scanning for any repo match
+// Recordings and viewable files in one run's folder (scripts/artifacts.js), plus its Maestro flows
+async function getArtifacts(artDir: string | null) {
+  if (!artDir) return undefined
   try {
-    const artBase = join(process.cwd(), 'artifacts')
-    const owners = await readdir(artBase)
-    for (const owner of owners) {
-      try {
-        const repos = await readdir(join(artBase, owner))
-        for (const r of repos) {
-          const candidate = join(artBase, owner, r, issueId)
-          try { await stat(candidate); paths.push(candidate) } catch {}
-        }
-      } catch {}
+    const files = await readdir(artDir)
+    const flows = files.includes('flows')
+      ? (await readdir(join(artDir, 'flows')).catch(() => [] as string[])).map((f: string) => `flows/${f}`)
+      : []
+    const recordings = files.filter((f: string) => /\.(mp4|mov|webm)$/i.test(f))
+    const logs = [...files, ...flows].filter((f: string) => /\.(log|txt|patch|diff|md|json|ya?ml)$/i.test(f))
+    if (recordings.length > 0 || logs.length > 0) {
+      const thumbnails: Record<string, RecordingThumbnails> = {}
+      for (const recording of recordings) {
+        const thumbs = await getThumbnails(artDir, recording)
+        if (thumbs) thumbnails[recording] = thumbs
+      }
+      return { dir: relativeDir(artDir), recordings, logs, thumbnails }
     }
   } catch {}
-  // Legacy path
-  paths.push(join(process.cwd(), 'artifacts', issueId))
-
-  for (const artDir of paths) {
-    try {
-      await stat(artDir)
-      const files = await readdir(artDir)
-      const recordings = files.filter((f: string) => /\.(mp4|mov|webm)$/i.test(f))
-      const logs = files.filter((f: string) => /\.(log|txt|patch|md|json)$/i.test(f))
-      if (recordings.length > 0 || logs.length > 0) {
-        const relDir = artDir.replace(process.cwd() + '/', '')
-        return { dir: relDir, recordings, logs }
-      }
-    } catch {}
-  }
   return undefined
 }
 
+type RecordingThumbnails = { poster: string | null; frames: Array<{ file: string; at: number }> }
+
+// Poster and timeline frames scripts/thumbnails.js wrote for a recording (thumbs/<name>/),
+// as paths relative to the run folder; frame-<ms>.jpg is the frame's offset into the video
+async function getThumbnails(artDir: string, recording: string): Promise<RecordingThumbnails | undefined> {
+  const rel = `thumbs/${recording.replace(/\.[^.]+$/, '')}`
+  const files = await readdir(join(artDir, rel)).catch(() => [] as string[])
+  const frames = files
+    .map((f: string) => ({ f, match: f.match(/^frame-(\d+)\.jpg$/) }))
+    .filter(({ match }) => match)
+    .map(({ f, match }) => ({ file: `${rel}/${f}`, at: parseInt(match![1], 10) / 1000 }))
+    .sort((a, b) => a.at - b.at)
+  const poster = files.includes('poster.jpg') ? `${rel}/poster.jpg` : null
+  return poster || frames.length > 0 ? { poster, frames } : undefined
+}
+
 export async function GET(request: NextRequest) {
-  let db: ReturnType<typeof getDB> | null = null
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
+  let db: ReturnType<typeof openReadonlyDB> | null = null
   try {
-    db = getDB()
+    db = openReadonlyDB()
+    const config = loadRoutingConfig()
 
-    // Queue items from SQLite (single source of truth)
+    // Queue items from SQLite (single source of truth), in the order the worker will claim them
     const queuedRows = db.prepare(
-      `SELECT * FROM queue_items WHERE status = 'queued' ORDER BY
-        CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END DESC, added_at ASC`
+      `SELECT *, ${scoreSql(config)} AS priority_score FROM queue_items WHERE status = 'queued'
+        ORDER BY ${orderBySql(config)}`
     ).all() as any[]
 
-    const processingRow = db.prepare("SELECT * FROM queue_items WHERE status = 'processing' LIMIT 1").get() as any
+    // Dependencies still holding queued items back
+    const blockingRows = db.prepare(
+      `SELECT dep.repo, dep.issue_number, dep.depends_on_repo, dep.depends_on_number, blocker.status,
+          blocker.parent_issue_number, blocker.subtask_index
+        ${BLOCKING_EDGES}
+        ORDER BY dep.depends_on_repo, dep.depends_on_number`
+    ).all() as any[]
+    const blockedBy: Record<string, Array<{
+      repo: string; issueNumber: number; status: string | null; parentIssueNumber: number | null; subtaskIndex: number | null
+    }>> = {}
+    for (const row of blockingRows) {
+      const key = `${row.repo}#${row.issue_number}`
+      if (!blockedBy[key]) blockedBy[key] = []
+      blockedBy[key].push({
+        repo: row.depends_on_repo,
+        issueNumber: row.depends_on_number,
+        status: row.status,
+        parentIssueNumber: row.parent_issue_number ?? null,
+        subtaskIndex: row.subtask_index ?? null,
+      })
+    }
+
+    const processingRows = db.prepare("SELECT * FROM queue_items WHERE status = 'processing' ORDER BY started_at ASC").all() as any[]
 
     // Historical data from runs table
     const recentCompleted = db.prepare(
@@ -80,37 +108,109 @@ export async function GET(request: NextRequest) {
       "SELECT * FROM queue_items WHERE status = 'pr_open' ORDER BY completed_at DESC LIMIT 50"
     ).all() as any[]
 
+    const needsInputRows = db.prepare(
+      "SELECT * FROM queue_items WHERE status = 'needs-input' ORDER BY completed_at DESC LIMIT 50"
+    ).all() as any[]
+
     const mergedRows = db.prepare(
       "SELECT * FROM queue_items WHERE status = 'merged' ORDER BY completed_at DESC LIMIT 50"
     ).all() as any[]
 
+    // Issues split into sub-tasks by the plan pipeline — ones still waiting on them first
+    const parentRows = db.prepare(
+      `SELECT * FROM queue_items p
+        WHERE EXISTS (SELECT 1 FROM queue_items c WHERE c.repo = p.repo AND c.parent_issue_number = p.issue_number)
+        ORDER BY p.status = 'planned' DESC, p.id DESC LIMIT 20`
+    ).all() as any[]
+    const subtasksOf = db.prepare('SELECT * FROM queue_items WHERE repo = ? AND parent_issue_number = ? ORDER BY subtask_index')
+
     // Stats
     const total = (db.prepare('SELECT COUNT(*) as count FROM runs').get() as any).count
     const completedCount = (db.prepare("SELECT COUNT(*) as count FROM runs WHERE status = 'completed'").get() as any).count
     const failedCount = (db.prepare("SELECT COUNT(*) as count FROM runs WHERE status = 'failed'").get() as any).count
     const avg = (db.prepare("SELECT AVG(processing_time_ms) as avg FROM runs WHERE status = 'completed' AND processing_time_ms IS NOT NULL").get() as any).avg
     const byType = db.prepare("SELECT type, COUNT(*) as count FROM runs GROUP BY type").all() as any[]
+    // Same totals as getStats() in scripts/db.js (UTC day/month; imported runs aren't spend)
+    const cost = db.prepare(`
+      SELECT
+        COALESCE(SUM(cost_usd), 0) as total,
+        COALESCE(SUM(CASE WHEN imported_from IS NULL AND created_at >= datetime('now', 'start of day') THEN cost_usd END), 0) as today,
+        COALESCE(SUM(CASE WHEN imported_from IS NULL AND created_at >= datetime('now', 'start of month') THEN cost_usd END), 0) as month,
+        COALESCE(SUM(input_tokens), 0) as input,
+        COALESCE(SUM(output_tokens), 0) as output
+      FROM runs
+    `).get() as any
 
     const stats = {
       totalRuns: total,
       completed: completedCount,
       failed: failedCount,
       avgProcessingTime: Math.round(avg || 0),
-      byType: byType.reduce((acc: any, r: any) => { acc[r.type] = r.count; return acc }, {})
+      byType: byType.reduce((acc: any, r: any) => { acc[r.type] = r.count; return acc }, {}),
+      totalCostUsd: cost.total,
+      costToday: cost.today,
+      costThisMonth: cost.month,
+      inputTokens: cost.input,
+      outputTokens: cost.output,
+      budgets: getBudgets(config),
     }
 
-    const toQueueItem = (row: any) => ({
-      issueNumber: row.issue_number,
-      repo: row.repo || '',
-      title: row.title,
-      labels: parseLabels(row.labels),
-      priority: row.priority || 'medium',
-      addedAt: row.added_at,
-      url: row.url,
-    })
+    // Whether each pipeline is inside its processing windows right now, and if not when it opens
+    const now = new Date()
+    const windowStates: Record<string, { open: boolean; opensAt: string | null }> = {}
+    const windowState = (pipeline: string) => {
+      if (!windowStates[pipeline]) {
+        const open = isOpen(config, pipeline, now)
+        const opensAt = open ? null : nextOpen(config, pipeline, now)
+        windowStates[pipeline] = { open, opensAt: opensAt ? opensAt.toISOString() : null }
+      }
+      return windowStates[pipeline]
+    }
 
-    const queue = queuedRows.map(toQueueItem)
-    const processing = processingRow ? { ...toQueueItem(processingRow), started_at: processingRow.started_at, artifacts: await getArtifacts(String(processingRow.issue_number), processingRow.repo) } : null
+    const toQueueItem = (row: any) => {
+      const labels = parseLabels(row.labels)
+      const pipeline = detectIssueType(config, { pipeline: row.pipeline, labels })
+      return {
+        issueNumber: row.issue_number,
+        repo: row.repo || '',
+        title: row.title,
+        labels,
+        priority: row.priority || 'medium',
+        // Levels gained by waiting (priority.agingHours), and the drag-and-drop position if any
+        agingBoost: row.priority_score ? Math.max(0, row.priority_score - ((LEVELS as Record<string, number>)[row.priority] || 0)) : 0,
+        queuePosition: row.queue_position || null,
+        addedAt: row.added_at,
+        url: row.url,
+        pipeline,
+        retryCount: row.retry_count || 0,
+        maxRetries: getRetryPolicy(config, pipeline).maxRetries,
+        // SQLite datetime() is UTC without a zone suffix
+        nextAttemptAt: row.next_attempt_at ? row.next_attempt_at.replace(' ', 'T') + 'Z' : null,
+        lastError: row.error || null,
+        lastErrorClass: row.error_class || null,
+        // Set on sub-tasks of a planned issue
+        parentIssueNumber: row.parent_issue_number ?? null,
+        subtaskIndex: row.subtask_index ?? null,
+      }
+    }
+
+    const queue = queuedRows.map((row: any) => {
+      const item = toQueueItem(row)
+      const window = windowState(item.pipeline)
+      return {
+        ...item,
+        runNow: !!row.run_now,
+        blockedBy: blockedBy[`${row.repo || ''}#${row.issue_number}`] || [],
+        // Held back by the pipeline's processing windows ("run now" skips them)
+        outsideWindow: !window.open && !row.run_now,
+        windowOpensAt: window.opensAt,
+      }
+    })
+    const processing = await Promise.all(processingRows.map(async (row: any) => ({
+      ...toQueueItem(row),
+      started_at: row.started_at,
+      artifacts: await getArtifacts(latestRunDir(row.repo, row.issue_number))
+    })))
 
     const completed = await Promise.all(recentCompleted.map(async (r: any) => ({
       id: r.issue_id,
@@ -123,9 +223,10 @@ export async function GET(request: NextRequest) {
       priority: r.priority,
       processing_time_ms: r.processing_time_ms,
       model: r.model,
+      fallback_from: r.fallback_from,
       pr_url: r.pr_url,
       github_url: r.github_url,
-      artifacts: await getArtifacts(r.issue_id, r.repo)
+      artifacts: await getArtifacts(runDir(r.repo, parseInt(r.issue_id, 10), r.id))
     })))
 
     const failed = recentFailed.map((r: any) => ({
@@ -164,6 +265,40 @@ export async function GET(request: NextRequest) {
       pr_number: r.pr_number,
     }))
 
+    const epics = parentRows.map((p: any) => ({
+      issueNumber: p.issue_number,
+      repo: p.repo || '',
+      title: p.title,
+      status: p.status,
+      url: p.url,
+      pr_url: p.pr_url || null,
+      subtasks: (subtasksOf.all(p.repo, p.issue_number) as any[]).map((c: any) => ({
+        issueNumber: c.issue_number,
+        subtaskIndex: c.subtask_index,
+        title: c.title,
+        status: c.status,
+        pipeline: c.pipeline,
+        url: c.url || null,
+        error: c.status === 'failed' ? c.error : null,
+      })),
+    }))
+
+    // Items waiting on answers to the model's questions (scripts/clarification.js)
+    const needs_clarification = needsInputRows.map((r: any) => {
+      const rounds = JSON.parse(r.clarifications || '[]')
+      const open = rounds.length > 0 && !rounds[rounds.length - 1].answer ? rounds[rounds.length - 1] : null
+      return {
+        id: String(r.issue_number),
+        issueNumber: r.issue_number,
+        repo: r.repo || '',
+        title: r.title,
+        rejected: r.completed_at ? r.completed_at.replace(' ', 'T') + 'Z' : null,
+        reason: r.error_class || 'insufficient_detail',
+        questions: open ? open.questions : [],
+        round: rounds.length,
+      }
+    })
+
     return NextResponse.json({
       processing,
       queue,
@@ -171,7 +306,8 @@ export async function GET(request: NextRequest) {
       failed,
       pr_open,
       merged,
-      needs_clarification: [],
+      epics,
+      needs_clarification,
       bug_confirmed: [],
       stats,
       lastUpdated: new Date().toISOString()
@@ -183,7 +319,7 @@ export async function GET(request: NextRequest) {
       const data = await readFile(join(process.cwd(), 'queue-state.json'), 'utf-8')
       const state = JSON.parse(data)
       return NextResponse.json({
-        processing: state.processing || null,
+        processing: Array.isArray(state.processing) ? state.processing : (state.processing ? [state.processing] : []),
         queue: state.queue || [],
         completed: state.completed || [],
         failed: state.failed || [],
@@ -194,7 +330,7 @@ export async function GET(request: NextRequest) {
       })
     } catch {
       return NextResponse.json({
-        processing: null, completed: [], failed: [], queue: [],
+        processing: [], completed: [], failed: [], queue: [],
         needs_clarification: [], bug_confirmed: [],
         stats: { totalRuns: 0, completed: 0, failed: 0, avgProcessingTime: 0, byType: {} }
       })
@@ -205,6 +341,8 @@ export async function GET(request: NextRequest) {
 }
 
 export async function POST(request: NextRequest) {
+  const auth = requireRole(request, 'operator')
+  if (auth instanceof NextResponse) return auth
   try {
     const { action } = await request.json()
     return NextResponse.json({ success: true, action })
@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import { mkdtemp, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import path from 'path'
+import { openReadonlyDB } from '@/lib/queue-db'
+import { requireRole } from '@/lib/auth'
+
+const execFileAsync = promisify(execFile)
+const NODE_BIN = process.execPath
+const WORKER = path.join(process.cwd(), 'scripts', 'queue-worker.js')
+
+// GET /api/run-bundle?id=42 — the run's export bundle (queue-worker.js export-run) as a download
+export async function GET(request: NextRequest) {
+  const auth = requireRole(request, 'viewer')
+  if (auth instanceof NextResponse) return auth
+
+  const id = request.nextUrl.searchParams.get('id') || ''
+  if (!/^\d+$/.test(id)) {
+    return NextResponse.json({ error: 'Invalid id' }, { status: 400 })
+  }
+
+  const db = openReadonlyDB()
+  try {
+    if (!db.prepare('SELECT id FROM runs WHERE id = ?').get(Number(id))) {
+      return NextResponse.json({ error: 'Run not found' }, { status: 404 })
+    }
+  } finally {
+    db.close()
+  }
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'run-bundle-'))
+  const filename = `run-${id}.tar.gz`
+  try {
+    await execFileAsync(NODE_BIN, [WORKER, 'export-run', id, path.join(dir, filename)], { timeout: 10 * 60 * 1000 })
+    const data = await readFile(path.join(dir, filename))
+    return new NextResponse(data, {
+      headers: {
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+    })
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: message }, { status: 500 })
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,65 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { execFile } from 'child_process'
+import { createHmac, timingSafeEqual } from 'crypto'
+import path from 'path'
+
+export const dynamic = 'force-dynamic'
+
+const NODE_BIN = process.execPath
+const WEBHOOK_SCRIPT = path.join(process.cwd(), 'scripts', 'webhook.js')
+
+// Only the events scripts/webhook.js acts on get a handler process
+const HANDLED_EVENTS = ['issues', 'pull_request', 'issue_comment']
+
+// Deliveries are handled one at a time, in the order they arrived
+let handling: Promise<void> = Promise.resolve()
+
+// The handler calls GitHub (command replies, status comments), so it runs after the response;
+// its outcome goes to the server log
+function handleInBackground(event: string, delivery: string | null, body: Buffer): Promise<void> {
+  return new Promise(resolve => {
+    const child = execFile(NODE_BIN, [WEBHOOK_SCRIPT, 'handle', event], { encoding: 'utf8', timeout: 30000 }, (error, stdout) => {
+      if (error) {
+        console.error(`❌ Webhook ${event} ${delivery || ''} failed:`, error.message)
+      } else {
+        // Worker log lines come first; the handler's result is the last line
+        const lines = stdout.trim().split('\n')
+        console.log(`🪝 Webhook ${event} ${delivery || ''}: ${lines[lines.length - 1]}`)
+      }
+      resolve()
+    })
+    child.stdin?.on('error', () => {})
+    child.stdin?.end(body)
+  })
+}
+
+// X-Hub-Signature-256 is the hex HMAC-SHA256 of the raw body, keyed with the webhook secret
+function validSignature(body: Buffer, header: string | null, secret: string): boolean {
+  if (!header || !header.startsWith('sha256=')) return false
+  const expected = Buffer.from('sha256=' + createHmac('sha256', secret).update(body).digest('hex'))
+  const actual = Buffer.from(header)
+  return actual.length === expected.length && timingSafeEqual(actual, expected)
+}
+
+// POST /api/webhooks/github — GitHub webhook receiver (content type application/json)
+export async function POST(request: NextRequest) {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET
+  if (!secret) {
+    return NextResponse.json({ error: 'GITHUB_WEBHOOK_SECRET is not configured' }, { status: 503 })
+  }
+
+  const body = Buffer.from(await request.arrayBuffer())
+  if (!validSignature(body, request.headers.get('x-hub-signature-256'), secret)) {
+    return NextResponse.json({ error: 'Invalid signature' }, { status: 401 })
+  }
+
+  const event = request.headers.get('x-github-event') || ''
+  const delivery = request.headers.get('x-github-delivery')
+  if (event === 'ping') return NextResponse.json({ ok: true, delivery })
+  if (!HANDLED_EVENTS.includes(event)) {
+    return NextResponse.json({ ok: true, delivery, event, result: 'ignored', reason: 'event not handled' })
+  }
+
+  handling = handling.then(() => handleInBackground(event, delivery, body))
+  return NextResponse.json({ ok: true, delivery, event, result: 'accepted' }, { status: 202 })
+}
@@ -0,0 +1,229 @@
+'use client'
+
+import { useState } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+import {
+  artifactKind, parseMarkdown, parseInline, highlightYamlLine, parseDiff,
+  type MdBlock, type YamlTokenKind, type DiffCell,
+} from '@/lib/artifact-format'
+
+const YAML_COLORS: Record<YamlTokenKind, string> = {
+  key: 'text-sky-300',
+  string: 'text-amber-300',
+  number: 'text-purple-300',
+  bool: 'text-pink-300',
+  comment: 'text-gray-500 italic',
+  punct: 'text-gray-400',
+  plain: 'text-gray-100',
+}
+
+function Inline({ text }: { text: string }) {
+  return (
+    <>
+      {parseInline(text).map((part, i) => {
+        if (part.type === 'code') return <code key={i} className="px-1 rounded bg-gray-100 text-pink-700 font-mono text-[0.95em]">{part.text}</code>
+        if (part.type === 'strong') return <strong key={i}>{part.text}</strong>
+        if (part.type === 'em') return <em key={i}>{part.text}</em>
+        if (part.type === 'link') return <a key={i} href={part.href} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">{part.text}</a>
+        return <span key={i}>{part.text}</span>
+      })}
+    </>
+  )
+}
+
+function YamlView({ text }: { text: string }) {
+  const lines = text.replace(/\n$/, '').split('\n')
+  return (
+    <pre className="bg-gray-900 text-xs p-2 rounded font-mono overflow-x-auto">
+      {lines.map((line, i) => (
+        <div key={i} className="flex">
+          <span className="select-none text-gray-600 w-8 shrink-0 text-right pr-3">{i + 1}</span>
+          <span>
+            {highlightYamlLine(line).map((token, j) => <span key={j} className={YAML_COLORS[token.kind]}>{token.text}</span>)}
+          </span>
+        </div>
+      ))}
+    </pre>
+  )
+}
+
+const HEADING_CLASSES = ['text-base font-bold', 'text-sm font-bold', 'text-sm font-semibold', 'text-xs font-semibold']
+
+function MarkdownBlock({ block }: { block: MdBlock }) {
+  switch (block.type) {
+    case 'heading':
+      return <p className={`${HEADING_CLASSES[Math.min(block.level, 4) - 1]} text-gray-900 mt-2`}><Inline text={block.text} /></p>
+    case 'code':
+      return block.lang === 'yaml' || block.lang === 'yml'
+        ? <YamlView text={block.text} />
+        : <pre className="bg-gray-900 text-green-400 text-xs p-2 rounded font-mono overflow-x-auto">{block.text}</pre>
+    case 'list': {
+      const items = block.items.map((item, i) => <li key={i}><Inline text={item} /></li>)
+      return block.ordered
+        ? <ol className="list-decimal pl-5 space-y-0.5">{items}</ol>
+        : <ul className="list-disc pl-5 space-y-0.5">{items}</ul>
+    }
+    case 'quote':
+      return <blockquote className="border-l-2 border-gray-300 pl-2 text-gray-600"><Inline text={block.text} /></blockquote>
+    case 'table':
+      return (
+        <div className="overflow-x-auto">
+          <table className="text-xs border border-gray-200">
+            <thead>
+              <tr className="bg-gray-50">
+                {block.header.map((cell, i) => <th key={i} className="px-2 py-1 border border-gray-200 text-left"><Inline text={cell} /></th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, i) => (
+                <tr key={i}>
+                  {row.map((cell, j) => <td key={j} className="px-2 py-1 border border-gray-200"><Inline text={cell} /></td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )
+    case 'rule':
+      return <hr className="border-gray-200" />
+    default:
+      return <p><Inline text={block.text} /></p>
+  }
+}
+
+function MarkdownView({ text }: { text: string }) {
+  return (
+    <div className="bg-white border rounded p-3 text-xs text-gray-800 space-y-2 leading-relaxed">
+      {parseMarkdown(text).map((block, i) => <MarkdownBlock key={i} block={block} />)}
+    </div>
+  )
+}
+
+const DIFF_CELL_CLASSES: Record<DiffCell['kind'], string> = {
+  context: 'text-gray-700',
+  removed: 'bg-red-50 text-red-900',
+  added: 'bg-green-50 text-green-900',
+}
+
+function DiffSide({ cell }: { cell: DiffCell | null }) {
+  if (!cell) return <><td className="bg-gray-50" /><td className="bg-gray-50" /></>
+  return (
+    <>
+      <td className={`select-none text-right pr-2 pl-1 text-gray-400 align-top ${DIFF_CELL_CLASSES[cell.kind]}`}>{cell.line}</td>
+      <td className={`whitespace-pre-wrap break-all pr-2 align-top w-1/2 ${DIFF_CELL_CLASSES[cell.kind]}`}>{cell.text || ' '}</td>
+    </>
+  )
+}
+
+// Side by side: old file on the left, new file on the right
+function DiffView({ text }: { text: string }) {
+  const files = parseDiff(text)
+  if (files.length === 0) return <RawView text={text} />
+  return (
+    <div className="space-y-3">
+      {files.map((file, i) => (
+        <div key={i} className="border rounded overflow-hidden">
+          <div className="flex items-center justify-between bg-gray-100 px-2 py-1 text-xs font-mono">
+            <span className="text-gray-800 truncate">
+              {file.oldPath === file.newPath ? file.newPath : `${file.oldPath} → ${file.newPath}`}
+            </span>
+            <span className="shrink-0 ml-2">
+              <span className="text-green-700">+{file.added}</span>{' '}
+              <span className="text-red-700">−{file.removed}</span>
+            </span>
+          </div>
+          <table className="w-full text-xs font-mono border-collapse">
+            <tbody>
+              {file.hunks.map((hunk, h) => [
+                <tr key={`h${h}`}>
+                  <td colSpan={4} className="bg-blue-50 text-blue-700 px-2 py-0.5">{hunk.header}</td>
+                </tr>,
+                ...hunk.rows.map((row, r) => (
+                  <tr key={`${h}-${r}`}>
+                    <DiffSide cell={row.left} />
+                    <DiffSide cell={row.right} />
+                  </tr>
+                )),
+              ])}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function JsonNode({ name, value, depth }: { name: string | null; value: unknown; depth: number }) {
+  const [open, setOpen] = useState(depth < 1)
+  const label = name !== null && <span className="text-sky-700">{name}: </span>
+
+  if (value === null || typeof value !== 'object') {
+    const color = typeof value === 'string' ? 'text-amber-700' : typeof value === 'number' ? 'text-purple-700' : 'text-pink-700'
+    return (
+      <div className="pl-4">
+        {label}<span className={`${color} break-all`}>{JSON.stringify(value)}</span>
+      </div>
+    )
+  }
+
+  const entries: Array<[string, unknown]> = Array.isArray(value)
+    ? value.map((v, i) => [String(i), v])
+    : Object.entries(value as Record<string, unknown>)
+  const summary = Array.isArray(value)
+    ? `[${entries.length} item${entries.length === 1 ? '' : 's'}]`
+    : `{${entries.length} key${entries.length === 1 ? '' : 's'}}`
+  return (
+    <div className={depth > 0 ? 'pl-4' : ''}>
+      <button onClick={() => setOpen(!open)} className="flex items-center text-left hover:bg-gray-100 rounded">
+        {open ? <ChevronDown className="w-3 h-3 text-gray-400" /> : <ChevronRight className="w-3 h-3 text-gray-400" />}
+        {label}
+        <span className="text-gray-400">{summary}</span>
+      </button>
+      {open && entries.map(([key, child]) => <JsonNode key={key} name={key} value={child} depth={depth + 1} />)}
+    </div>
+  )
+}
+
+function JsonView({ text }: { text: string }) {
+  let value: unknown
+  try {
+    value = JSON.parse(text)
+  } catch {
+    return <RawView text={text} />
+  }
+  return (
+    <div className="bg-white border rounded p-2 text-xs font-mono">
+      <JsonNode name={null} value={value} depth={0} />
+    </div>
+  )
+}
+
+function RawView({ text }: { text: string }) {
+  return <pre className="bg-gray-900 text-green-400 text-xs p-2 rounded font-mono whitespace-pre-wrap">{text}</pre>
+}
+
+// One artifact file, rendered by type: Markdown, highlighted YAML (Maestro flows),
+// side-by-side diffs for patches and a collapsible tree for JSON; anything else as raw text
+export default function ArtifactViewer({ filename, content }: { filename: string; content: string }) {
+  const kind = artifactKind(filename)
+  const [raw, setRaw] = useState(false)
+
+  let body
+  if (raw || kind === 'text') body = <RawView text={content} />
+  else if (kind === 'markdown') body = <MarkdownView text={content} />
+  else if (kind === 'yaml') body = <YamlView text={content} />
+  else if (kind === 'diff') body = <DiffView text={content} />
+  else body = <JsonView text={content} />
+
+  return (
+    <div className="mt-1">
+      {kind !== 'text' && (
+        <div className="flex justify-end space-x-2 text-[11px] mb-1">
+          <button onClick={() => setRaw(false)} className={raw ? 'text-gray-400 hover:text-gray-600' : 'text-purple-700 font-medium'}>Rendered</button>
+          <button onClick={() => setRaw(true)} className={raw ? 'text-purple-700 font-medium' : 'text-gray-400 hover:text-gray-600'}>Raw</button>
+        </div>
+      )}
+      <div className="max-h-96 overflow-y-auto">{body}</div>
+    </div>
+  )
+}
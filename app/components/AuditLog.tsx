@@ -0,0 +1,103 @@
+'use client'
+
+import { useState } from 'react'
+import { ChevronDown, ChevronUp, ShieldCheck } from 'lucide-react'
+
+type AuditEntry = {
+  id: number
+  actor: string
+  role: string | null
+  source: string
+  action: string
+  target: string | null
+  outcome: string | null
+  created_at: string
+}
+
+const PAGE_SIZE = 50
+
+const OUTCOME_CLASSES: Record<string, string> = {
+  ok: 'text-green-700',
+  failed: 'text-red-700',
+}
+
+// Who did what, newest first (/api/audit, admins only)
+export default function AuditLog() {
+  const [show, setShow] = useState(false)
+  const [entries, setEntries] = useState<AuditEntry[]>([])
+  const [more, setMore] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const load = async (offset = 0) => {
+    try {
+      const res = await fetch(`/api/audit?limit=${PAGE_SIZE}&offset=${offset}`)
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setEntries(prev => (offset === 0 ? data.entries : [...prev, ...data.entries]))
+      setMore(data.entries.length === PAGE_SIZE)
+      setError(data.error || null)
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e))
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center space-x-2">
+          <ShieldCheck className="w-5 h-5" />
+          <span>Audit Log</span>
+        </h2>
+        <button
+          onClick={() => { setShow(!show); if (!show) load() }}
+          className="text-sm text-primary-600 hover:text-primary-800 flex items-center space-x-1"
+        >
+          <span>{show ? 'Hide' : 'Show'} Audit Log</span>
+          {show ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+      </div>
+
+      {show && (
+        <div className="overflow-x-auto">
+          {error && <p className="text-sm text-red-700 mb-2">{error}</p>}
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No audited actions yet</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="py-2 pr-4">When (UTC)</th>
+                  <th className="py-2 pr-4">Who</th>
+                  <th className="py-2 pr-4">Via</th>
+                  <th className="py-2 pr-4">Action</th>
+                  <th className="py-2 pr-4">Outcome</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e) => (
+                  <tr key={e.id} className="border-b border-gray-100">
+                    <td className="py-1.5 pr-4 text-gray-500 whitespace-nowrap">{e.created_at}</td>
+                    <td className="py-1.5 pr-4">
+                      {e.actor}
+                      {e.role && <span className="ml-1 text-xs text-gray-400">{e.role}</span>}
+                    </td>
+                    <td className="py-1.5 pr-4 text-gray-600">{e.source}</td>
+                    <td className="py-1.5 pr-4 font-mono text-xs">
+                      {e.action}{e.target && <span className="text-gray-500"> {e.target}</span>}
+                    </td>
+                    <td className={`py-1.5 pr-4 ${OUTCOME_CLASSES[e.outcome || ''] || 'text-gray-500'}`}>{e.outcome || 'running'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {more && (
+            <button onClick={() => load(entries.length)} className="mt-2 text-sm text-primary-600 hover:text-primary-800">
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+'use client'
+
+import { useRef, useState } from 'react'
+
+export type RecordingThumbnails = { poster: string | null; frames: Array<{ file: string; at: number }> }
+
+function formatOffset(seconds: number) {
+  const s = Math.floor(seconds)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+// A screen recording with its poster frame, plus a strip of timeline frames
+// (scripts/thumbnails.js) that seek the video when clicked
+export default function RecordingPlayer({ src, thumbnails, baseUrl }: {
+  src: string
+  thumbnails?: RecordingThumbnails
+  baseUrl: string
+}) {
+  const videoRef = useRef<HTMLVideoElement>(null)
+  const [time, setTime] = useState(0)
+  const frames = thumbnails?.frames || []
+
+  const seek = (at: number) => {
+    const video = videoRef.current
+    if (!video) return
+    video.currentTime = at
+    video.play().catch(() => {})
+  }
+
+  // The frame whose stretch of the timeline is playing
+  const current = frames.reduce((found, frame, i) => (frame.at <= time + 0.01 ? i : found), -1)
+
+  return (
+    <div className="space-y-1">
+      <video
+        ref={videoRef}
+        src={src}
+        poster={thumbnails?.poster ? `${baseUrl}/${thumbnails.poster}` : undefined}
+        preload="metadata"
+        controls
+        onTimeUpdate={(e) => setTime(e.currentTarget.currentTime)}
+        className="max-w-full rounded-lg"
+        style={{ maxHeight: '300px' }}
+      />
+      {frames.length > 0 && (
+        <div className="flex space-x-1 overflow-x-auto pb-1">
+          {frames.map((frame, i) => (
+            <button
+              key={frame.file}
+              onClick={() => seek(frame.at)}
+              title={`Jump to ${formatOffset(frame.at)}`}
+              className={`shrink-0 rounded border-2 ${i === current ? 'border-purple-500' : 'border-transparent hover:border-purple-200'}`}
+            >
+              <img src={`${baseUrl}/${frame.file}`} alt={`Frame at ${formatOffset(frame.at)}`} loading="lazy" className="h-14 rounded-sm" />
+              <span className="block text-[10px] text-gray-500">{formatOffset(frame.at)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
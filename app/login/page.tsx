@@ -0,0 +1,127 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { KeyRound, LogIn } from 'lucide-react'
+
+type Methods = { password: boolean; token: boolean; oidc: boolean }
+
+export default function LoginPage() {
+  const [methods, setMethods] = useState<Methods | null>(null)
+  const [useToken, setUseToken] = useState(false)
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [token, setToken] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [next, setNext] = useState('/')
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    setError(params.get('error'))
+    // Back to where the sign-in was asked for (same-site paths only)
+    const target = params.get('next') || '/'
+    const safe = target.startsWith('/') && !target.startsWith('//') && !target.startsWith('/\\') ? target : '/'
+    setNext(safe)
+    fetch('/api/auth/session')
+      .then(res => res.json())
+      .then(data => {
+        // Already signed in, or nothing to sign in to
+        if (data.session) window.location.href = safe
+        else {
+          setMethods(data.methods)
+          setUseToken(!data.methods.password && data.methods.token)
+        }
+      })
+      .catch(() => setError('Could not reach the dashboard'))
+  }, [])
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(useToken ? { token } : { username, password }),
+      })
+      const data = await res.json()
+      if (res.ok) window.location.href = next
+      else setError(data.error || `Sign-in failed (HTTP ${res.status})`)
+    } catch {
+      setError('Could not reach the dashboard')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const none = methods && !methods.password && !methods.token && !methods.oidc
+
+  return (
+    <div className="max-w-sm mx-auto card space-y-4">
+      <h2 className="text-lg font-medium text-gray-900 flex items-center space-x-2">
+        <KeyRound className="w-5 h-5" />
+        <span>Sign in</span>
+      </h2>
+
+      {error && <p className="text-sm text-red-700 bg-red-50 rounded px-3 py-2">{error}</p>}
+
+      {none && (
+        <p className="text-sm text-gray-600">
+          No sign-in method is set up. Add a user with{' '}
+          <code className="text-xs bg-gray-100 px-1 rounded">node scripts/users.js add &lt;name&gt; admin</code>,
+          set <code className="text-xs bg-gray-100 px-1 rounded">DASHBOARD_TOKEN</code>, or configure{' '}
+          <code className="text-xs bg-gray-100 px-1 rounded">auth.oidc</code> in routing.config.json.
+        </p>
+      )}
+
+      {methods && (methods.password || methods.token) && (
+        <form onSubmit={submit} className="space-y-3">
+          {useToken ? (
+            <input
+              type="password"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              placeholder="Access token"
+              autoComplete="off"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          ) : (
+            <>
+              <input
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                autoComplete="username"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+            </>
+          )}
+          <button type="submit" disabled={busy} className="btn-primary w-full flex items-center justify-center">
+            <LogIn className="w-4 h-4 mr-2" />
+            {busy ? 'Signing in…' : 'Sign in'}
+          </button>
+          {methods.password && methods.token && (
+            <button type="button" onClick={() => setUseToken(!useToken)} className="text-xs text-primary-600 hover:text-primary-800">
+              {useToken ? 'Sign in with a username instead' : 'Use an access token instead'}
+            </button>
+          )}
+        </form>
+      )}
+
+      {methods?.oidc && (
+        <a href={`/api/auth/oidc?next=${encodeURIComponent(next)}`} className="btn border border-gray-300 text-gray-700 hover:bg-gray-50 w-full flex items-center justify-center text-sm">
+          Sign in with single sign-on
+        </a>
+      )}
+    </div>
+  )
+}
@@ -21,11 +21,19 @@ import {
   Film,
   Download,
   History,
-  BarChart3
+  BarChart3,
+  DollarSign,
+  GripVertical,
+  ListTree,
+  LogOut
 } from 'lucide-react'
+import ArtifactViewer from './components/ArtifactViewer'
+import AuditLog from './components/AuditLog'
+import RecordingPlayer, { type RecordingThumbnails } from './components/RecordingPlayer'
 
 interface ProcessingItem {
   id: string
+  issueNumber?: number
   title: string
   repo: string
   url: string
@@ -33,6 +41,8 @@ interface ProcessingItem {
   labels: string[]
   created_at: string
   started_at: string
+  parentIssueNumber?: number | null
+  subtaskIndex?: number | null
 }
 
 interface HistoryRun {
@@ -48,8 +58,14 @@ interface HistoryRun {
   completed_at: string
   processing_time_ms: number
   model: string
+  fallback_from?: string | null
+  provider?: string | null
+  input_tokens?: number | null
+  output_tokens?: number | null
+  cost_usd?: number | null
   github_url: string
   pr_url: string
+  imported_from?: string | null
   created_at: string
 }
 
@@ -59,6 +75,9 @@ interface HistoryStats {
   failed: number
   avgProcessingTime: number
   byType: Record<string, number>
+  totalCostUsd?: number
+  inputTokens?: number
+  outputTokens?: number
 }
 
 interface QueueStats {
@@ -67,10 +86,16 @@ interface QueueStats {
   failed: number
   avgProcessingTime: number
   byType: Record<string, number>
+  totalCostUsd?: number
+  costToday?: number
+  costThisMonth?: number
+  inputTokens?: number
+  outputTokens?: number
+  budgets?: { dailyUsd: number | null; monthlyUsd: number | null }
 }
 
 interface QueueState {
-  processing: ProcessingItem | null
+  processing: ProcessingItem[]
   completed: Array<{
     id: string
     title: string
@@ -83,12 +108,14 @@ interface QueueState {
     priority?: string
     processing_time_ms?: number
     model?: string
+    fallback_from?: string | null
     pr_url?: string
     github_url?: string
     artifacts?: {
       dir: string
       recordings: string[]
       logs: string[]
+      thumbnails?: Record<string, RecordingThumbnails>
     }
   }>
   failed: Array<{
@@ -123,12 +150,32 @@ interface QueueState {
     pr_url: string
     pr_number: number
   }>
+  epics?: Array<{
+    issueNumber: number
+    repo: string
+    title: string
+    status: string
+    url: string
+    pr_url: string | null
+    subtasks: Array<{
+      issueNumber: number
+      subtaskIndex: number
+      title: string
+      status: string
+      pipeline: string | null
+      url: string | null
+      error: string | null
+    }>
+  }>
   needs_clarification: Array<{
     id: string
+    issueNumber?: number
     title: string
     repo: string
     rejected: string
     reason: string
+    questions?: string[]
+    round?: number
   }>
   bug_confirmed: Array<{
     id: string
@@ -143,7 +190,22 @@ interface QueueState {
     number: string
     added: string
     priority?: string
+    agingBoost?: number
+    queuePosition?: number | null
+    runNow?: boolean
+    blockedBy?: Array<{
+      repo: string; issueNumber: number; status: string | null; parentIssueNumber: number | null; subtaskIndex: number | null
+    }>
+    parentIssueNumber?: number | null
+    subtaskIndex?: number | null
+    outsideWindow?: boolean
+    windowOpensAt?: string | null
     labels?: string[]
+    retryCount?: number
+    maxRetries?: number
+    nextAttemptAt?: string | null
+    lastError?: string | null
+    lastErrorClass?: string | null
   }>
   stats?: QueueStats
   lastUpdated?: string
@@ -171,6 +233,130 @@ function ElapsedTimer({ startedAt }: { startedAt: string }) {
   return <span className="text-primary-600 font-mono font-semibold">{elapsed}</span>
 }
 
+function RetryCountdown({ nextAttemptAt, retryCount, maxRetries }: { nextAttemptAt: string; retryCount: number; maxRetries: number }) {
+  const [remaining, setRemaining] = useState('')
+
+  useEffect(() => {
+    const update = () => {
+      const diff = Math.ceil((new Date(nextAttemptAt).getTime() - Date.now()) / 1000)
+      if (diff <= 0) { setRemaining(''); return }
+      const h = Math.floor(diff / 3600)
+      const m = Math.floor((diff % 3600) / 60)
+      if (h > 0) setRemaining(`${h}h ${m}m`)
+      else if (m > 0) setRemaining(`${m}m`)
+      else setRemaining(`${diff}s`)
+    }
+    update()
+    const interval = setInterval(update, 1000)
+    return () => clearInterval(interval)
+  }, [nextAttemptAt])
+
+  const attempt = `attempt ${retryCount + 1}/${maxRetries + 1}`
+  return (
+    <span className="px-2 py-0.5 text-xs rounded-full font-medium bg-orange-100 text-orange-800">
+      {remaining ? `retrying in ${remaining} (${attempt})` : `retry due (${attempt})`}
+    </span>
+  )
+}
+
+function FallbackBadge({ model, from }: { model?: string; from: string }) {
+  return (
+    <span className="px-2 py-0.5 text-xs rounded-full font-medium bg-amber-100 text-amber-800" title={`Primary ${from} was unavailable`}>
+      fell back to {model || 'fallback model'}
+    </span>
+  )
+}
+
+function formatUsd(amount: number | null | undefined) {
+  if (!amount) return '$0.00'
+  return amount < 0.01 ? '<$0.01' : `$${amount.toFixed(2)}`
+}
+
+function formatTokens(count: number | null | undefined) {
+  if (!count) return '0'
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`
+  return String(count)
+}
+
+// Today's / this month's provider spend against the routing.config.json budgets
+function SpendCard({ stats }: { stats?: QueueStats }) {
+  const today = stats?.costToday ?? 0
+  const month = stats?.costThisMonth ?? 0
+  const daily = stats?.budgets?.dailyUsd ?? null
+  const monthly = stats?.budgets?.monthlyUsd ?? null
+  const paused = (daily !== null && today >= daily) || (monthly !== null && month >= monthly)
+  return (
+    <div className={`card ${paused ? 'ring-2 ring-red-300' : ''}`}>
+      <div className="flex items-center">
+        <div className="flex-shrink-0">
+          <DollarSign className={`h-8 w-8 ${paused ? 'text-danger-600' : 'text-success-600'}`} />
+        </div>
+        <div className="ml-4">
+          <h3 className="text-sm font-medium text-gray-900">Spend Today</h3>
+          <p className="text-2xl font-semibold text-gray-900">
+            {formatUsd(today)}
+            {daily !== null && <span className="text-sm font-normal text-gray-500"> / ${daily}</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {formatUsd(month)}{monthly !== null ? ` / $${monthly}` : ''} this month
+          </p>
+          {paused && <p className="text-xs font-medium text-danger-600">Budget reached — paid pipelines paused</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Follows the model's output as it is generated (SSE from /api/live-output)
+function LiveOutput({ issueNumber, repo }: { issueNumber: number | string; repo?: string }) {
+  const [open, setOpen] = useState(false)
+  const [text, setText] = useState('')
+  const [done, setDone] = useState(false)
+  const panelRef = useRef<HTMLPreElement>(null)
+
+  useEffect(() => {
+    if (!open) return
+    setText('')
+    setDone(false)
+    const source = new EventSource(`/api/live-output?issue=${issueNumber}${repo ? `&repo=${encodeURIComponent(repo)}` : ''}`)
+    source.addEventListener('token', (e) => {
+      const { text: chunk } = JSON.parse((e as MessageEvent).data)
+      setText(prev => prev + chunk)
+    })
+    source.addEventListener('reset', () => setText(''))
+    source.addEventListener('done', () => { setDone(true); source.close() })
+    return () => source.close()
+  }, [open, issueNumber, repo])
+
+  // Keep the newest tokens in view
+  useEffect(() => {
+    if (panelRef.current) panelRef.current.scrollTop = panelRef.current.scrollHeight
+  }, [text])
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-900"
+      >
+        <Terminal className="w-3 h-3" />
+        <span>{open ? 'Hide' : 'Show'} live output</span>
+        {open ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+      </button>
+      {open && (
+        <pre
+          ref={panelRef}
+          className="mt-2 bg-gray-900 rounded-lg p-3 max-h-80 overflow-y-auto font-mono text-xs text-gray-100 whitespace-pre-wrap"
+        >
+          {text || <span className="text-gray-500">Waiting for the model...</span>}
+          {done && <span className="block mt-2 text-green-400">— generation finished —</span>}
+        </pre>
+      )}
+    </div>
+  )
+}
+
 function LabelBadge({ label }: { label: string }) {
   const l = label.toLowerCase()
   let classes = 'px-2 py-0.5 text-xs rounded-full font-medium '
@@ -187,12 +373,18 @@ function PriorityBadge({ priority }: { priority: string }) {
   if (!priority) return null
   const p = priority.toLowerCase()
   let classes = 'px-2 py-0.5 text-xs rounded-full font-medium '
-  if (p === 'high') classes += 'bg-red-100 text-red-800'
+  if (p === 'critical') classes += 'bg-red-600 text-white'
+  else if (p === 'high') classes += 'bg-red-100 text-red-800'
   else if (p === 'medium') classes += 'bg-yellow-100 text-yellow-800'
   else classes += 'bg-gray-100 text-gray-600'
   return <span className={classes}>{priority}</span>
 }
 
+// Sub-tasks without a GitHub issue of their own (negative numbers) read as `112.2`: step 2 of #112
+function subtaskRef(issueNumber: number | string, parentIssueNumber?: number | null, subtaskIndex?: number | null) {
+  return Number(issueNumber) < 0 && parentIssueNumber ? `${parentIssueNumber}.${subtaskIndex}` : String(issueNumber)
+}
+
 function StatusBadge({ status }: { status: string }) {
   const s = status.toLowerCase()
   let classes = 'px-2 py-0.5 text-xs rounded-full font-medium '
@@ -202,12 +394,15 @@ function StatusBadge({ status }: { status: string }) {
   else if (s === 'merged') classes += 'bg-green-100 text-green-800'
   else if (s === 'completed') classes += 'bg-green-100 text-green-800'
   else if (s === 'failed') classes += 'bg-red-100 text-red-800'
+  else if (s === 'planned') classes += 'bg-indigo-100 text-indigo-800'
   else classes += 'bg-gray-100 text-gray-800'
   const label = s === 'pr_open' ? 'PR Open' : s.charAt(0).toUpperCase() + s.slice(1)
   return <span className={classes}>{label}</span>
 }
 
-function ArtifactsPanel({ artifacts }: { artifacts: { dir: string; recordings: string[]; logs: string[] } }) {
+function ArtifactsPanel({ artifacts }: {
+  artifacts: { dir: string; recordings: string[]; logs: string[]; thumbnails?: Record<string, RecordingThumbnails> }
+}) {
   const [expanded, setExpanded] = useState(false)
   const [expandedLog, setExpandedLog] = useState<string | null>(null)
   const [logContent, setLogContent] = useState<Record<string, string>>({})
@@ -219,6 +414,7 @@ function ArtifactsPanel({ artifacts }: { artifacts: { dir: string; recordings: s
     }
     try {
       const res = await fetch(`/api/artifacts/${artifacts.dir.replace('artifacts/', '')}/${logFile}`)
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
       const text = await res.text()
       setLogContent(prev => ({ ...prev, [logFile]: text }))
       setExpandedLog(logFile)
@@ -253,11 +449,10 @@ function ArtifactsPanel({ artifacts }: { artifacts: { dir: string; recordings: s
                   <Download className="w-3 h-3" />
                 </a>
               </div>
-              <video
+              <RecordingPlayer
                 src={`/api/artifacts/${artifacts.dir.replace('artifacts/', '')}/${rec}`}
-                controls
-                className="max-w-full rounded-lg"
-                style={{ maxHeight: '300px' }}
+                thumbnails={artifacts.thumbnails?.[rec]}
+                baseUrl={`/api/artifacts/${artifacts.dir.replace('artifacts/', '')}`}
               />
             </div>
           ))}
@@ -281,9 +476,7 @@ function ArtifactsPanel({ artifacts }: { artifacts: { dir: string; recordings: s
                 </a>
               </div>
               {expandedLog === logFile && logContent[logFile] && (
-                <pre className="mt-1 bg-gray-900 text-green-400 text-xs p-2 rounded max-h-48 overflow-y-auto font-mono">
-                  {logContent[logFile]}
-                </pre>
+                <ArtifactViewer filename={logFile} content={logContent[logFile]} />
               )}
             </div>
           ))}
@@ -293,12 +486,22 @@ function ArtifactsPanel({ artifacts }: { artifacts: { dir: string; recordings: s
   )
 }
 
+// Event types published by scripts/db.js that change what the dashboard shows
+const STATE_EVENTS = [
+  'item.enqueued', 'item.started', 'item.requeued', 'item.completed', 'item.failed',
+  'item.needs_input', 'item.removed', 'item.updated', 'item.planned', 'queue.cleared', 'queue.reordered', 'dependency.resolved', 'pr.opened', 'pr.merged',
+]
+
+const PRIORITY_OPTIONS = ['critical', 'high', 'medium', 'low']
+
 export default function Dashboard() {
   const [queueState, setQueueState] = useState<QueueState | null>(null)
   const [loading, setLoading] = useState(true)
   const [logs, setLogs] = useState<string[]>([])
   const [showLogs, setShowLogs] = useState(false)
   const logEndRef = useRef<HTMLDivElement>(null)
+  const [liveConnected, setLiveConnected] = useState(false)
+  const refreshTimer = useRef<ReturnType<typeof setTimeout> | null>(null)
   const [history, setHistory] = useState<HistoryRun[]>([])
   const [historyStats, setHistoryStats] = useState<HistoryStats | null>(null)
   const [historyOffset, setHistoryOffset] = useState(0)
@@ -308,8 +511,15 @@ export default function Dashboard() {
   const [loadingIssues, setLoadingIssues] = useState(false)
   const [availableRepos, setAvailableRepos] = useState<string[]>([])
   const [selectedRepo, setSelectedRepo] = useState('')
+  const [dragIndex, setDragIndex] = useState<number | null>(null)
+  const [session, setSession] = useState<{ user: string; role: string; method: string } | null>(null)
 
-  const isProcessing = !!queueState?.processing
+  // Buttons follow the role; the API enforces it either way (lib/auth.ts)
+  const canOperate = session?.role === 'operator' || session?.role === 'admin'
+  const isAdmin = session?.role === 'admin'
+
+  const processingItems = queueState?.processing ?? []
+  const isProcessing = processingItems.length > 0
 
   // Extract issue number from any item shape
   const getIssueNum = (item: any) => item?.issueNumber || item?.number || item?.issue_number || item?.id?.split('-').pop() || '?'
@@ -322,6 +532,10 @@ export default function Dashboard() {
   const fetchQueueState = useCallback(async () => {
     try {
       const response = await fetch('/api/queue-state')
+      if (response.status === 401) {
+        window.location.href = '/login'
+        return
+      }
       const data = await response.json()
       setQueueState(data)
     } catch (error) {
@@ -355,6 +569,11 @@ export default function Dashboard() {
     } catch (e) { console.error('Failed to fetch history:', e); }
   }, [])
 
+  const signOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {})
+    window.location.href = '/login'
+  }
+
   const executeAction = async (action: string, payload?: Record<string, unknown>) => {
     try {
       const response = await fetch('/api/queue-action', {
@@ -370,6 +589,16 @@ export default function Dashboard() {
     }
   }
 
+  // Drop a pending item at a new index: show the new order right away and persist it as manual positions
+  const moveQueueItem = (from: number, to: number) => {
+    if (!queueState || from === to) return
+    const queue = [...queueState.queue]
+    const [moved] = queue.splice(from, 1)
+    queue.splice(to, 0, moved)
+    setQueueState({ ...queueState, queue: queue.map((item, i) => ({ ...item, queuePosition: i + 1 })) })
+    executeAction('reorder', { items: queue.map((item) => ({ issueNumber: getIssueNum(item), repo: item.repo })) })
+  }
+
   const fetchRepoList = async () => {
     try {
       const res = await fetch('/api/github-issues?list=repos')
@@ -395,24 +624,57 @@ export default function Dashboard() {
   const addIssueToQueue = async (issueNumber: number, repo?: string) => {
     await executeAction('add-issue', { issueNumber, repo })
     // Mark as queued in local state
-    setGithubIssues(prev => prev.map(i => i.number === issueNumber ? { ...i, alreadyQueued: true } : i))
+    setGithubIssues(prev => prev.map(i => i.number === issueNumber && i.repo === repo ? { ...i, alreadyQueued: true } : i))
   }
 
-  // Dynamic refresh: 5s when processing, 30s when idle
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(res => res.json())
+      .then(data => {
+        if (data.session) setSession(data.session)
+        else window.location.href = '/login'
+      })
+      .catch(() => {})
+  }, [])
+
+  // Push updates from the worker over SSE; polling below only runs while this is disconnected
+  useEffect(() => {
+    const source = new EventSource('/api/events')
+    // Several events often land together (e.g. failed + requeued) — refresh once
+    const scheduleRefresh = () => {
+      if (refreshTimer.current) clearTimeout(refreshTimer.current)
+      refreshTimer.current = setTimeout(fetchQueueState, 250)
+    }
+    source.onopen = () => setLiveConnected(true) // the polling effect refetches on this change
+    source.onerror = () => setLiveConnected(false) // EventSource keeps retrying on its own
+    STATE_EVENTS.forEach(type => source.addEventListener(type, scheduleRefresh))
+    source.addEventListener('log.line', (e) => {
+      const { line } = JSON.parse((e as MessageEvent).data)
+      setLogs(prev => [...prev, line].slice(-100))
+    })
+    return () => {
+      source.close()
+      if (refreshTimer.current) clearTimeout(refreshTimer.current)
+    }
+  }, [fetchQueueState])
+
+  // Fallback polling: 5s when processing, 30s when idle
   useEffect(() => {
     fetchQueueState()
+    if (liveConnected) return
     const interval = setInterval(fetchQueueState, isProcessing ? 5000 : 30000)
     return () => clearInterval(interval)
-  }, [isProcessing, fetchQueueState])
+  }, [isProcessing, liveConnected, fetchQueueState])
 
-  // Log fetching: every 5s while processing and logs visible
+  // Logs: load the tail when the panel opens, then follow log.line events (poll every 5s without them)
   useEffect(() => {
     if (showLogs) {
       fetchLogs()
+      if (liveConnected) return
       const interval = setInterval(fetchLogs, 5000)
       return () => clearInterval(interval)
     }
-  }, [showLogs, fetchLogs])
+  }, [showLogs, liveConnected, fetchLogs])
 
   // Auto-scroll logs
   useEffect(() => {
@@ -460,7 +722,7 @@ export default function Dashboard() {
             <div className="ml-4">
               <h3 className="text-sm font-medium text-gray-900">Processing</h3>
               <p className="text-2xl font-semibold text-gray-900">
-                {isProcessing ? '1' : '0'}
+                {processingItems.length}
               </p>
             </div>
           </div>
@@ -539,6 +801,8 @@ export default function Dashboard() {
             </div>
           </div>
         </div>
+
+        <SpendCard stats={queueState.stats} />
       </div>
 
       {/* Last Updated */}
@@ -567,93 +831,124 @@ export default function Dashboard() {
       {/* Controls */}
       <div className="card">
         <div className="flex items-center justify-between">
-          <h2 className="text-lg font-medium text-gray-900">Queue Controls</h2>
-          <div className="flex space-x-2">
-            <button 
-              onClick={() => { setShowIssuePicker(true); fetchRepoList(); fetchGithubIssues() }}
-              className="btn-primary"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              Add Issues
-            </button>
-            <button 
-              onClick={() => executeAction('process-one')}
-              className="btn-success"
-              disabled={isProcessing}
+          <div className="flex items-center space-x-3">
+            <h2 className="text-lg font-medium text-gray-900">Queue Controls</h2>
+            <span
+              className={`px-2 py-0.5 text-xs rounded-full font-medium ${liveConnected ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+              title={liveConnected ? 'Receiving updates from /api/events' : 'Event stream unavailable — polling for updates'}
             >
-              <Play className="w-4 h-4 mr-2" />
-              Process One
-            </button>
-            {isProcessing && (
-              <button 
-                onClick={() => { if (confirm('Cancel the currently running issue?')) executeAction('cancel') }}
-                className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-500 hover:bg-red-600"
-              >
-                <XCircle className="w-4 h-4 mr-2 inline" />
-                Cancel
-              </button>
+              {liveConnected ? '● Live' : 'Polling'}
+            </span>
+            {session && session.method !== 'open' && (
+              <span className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>{session.user} · {session.role}</span>
+                <button onClick={signOut} className="text-gray-400 hover:text-gray-700" title="Sign out">
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </span>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            {canOperate && (
+              <>
+                <button 
+                  onClick={() => { setShowIssuePicker(true); fetchRepoList(); fetchGithubIssues() }}
+                  className="btn-primary"
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  Add Issues
+                </button>
+                <button 
+                  onClick={() => executeAction('process-one')}
+                  className="btn-success"
+                  title="Starts the next queued item whose resources are free"
+                >
+                  <Play className="w-4 h-4 mr-2" />
+                  Process One
+                </button>
+              </>
+            )}
+            {isAdmin && (
+              <>
+                <button 
+                  onClick={() => executeAction('cleanup')}
+                  className="btn-warning"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Cleanup
+                </button>
+                <button 
+                  onClick={() => {
+                    if (confirm('Clear all queued items?')) executeAction('clear-all')
+                  }}
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                >
+                  <XCircle className="w-4 h-4 mr-2 inline" />
+                  Clear All
+                </button>
+                <button 
+                  onClick={() => {
+                    if (confirm('Clear all completed and failed history, including their artifacts?')) executeAction('clear-history')
+                  }}
+                  className="px-3 py-2 text-sm font-medium rounded-md text-white bg-gray-600 hover:bg-gray-700"
+                >
+                  <History className="w-4 h-4 mr-2 inline" />
+                  Clear History
+                </button>
+              </>
             )}
-            <button 
-              onClick={() => executeAction('cleanup')}
-              className="btn-warning"
-            >
-              <RotateCcw className="w-4 h-4 mr-2" />
-              Cleanup
-            </button>
-            <button 
-              onClick={() => {
-                if (confirm('Clear all queued items?')) executeAction('clear-all')
-              }}
-              className="px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
-            >
-              <XCircle className="w-4 h-4 mr-2 inline" />
-              Clear All
-            </button>
-            <button 
-              onClick={() => {
-                if (confirm('Clear all completed and failed history?')) executeAction('clear-history')
-              }}
-              className="px-3 py-2 text-sm font-medium rounded-md text-white bg-gray-600 hover:bg-gray-700"
-            >
-              <History className="w-4 h-4 mr-2 inline" />
-              Clear History
-            </button>
           </div>
         </div>
       </div>
 
       {/* Current Processing */}
-      {queueState.processing && (
+      {isProcessing && (
         <div className="card border-l-4 border-primary-500">
-          <h2 className="text-lg font-medium text-gray-900 mb-4">Currently Processing</h2>
-          <div className="flex items-start space-x-4">
-            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mt-1 flex-shrink-0"></div>
-            <div className="flex-1">
-              <div className="flex items-center space-x-2 flex-wrap gap-y-1">
-                <a
-                  href={queueState.processing.url}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="font-medium text-gray-900 hover:text-primary-600 flex items-center space-x-1"
-                >
-                  <span className="font-mono text-primary-600">#{getIssueNum(queueState.processing)}</span>
-                  <span>{queueState.processing.title}</span>
-                  <ExternalLink className="w-3 h-3" />
-                </a>
-                <PriorityBadge priority={queueState.processing.priority} />
-                {(queueState.processing.labels || []).map((label) => (
-                  <LabelBadge key={label} label={label} />
-                ))}
-              </div>
-              <div className="flex items-center space-x-4 mt-2 text-sm text-gray-500">
-                <div className="flex items-center space-x-1">
-                  <GitBranch className="w-3 h-3" />
-                  <span>{queueState.processing.repo}</span>
+          <h2 className="text-lg font-medium text-gray-900 mb-4">
+            Currently Processing{processingItems.length > 1 ? ` (${processingItems.length})` : ''}
+          </h2>
+          <div className="space-y-4">
+            {processingItems.map((item) => (
+              <div key={`${item.repo}#${getIssueNum(item)}`} className="flex items-start space-x-4">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mt-1 flex-shrink-0"></div>
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2 flex-wrap gap-y-1">
+                    <a
+                      href={item.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-medium text-gray-900 hover:text-primary-600 flex items-center space-x-1"
+                    >
+                      <span className="font-mono text-primary-600">#{subtaskRef(getIssueNum(item), item.parentIssueNumber, item.subtaskIndex)}</span>
+                      <span>{item.title}</span>
+                      <ExternalLink className="w-3 h-3" />
+                    </a>
+                    <PriorityBadge priority={item.priority} />
+                    {(item.labels || []).map((label) => (
+                      <LabelBadge key={label} label={label} />
+                    ))}
+                  </div>
+                  <div className="flex items-center space-x-4 mt-2 text-sm text-gray-500">
+                    <div className="flex items-center space-x-1">
+                      <GitBranch className="w-3 h-3" />
+                      <span>{item.repo}</span>
+                    </div>
+                    <span>•</span>
+                    <span>Elapsed: <ElapsedTimer startedAt={item.started_at} /></span>
+                  </div>
+                  <LiveOutput issueNumber={getIssueNum(item)} repo={item.repo} />
                 </div>
-                <span>•</span>
-                <span>Elapsed: <ElapsedTimer startedAt={queueState.processing.started_at} /></span>
+                {canOperate && (
+                  <button
+                    onClick={() => { if (confirm(`Cancel issue ${item.repo ? item.repo : ''}#${getIssueNum(item)}?`)) executeAction('cancel', { issueNumber: getIssueNum(item), repo: item.repo }) }}
+                    className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-red-500 hover:bg-red-600 flex-shrink-0"
+                  >
+                    <XCircle className="w-4 h-4 mr-1 inline" />
+                    Cancel
+                  </button>
+                )}
               </div>
-            </div>
+            ))}
           </div>
 
           {/* Log viewer toggle */}
@@ -685,7 +980,7 @@ export default function Dashboard() {
       )}
 
       {/* Show logs button even when not processing (for history) */}
-      {!queueState.processing && (
+      {!isProcessing && (
         <div className="card">
           <button
             onClick={() => { setShowLogs(!showLogs); if (!showLogs) fetchLogs(); }}
@@ -714,14 +1009,34 @@ export default function Dashboard() {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Pending Issues */}
         <div className="card">
-          <h2 className="text-lg font-medium text-gray-900 mb-4">Pending Issues</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-medium text-gray-900">Pending Issues</h2>
+            {canOperate && queueState.queue.some((issue) => issue.queuePosition) && (
+              <button
+                onClick={() => executeAction('reorder', { items: [] })}
+                className="text-xs text-gray-500 hover:text-gray-800"
+                title="Forget the manual order and run by priority again"
+              >
+                Reset order
+              </button>
+            )}
+          </div>
           <div className="space-y-3">
             {queueState.queue.length > 0 ? (
               queueState.queue.map((issue, index) => (
-                <div key={issue.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div
+                  key={`${issue.repo}#${getIssueNum(issue)}`}
+                  draggable={canOperate}
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => { if (dragIndex !== null) moveQueueItem(dragIndex, index); setDragIndex(null) }}
+                  onDragEnd={() => setDragIndex(null)}
+                  className={`flex items-center justify-between p-3 bg-gray-50 rounded-lg ${dragIndex === index ? 'opacity-50' : ''}`}
+                >
+                  {canOperate && <span title="Drag to reorder" className="mr-2 cursor-grab flex-shrink-0"><GripVertical className="w-4 h-4 text-gray-300" /></span>}
                   <div className="flex-1">
                     <div className="flex items-center space-x-2">
-                      <span className="badge-primary font-mono">#{getIssueNum(issue)}</span>
+                      <span className="badge-primary font-mono">#{subtaskRef(getIssueNum(issue), issue.parentIssueNumber, issue.subtaskIndex)}</span>
                       {isBugReport(issue.title) ? (
                         <div className="flex items-center space-x-1">
                           <span className="text-orange-600">🐛</span>
@@ -739,18 +1054,79 @@ export default function Dashboard() {
                       <GitBranch className="w-3 h-3 text-gray-400" />
                       <span className="text-xs text-gray-500">{issue.repo}</span>
                       {issue.priority && <PriorityBadge priority={issue.priority} />}
+                      {!!issue.agingBoost && (
+                        <span className="text-xs text-gray-500" title="Priority raised for time spent waiting">+{issue.agingBoost} aged</span>
+                      )}
+                      {issue.queuePosition && <span className="text-xs text-gray-500" title="Manually ordered">📌</span>}
+                      {issue.parentIssueNumber && (
+                        <span className="px-2 py-0.5 text-xs rounded-full font-medium bg-indigo-100 text-indigo-800">
+                          🗂️ step {issue.subtaskIndex} of #{issue.parentIssueNumber}
+                        </span>
+                      )}
+                      {(issue.blockedBy || []).map((dep) => (
+                        <span
+                          key={`${dep.repo}#${dep.issueNumber}`}
+                          className="px-2 py-0.5 text-xs rounded-full font-medium bg-slate-200 text-slate-800"
+                          title={dep.parentIssueNumber
+                            ? `Waits until the previous step of #${dep.parentIssueNumber} is done${dep.status ? ` (now ${dep.status})` : ''}`
+                            : `Waits until ${dep.repo}#${dep.issueNumber} is merged or closed${dep.status ? ` (now ${dep.status})` : ''}`}
+                        >
+                          ⛓️ blocked by {dep.repo === issue.repo ? '' : dep.repo}#{subtaskRef(dep.issueNumber, dep.parentIssueNumber, dep.subtaskIndex)}
+                        </span>
+                      ))}
                       {(issue.labels || []).map((label) => (
                         <LabelBadge key={label} label={label} />
                       ))}
+                      {issue.nextAttemptAt && (
+                        <RetryCountdown nextAttemptAt={issue.nextAttemptAt} retryCount={issue.retryCount ?? 0} maxRetries={issue.maxRetries ?? 0} />
+                      )}
                     </div>
+                    {issue.outsideWindow && (
+                      <div className="flex items-center space-x-2 mt-1">
+                        <span className="text-xs text-indigo-700">
+                          🌙 Outside processing window — {issue.windowOpensAt
+                            ? `next window opens at ${new Date(issue.windowOpensAt).toLocaleString()}`
+                            : 'no window in the next week'}
+                        </span>
+                        {canOperate && (
+                          <button
+                            onClick={() => executeAction('run-now', { issueNumber: getIssueNum(issue), repo: issue.repo })}
+                            className="px-2 py-0.5 text-xs bg-indigo-100 text-indigo-800 rounded hover:bg-indigo-200"
+                            title="Start on the next free lane regardless of the window"
+                          >
+                            Run now
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {issue.runNow && (
+                      <p className="text-xs text-indigo-700 mt-1">⏩ Run now — starts on the next free lane</p>
+                    )}
+                    {issue.nextAttemptAt && issue.lastError && (
+                      <p className="text-xs text-red-600 mt-1 truncate max-w-md" title={issue.lastError}>
+                        Last error{issue.lastErrorClass ? ` (${issue.lastErrorClass})` : ''}: {issue.lastError}
+                      </p>
+                    )}
                   </div>
-                  <button
-                    onClick={() => executeAction('remove', { issueNumber: getIssueNum(issue) })}
-                    className="ml-2 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
-                    title="Remove from queue"
-                  >
-                    <XCircle className="w-4 h-4" />
-                  </button>
+                  {canOperate && (
+                    <>
+                      <select
+                        value={issue.priority || 'medium'}
+                        onChange={(e) => executeAction('set-priority', { issueNumber: getIssueNum(issue), repo: issue.repo, priority: e.target.value })}
+                        className="ml-2 text-xs border border-gray-200 rounded px-1 py-0.5 bg-white text-gray-700"
+                        title="Set priority"
+                      >
+                        {PRIORITY_OPTIONS.map((p) => <option key={p} value={p}>{p}</option>)}
+                      </select>
+                      <button
+                        onClick={() => executeAction('remove', { issueNumber: getIssueNum(issue), repo: issue.repo })}
+                        className="ml-2 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                        title="Remove from queue"
+                      >
+                        <XCircle className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
                 </div>
               ))
             ) : (
@@ -795,6 +1171,7 @@ export default function Dashboard() {
                         {(issue.labels || []).map((label) => (
                           <LabelBadge key={label} label={label} />
                         ))}
+                        {issue.fallback_from && <FallbackBadge model={issue.model} from={issue.fallback_from} />}
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
@@ -829,7 +1206,7 @@ export default function Dashboard() {
           </h2>
           <div className="space-y-3">
             {queueState.pr_open.map((issue) => (
-              <div key={issue.issueNumber} className="flex items-center justify-between p-3 bg-purple-50 rounded-lg border-l-4 border-purple-400">
+              <div key={`${issue.repo}#${issue.issueNumber}`} className="flex items-center justify-between p-3 bg-purple-50 rounded-lg border-l-4 border-purple-400">
                 <div className="flex-1">
                   <div className="flex items-center space-x-2">
                     <GitPullRequest className="w-4 h-4 text-purple-600" />
@@ -876,7 +1253,7 @@ export default function Dashboard() {
           </h2>
           <div className="space-y-3">
             {queueState.merged.map((issue) => (
-              <div key={issue.issueNumber} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
+              <div key={`${issue.repo}#${issue.issueNumber}`} className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
                 <div className="flex-1">
                   <div className="flex items-center space-x-2">
                     <GitMerge className="w-4 h-4 text-green-600" />
@@ -901,6 +1278,64 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Epics: planned issues and their sub-tasks */}
+      {queueState.epics && queueState.epics.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">
+            <ListTree className="w-5 h-5 inline mr-2 text-indigo-600" />
+            Epics
+          </h2>
+          <div className="space-y-4">
+            {queueState.epics.map((epic) => {
+              const done = epic.subtasks.filter((c) => ['completed', 'pr_open', 'merged'].includes(c.status)).length
+              return (
+                <div key={`${epic.repo}#${epic.issueNumber}`} className="p-3 bg-indigo-50 rounded-lg">
+                  <div className="flex items-center space-x-2">
+                    <a href={epic.url} target="_blank" rel="noopener noreferrer" className="text-sm font-mono text-indigo-700 hover:underline">
+                      #{epic.issueNumber}
+                    </a>
+                    <span className="text-sm font-medium text-gray-900">{epic.title}</span>
+                    <StatusBadge status={epic.status} />
+                    <span className="text-xs text-gray-500">{done}/{epic.subtasks.length} sub-tasks done</span>
+                    {epic.pr_url && (
+                      <a href={epic.pr_url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-700" title="View PR">
+                        <GitPullRequest className="w-4 h-4" />
+                      </a>
+                    )}
+                  </div>
+                  <ul className="mt-2 ml-2 pl-4 border-l-2 border-indigo-200 space-y-1">
+                    {epic.subtasks.map((child) => (
+                      <li key={child.issueNumber} className="flex items-center space-x-2 text-sm">
+                        <span className="text-xs text-gray-400 w-5 text-right">{child.subtaskIndex}.</span>
+                        {child.issueNumber > 0 && child.url ? (
+                          <a href={child.url} target="_blank" rel="noopener noreferrer" className="font-mono text-xs text-indigo-700 hover:underline">
+                            #{child.issueNumber}
+                          </a>
+                        ) : (
+                          <span className="font-mono text-xs text-gray-400">#{subtaskRef(child.issueNumber, epic.issueNumber, child.subtaskIndex)}</span>
+                        )}
+                        <span className="text-gray-800">{child.title}</span>
+                        {child.pipeline && <span className="text-xs text-gray-500">{child.pipeline}</span>}
+                        <StatusBadge status={child.status} />
+                        {canOperate && child.status === 'failed' && (
+                          <button
+                            onClick={() => executeAction('retry', { issueNumber: child.issueNumber, repo: epic.repo })}
+                            className="px-2 py-0.5 text-xs bg-red-100 text-red-800 rounded hover:bg-red-200"
+                            title={child.error || 'Retry this step'}
+                          >
+                            Retry
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Confirmed Bugs */}
       {queueState.bug_confirmed && queueState.bug_confirmed.length > 0 && (
         <div className="card">
@@ -970,13 +1405,15 @@ export default function Dashboard() {
                     </p>
                   )}
                 </div>
-                <button 
-                  onClick={() => executeAction('retry', { issueNumber: getIssueNum(issue) })}
-                  className="text-sm text-warning-600 hover:text-warning-700"
-                  title="Retry this issue"
-                >
-                  <RotateCcw className="w-4 h-4" />
-                </button>
+                {canOperate && (
+                  <button
+                    onClick={() => executeAction('retry', { issueNumber: getIssueNum(issue), repo: issue.repo })}
+                    className="text-sm text-warning-600 hover:text-warning-700"
+                    title="Retry this issue"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                )}
               </div>
             ))}
           </div>
@@ -989,7 +1426,7 @@ export default function Dashboard() {
           <h2 className="text-lg font-medium text-gray-900 mb-4">Issues Needing Clarification</h2>
           <div className="space-y-3">
             {queueState.needs_clarification.map((issue) => (
-              <div key={issue.id} className="flex items-center justify-between p-3 bg-warning-50 rounded-lg border-l-4 border-warning-400">
+              <div key={`${issue.repo}#${getIssueNum(issue)}`} className="flex items-center justify-between p-3 bg-warning-50 rounded-lg border-l-4 border-warning-400">
                 <div className="flex-1">
                   <div className="flex items-center space-x-2">
                     <FileText className="w-4 h-4 text-warning-600" />
@@ -1008,8 +1445,13 @@ export default function Dashboard() {
                       Reason: {issue.reason || 'insufficient_detail'}
                     </span>
                   </div>
+                  {issue.questions && issue.questions.length > 0 && (
+                    <ol className="list-decimal list-inside text-sm text-gray-700 mt-2 space-y-1">
+                      {issue.questions.map((question, i) => <li key={i}>{question}</li>)}
+                    </ol>
+                  )}
                   <p className="text-xs text-warning-700 mt-2">
-                    💡 AI feedback posted to GitHub issue - update with requested details to retry
+                    💡 Questions posted to the GitHub issue — a reply there puts it back in the queue
                   </p>
                 </div>
                 <button 
@@ -1045,7 +1487,7 @@ export default function Dashboard() {
           <div className="space-y-4">
             {/* Stats Summary */}
             {historyStats && (
-              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
                 <div className="bg-gray-50 rounded-lg p-3 text-center">
                   <p className="text-2xl font-bold text-gray-900">{historyStats.totalRuns}</p>
                   <p className="text-xs text-gray-500">Total Runs</p>
@@ -1070,6 +1512,12 @@ export default function Dashboard() {
                   </p>
                   <p className="text-xs text-gray-500">Avg Time</p>
                 </div>
+                <div className="bg-amber-50 rounded-lg p-3 text-center">
+                  <p className="text-2xl font-bold text-amber-700">{formatUsd(historyStats.totalCostUsd)}</p>
+                  <p className="text-xs text-gray-500">
+                    Total Cost · {formatTokens(historyStats.inputTokens)} in / {formatTokens(historyStats.outputTokens)} out
+                  </p>
+                </div>
               </div>
             )}
 
@@ -1097,7 +1545,9 @@ export default function Dashboard() {
                       <th className="pb-2 pr-3">Type</th>
                       <th className="pb-2 pr-3">Status</th>
                       <th className="pb-2 pr-3">Time</th>
-                      <th className="pb-2">Date</th>
+                      <th className="pb-2 pr-3">Cost</th>
+                      <th className="pb-2 pr-3">Date</th>
+                      <th className="pb-2"></th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1116,14 +1566,39 @@ export default function Dashboard() {
                         <td className="py-2 pr-3 text-gray-700 max-w-xs truncate">{run.title}</td>
                         <td className="py-2 pr-3"><LabelBadge label={run.type || 'implement'} /></td>
                         <td className="py-2 pr-3">
-                          <StatusBadge status={run.status} />
+                          <div className="flex items-center space-x-1">
+                            <StatusBadge status={run.status} />
+                            {run.fallback_from && <FallbackBadge model={run.model} from={run.fallback_from} />}
+                            {run.imported_from && (
+                              <span className="px-2 py-0.5 text-xs rounded-full font-medium bg-gray-100 text-gray-600" title={`Imported from ${run.imported_from}`}>
+                                imported
+                              </span>
+                            )}
+                          </div>
                         </td>
                         <td className="py-2 pr-3 text-gray-500 font-mono text-xs">
                           {run.processing_time_ms ? `${Math.round(run.processing_time_ms / 1000)}s` : '—'}
                         </td>
-                        <td className="py-2 text-gray-500 text-xs">
+                        <td
+                          className="py-2 pr-3 text-gray-500 font-mono text-xs"
+                          title={run.input_tokens != null ? `${run.provider || ''} ${run.input_tokens} in / ${run.output_tokens} out tokens`.trim() : undefined}
+                        >
+                          {run.cost_usd != null ? formatUsd(run.cost_usd) : '—'}
+                        </td>
+                        <td className="py-2 pr-3 text-gray-500 text-xs">
                           {run.created_at ? new Date(run.created_at).toLocaleString() : '—'}
                         </td>
+                        <td className="py-2">
+                          <a
+                            href={`/api/run-bundle?id=${run.id}`}
+                            download={`run-${run.id}.tar.gz`}
+                            className="text-xs text-purple-600 hover:text-purple-800 flex items-center space-x-1 whitespace-nowrap"
+                            title="Run row, artifacts rows and files as one .tar.gz (import-run restores it)"
+                          >
+                            <Download className="w-3 h-3" />
+                            <span>Download bundle</span>
+                          </a>
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -1152,6 +1627,9 @@ export default function Dashboard() {
         )}
       </div>
 
+      {/* Audit Log */}
+      {isAdmin && <AuditLog />}
+
       {/* Issue Picker Modal */}
       {showIssuePicker && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,263 @@
+/**
+ * Parsing for the dashboard's artifact viewer (app/components/ArtifactViewer.tsx):
+ * a small Markdown subset, YAML line highlighting and unified diffs as side-by-side rows.
+ * Everything becomes plain data the viewer renders as React elements, never HTML.
+ */
+
+export type ArtifactKind = 'markdown' | 'yaml' | 'diff' | 'json' | 'text';
+
+export function artifactKind(filename: string): ArtifactKind {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.md')) return 'markdown';
+  if (name.endsWith('.yaml') || name.endsWith('.yml')) return 'yaml';
+  if (name.endsWith('.patch') || name.endsWith('.diff')) return 'diff';
+  if (name.endsWith('.json')) return 'json';
+  return 'text';
+}
+
+// ---------- Markdown ----------
+
+export type MdInline =
+  | { type: 'text'; text: string }
+  | { type: 'code'; text: string }
+  | { type: 'strong'; text: string }
+  | { type: 'em'; text: string }
+  | { type: 'link'; text: string; href: string };
+
+export type MdBlock =
+  | { type: 'heading'; level: number; text: string }
+  | { type: 'paragraph'; text: string }
+  | { type: 'code'; lang: string; text: string }
+  | { type: 'list'; ordered: boolean; items: string[] }
+  | { type: 'quote'; text: string }
+  | { type: 'table'; header: string[]; rows: string[][] }
+  | { type: 'rule' };
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+export function parseInline(text: string): MdInline[] {
+  const parts: MdInline[] = [];
+  let rest = text;
+  let match: RegExpMatchArray | null;
+  while ((match = rest.match(INLINE)) && match.index !== undefined) {
+    if (match.index > 0) parts.push({ type: 'text', text: rest.slice(0, match.index) });
+    const token = match[0];
+    if (match[1]) parts.push({ type: 'code', text: token.slice(1, -1) });
+    else if (match[2]) parts.push({ type: 'strong', text: token.slice(2, -2) });
+    else if (match[3]) parts.push({ type: 'em', text: token.slice(1, -1) });
+    else {
+      const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/) || [];
+      // Only web links — a javascript: URL in model output must not become clickable
+      if (/^https?:\/\//i.test(href)) parts.push({ type: 'link', text: label, href });
+      else parts.push({ type: 'text', text: token });
+    }
+    rest = rest.slice(match.index + token.length);
+  }
+  if (rest) parts.push({ type: 'text', text: rest });
+  return parts;
+}
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function tableCells(line: string): string[] {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+export function parseMarkdown(text: string): MdBlock[] {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks: MdBlock[] = [];
+  let i = 0;
+  const startsBlock = (line: string) =>
+    /^(#{1,6}\s|```|>|\s*([-*_])(\s*\2){2,}\s*$)/.test(line) || LIST_ITEM.test(line) || TABLE_ROW.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const fence = line.match(/^```\s*([\w+-]*)/);
+    if (fence) {
+      const body: string[] = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith('```')) body.push(lines[i++]);
+      i++; // closing fence (or end of an unterminated block)
+      blocks.push({ type: 'code', lang: fence[1].toLowerCase(), text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const body: string[] = [];
+      while (i < lines.length && lines[i].startsWith('>')) body.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', text: body.join(' ') });
+      continue;
+    }
+
+    if (TABLE_ROW.test(line) && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = tableCells(line);
+      const rows: string[][] = [];
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i])) rows.push(tableCells(lines[i++]));
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      const items: string[] = [];
+      while (i < lines.length) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next && /\d/.test(next[1]) === ordered) items.push(next[2]);
+        else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) items[items.length - 1] += ` ${lines[i].trim()}`;
+        else break;
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const body: string[] = [];
+    while (i < lines.length && lines[i].trim() && !(body.length > 0 && startsBlock(lines[i]))) body.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', text: body.join(' ') });
+  }
+  return blocks;
+}
+
+// ---------- YAML ----------
+
+export type YamlTokenKind = 'key' | 'string' | 'number' | 'bool' | 'comment' | 'punct' | 'plain';
+export interface YamlToken { kind: YamlTokenKind; text: string }
+
+function yamlValue(value: string): YamlToken[] {
+  const comment = value.match(/^(.*?)(\s+#.*)$/);
+  const [body, trailing] = comment && !/^["']/.test(value.trim()) ? [comment[1], comment[2]] : [value, ''];
+  const trimmed = body.trim();
+  let kind: YamlTokenKind = 'plain';
+  if (/^(["']).*\1$/.test(trimmed)) kind = 'string';
+  else if (/^-?\d+(\.\d+)?$/.test(trimmed)) kind = 'number';
+  else if (/^(true|false|null|yes|no|~)$/i.test(trimmed)) kind = 'bool';
+  const tokens: YamlToken[] = body ? [{ kind, text: body }] : [];
+  if (trailing) tokens.push({ kind: 'comment', text: trailing });
+  return tokens;
+}
+
+// One line of YAML as highlighted tokens (Maestro flows: `- tapOn: "Categories"`, `appId: ...`)
+export function highlightYamlLine(line: string): YamlToken[] {
+  if (/^\s*#/.test(line)) return [{ kind: 'comment', text: line }];
+  if (/^(---|\.\.\.)\s*$/.test(line)) return [{ kind: 'punct', text: line }];
+  const tokens: YamlToken[] = [];
+  const dash = line.match(/^(\s*-\s+)(.*)$/) || line.match(/^(\s*-)$/);
+  let rest = line;
+  if (dash) {
+    tokens.push({ kind: 'punct', text: dash[1] });
+    rest = dash[2] || '';
+  }
+  const pair = rest.match(/^(\s*)("[^"]*"|'[^']*'|[^\s#"'][^:#]*?)(:)(\s+|$)(.*)$/);
+  if (pair) {
+    if (pair[1]) tokens.push({ kind: 'plain', text: pair[1] });
+    tokens.push({ kind: 'key', text: pair[2] }, { kind: 'punct', text: pair[3] + pair[4] });
+    tokens.push(...yamlValue(pair[5]));
+  } else if (rest) {
+    tokens.push(...yamlValue(rest));
+  }
+  return tokens;
+}
+
+// ---------- Unified diff ----------
+
+export interface DiffCell { line: number; text: string; kind: 'context' | 'removed' | 'added' }
+export interface DiffRow { left: DiffCell | null; right: DiffCell | null }
+export interface DiffHunk { header: string; rows: DiffRow[] }
+export interface DiffFile { oldPath: string; newPath: string; hunks: DiffHunk[]; added: number; removed: number }
+
+// `git diff` output → files → hunks → rows pairing each removed line with the added line
+// that replaced it, for a side-by-side view
+export function parseDiff(text: string): DiffFile[] {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const files: DiffFile[] = [];
+  let file: DiffFile | null = null;
+  let hunk: DiffHunk | null = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let removed: DiffCell[] = [];
+  let added: DiffCell[] = [];
+
+  // Pair up the pending -/+ run (a replaced line sits next to its replacement)
+  const flush = (target: DiffHunk | null) => {
+    if (target) {
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        target.rows.push({ left: removed[k] || null, right: added[k] || null });
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const gitHeader = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+    // A file starts at `diff --git`, or at a ---/+++ pair in plain unified diffs
+    const plainHeader = line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ');
+    if (gitHeader || (plainHeader && !(file && !hunk))) {
+      flush(hunk);
+      file = { oldPath: gitHeader ? gitHeader[1] : '', newPath: gitHeader ? gitHeader[2] : '', hunks: [], added: 0, removed: 0 };
+      files.push(file);
+      hunk = null;
+      if (gitHeader) continue;
+    }
+    if (!file) continue;
+    if (!hunk && (line.startsWith('--- ') || line.startsWith('+++ '))) {
+      const filePath = line.slice(4).replace(/\t.*$/, '');
+      if (filePath !== '/dev/null') {
+        if (line.startsWith('---')) file.oldPath = filePath.replace(/^a\//, '');
+        else file.newPath = filePath.replace(/^b\//, '');
+      }
+      continue;
+    }
+    const range = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (range) {
+      flush(hunk);
+      oldLine = parseInt(range[1], 10);
+      newLine = parseInt(range[2], 10);
+      hunk = { header: line, rows: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue; // index, mode and rename lines
+    if (line.startsWith('-')) {
+      removed.push({ line: oldLine++, text: line.slice(1), kind: 'removed' });
+      file.removed++;
+    } else if (line.startsWith('+')) {
+      added.push({ line: newLine++, text: line.slice(1), kind: 'added' });
+      file.added++;
+    } else if (line.startsWith(' ') || line === '') {
+      flush(hunk);
+      hunk.rows.push({
+        left: { line: oldLine++, text: line.slice(1), kind: 'context' },
+        right: { line: newLine++, text: line.slice(1), kind: 'context' },
+      });
+    }
+    // "\ No newline at end of file" is skipped
+  }
+  flush(hunk);
+  for (const f of files) {
+    if (!f.newPath) f.newPath = f.oldPath;
+    if (!f.oldPath) f.oldPath = f.newPath;
+  }
+  return files;
+}
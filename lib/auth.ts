@@ -0,0 +1,267 @@
+/**
+ * Dashboard sign-in and roles, checked by every API route (requireRole).
+ * People sign in from the users file (scripts/users.js), with the shared DASHBOARD_TOKEN, or through
+ * an OIDC provider (lib/oidc.ts); either way they get an HMAC-signed session cookie.
+ * Configured by routing.config.json `auth`; `"enabled": false` leaves the dashboard open as before.
+ */
+
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { NextRequest, NextResponse } from 'next/server';
+import { loadRoutingConfig, type RoutingConfig } from './routing-config';
+
+export type Role = 'viewer' | 'operator' | 'admin';
+export const ROLES: Role[] = ['viewer', 'operator', 'admin'];
+
+export interface Session {
+  user: string;
+  role: Role;
+  method: 'password' | 'token' | 'oidc' | 'open';
+  exp: number;
+}
+
+// Least role that may run each /api/queue-action action; viewers only read
+export const ACTION_ROLES: Record<string, Role> = {
+  'status': 'viewer',
+  'populate': 'operator',
+  'process-one': 'operator',
+  'add-issue': 'operator',
+  'remove': 'operator',
+  'retry': 'operator',
+  'cancel': 'operator',
+  'set-priority': 'operator',
+  'run-now': 'operator',
+  'reorder': 'operator',
+  'cleanup': 'admin',
+  'clear-all': 'admin',
+  'clear-history': 'admin',
+};
+
+export const SESSION_COOKIE = 'aiq_session';
+const SECRET_FILE = join(process.cwd(), '.dashboard-secret');
+
+export function isRole(value: unknown): value is Role {
+  return ROLES.includes(value as Role);
+}
+
+export function hasRole(session: Session, role: Role): boolean {
+  return ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+export function authSettings(config: RoutingConfig = loadRoutingConfig()) {
+  const auth = config.auth || {};
+  return {
+    enabled: auth.enabled !== false,
+    sessionHours: auth.sessionHours ?? 12,
+    usersFile: join(process.cwd(), auth.usersFile || 'users.json'),
+    tokenRole: isRole(auth.tokenRole) ? auth.tokenRole : 'operator' as Role,
+    publicUrl: auth.publicUrl || null,
+    oidc: auth.oidc || null,
+  };
+}
+
+// ---------- Signed values ----------
+
+let secret: Buffer | null = null;
+
+// DASHBOARD_SESSION_SECRET, or a random one kept in .dashboard-secret so sessions survive restarts
+function sessionSecret(): Buffer {
+  if (secret) return secret;
+  if (process.env.DASHBOARD_SESSION_SECRET) return (secret = Buffer.from(process.env.DASHBOARD_SESSION_SECRET));
+  try {
+    writeFileSync(SECRET_FILE, randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+  } catch {} // already there
+  return (secret = Buffer.from(readFileSync(SECRET_FILE, 'utf8').trim()));
+}
+
+function sign(data: string): string {
+  return createHmac('sha256', sessionSecret()).update(data).digest('base64url');
+}
+
+// `<base64url JSON>.<HMAC>`; values carry their own `exp` (epoch ms)
+export function signValue(value: object): string {
+  const data = Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+export function readSignedValue<T extends { exp: number }>(token: string | undefined): T | null {
+  const [data, mac] = (token || '').split('.');
+  if (!data || !mac) return null;
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(mac);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  try {
+    const value = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return typeof value.exp === 'number' && value.exp > Date.now() ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Users file and token ----------
+
+interface UserEntry { username: string; role: string; password: string }
+
+function readUsers(file: string): UserEntry[] {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8')).users || [];
+  } catch {
+    return [];
+  }
+}
+
+// Same `scrypt$<salt>$<hash>` format scripts/users.js writes
+function passwordMatches(stored: string, password: string): boolean {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function tokenMatches(token: string): boolean {
+  const expected = process.env.DASHBOARD_TOKEN;
+  if (!expected || !token) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Which sign-in methods the login page should offer
+export function loginMethods(settings = authSettings()) {
+  return {
+    password: readUsers(settings.usersFile).length > 0,
+    token: !!process.env.DASHBOARD_TOKEN,
+    oidc: !!settings.oidc,
+  };
+}
+
+// Five wrong attempts on one name from one address lock that pair for a minute (per dashboard
+// process). Keyed by both, so failing from elsewhere can't keep the real user out.
+const failures = new Map<string, { count: number; until: number }>();
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+// The client's address: the proxy's forwarded header when the dashboard sits behind one
+export function clientAddress(request: NextRequest): string {
+  const forwarded = request.headers.get('x-forwarded-for')?.split(',')[0].trim();
+  return request.ip || forwarded || request.headers.get('x-real-ip') || 'unknown';
+}
+
+export function lockedOut(name: string, client: string): boolean {
+  const entry = failures.get(`${name} ${client}`);
+  return !!entry && entry.count >= MAX_FAILURES && entry.until > Date.now();
+}
+
+function noteFailure(name: string, client: string) {
+  const key = `${name} ${client}`;
+  const entry = failures.get(key);
+  const count = entry && entry.until > Date.now() ? entry.count + 1 : 1;
+  failures.set(key, { count, until: Date.now() + LOCKOUT_MS });
+}
+
+export function newSession(user: string, role: Role, method: Session['method'], settings = authSettings()): Session {
+  return { user, role, method, exp: Date.now() + settings.sessionHours * 60 * 60 * 1000 };
+}
+
+// Username/password or shared token → session; null when wrong (and counted toward the lockout
+// for this name and client address)
+export function signIn(credentials: { username?: string; password?: string; token?: string }, client: string): Session | null {
+  const settings = authSettings();
+  if (credentials.token !== undefined) {
+    if (tokenMatches(credentials.token)) return newSession('token', settings.tokenRole, 'token', settings);
+    noteFailure('token', client);
+    return null;
+  }
+  const username = String(credentials.username || '').trim();
+  const user = readUsers(settings.usersFile).find(u => u.username === username);
+  if (user && isRole(user.role) && passwordMatches(user.password, String(credentials.password || ''))) {
+    failures.delete(`${username} ${client}`);
+    return newSession(user.username, user.role, 'password', settings);
+  }
+  noteFailure(username, client);
+  return null;
+}
+
+// ---------- Requests ----------
+
+export function currentSession(request: NextRequest): Session | null {
+  const settings = authSettings();
+  if (!settings.enabled) return { user: 'anonymous', role: 'admin', method: 'open', exp: Infinity };
+
+  // Scripts and curl can send the shared token instead of signing in
+  const bearer = request.headers.get('authorization')?.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return tokenMatches(bearer[1]) ? newSession('token', settings.tokenRole, 'token', settings) : null;
+
+  const session = readSignedValue<Session>(request.cookies.get(SESSION_COOKIE)?.value);
+  if (!session || !isRole(session.role)) return null;
+  if (session.method === 'password') {
+    // Role changes and removed users apply right away, not at the next sign-in
+    const user = readUsers(settings.usersFile).find(u => u.username === session.user);
+    if (!user || !isRole(user.role)) return null;
+    return { ...session, role: user.role };
+  }
+  return session;
+}
+
+// A cookie-carrying POST must come from the dashboard's own pages
+function sameOrigin(request: NextRequest): boolean {
+  const origin = request.headers.get('origin');
+  if (!origin) return true;
+  const publicUrl = authSettings().publicUrl;
+  try {
+    const { host } = new URL(origin);
+    return host === request.headers.get('host') || (!!publicUrl && host === new URL(publicUrl).host);
+  } catch {
+    return false;
+  }
+}
+
+// The session when it holds `role`, else the 401/403 response to return
+export function requireRole(request: NextRequest, role: Role): Session | NextResponse {
+  const session = currentSession(request);
+  if (!session) {
+    // A browser following a link (e.g. to an artifact from a status comment) goes to the login page
+    if (request.method === 'GET' && request.headers.get('accept')?.includes('text/html')) {
+      const next = request.nextUrl.pathname + request.nextUrl.search;
+      return NextResponse.redirect(`${baseUrl(request)}/login?next=${encodeURIComponent(next)}`);
+    }
+    return NextResponse.json({ error: 'Sign in required' }, { status: 401 });
+  }
+  if (!['GET', 'HEAD'].includes(request.method) && !sameOrigin(request)) {
+    return NextResponse.json({ error: 'Cross-origin request refused' }, { status: 403 });
+  }
+  if (!hasRole(session, role)) {
+    console.warn(`🚫 ${session.user} (${session.role}) denied ${request.method} ${request.nextUrl.pathname} — needs ${role}`);
+    return NextResponse.json({ error: `Requires the ${role} role` }, { status: 403 });
+  }
+  return session;
+}
+
+// Only same-site paths, so ?next= can't send anyone elsewhere after signing in
+export function safeNext(next: string | null | undefined): string {
+  return next && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/';
+}
+
+// Where browsers reach the dashboard: `auth.publicUrl`, else what this request was sent to
+export function baseUrl(request: NextRequest): string {
+  const publicUrl = authSettings().publicUrl;
+  if (publicUrl) return publicUrl.replace(/\/$/, '');
+  const proto = request.headers.get('x-forwarded-proto') || request.nextUrl.protocol.replace(':', '');
+  return `${proto}://${request.headers.get('host') || request.nextUrl.host}`;
+}
+
+export function setSessionCookie(response: NextResponse, request: NextRequest, session: Session) {
+  response.cookies.set(SESSION_COOKIE, signValue(session), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: request.nextUrl.protocol === 'https:',
+    path: '/',
+    expires: new Date(session.exp),
+  });
+}
+
+export function clearSessionCookie(response: NextResponse) {
+  response.cookies.set(SESSION_COOKIE, '', { httpOnly: true, sameSite: 'lax', path: '/', maxAge: 0 });
+}
@@ -0,0 +1,120 @@
+/**
+ * OpenID Connect sign-in (authorization code flow) for routing.config.json `auth.oidc`.
+ * The ID token's RS256 signature is checked against the provider's JWKS; its groups (or
+ * whichever claim `roleClaim` names) decide the dashboard role. Try it with scripts/fake-oidc.js.
+ */
+
+import { createPublicKey, verify, type JsonWebKey } from 'crypto';
+import { isRole, type Role } from './auth';
+import type { RoutingConfig } from './routing-config';
+
+export type OidcConfig = NonNullable<NonNullable<RoutingConfig['auth']>['oidc']>;
+
+interface Discovery {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+}
+
+// State and nonce for one sign-on round trip (signed, like the session cookie)
+export const OIDC_COOKIE = 'aiq_oidc';
+
+const CACHE_MS = 10 * 60 * 1000;
+const discoveryCache = new Map<string, { doc: Discovery; at: number }>();
+const jwksCache = new Map<string, { keys: JsonWebKey[]; at: number }>();
+
+async function fetchJson(url: string, init?: RequestInit): Promise<any> {
+  const res = await fetch(url, { ...init, cache: 'no-store', signal: AbortSignal.timeout(10000) });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${url} → HTTP ${res.status}${body.error ? ` (${body.error})` : ''}`);
+  return body;
+}
+
+async function discover(issuer: string): Promise<Discovery> {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.doc;
+  const doc = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  discoveryCache.set(issuer, { doc, at: Date.now() });
+  return doc;
+}
+
+async function signingKey(jwksUri: string, kid: string | undefined): Promise<JsonWebKey> {
+  const find = (keys: JsonWebKey[]) => keys.find(k => k.kty === 'RSA' && (!kid || k.kid === kid));
+  const cached = jwksCache.get(jwksUri);
+  const hit = cached && Date.now() - cached.at < CACHE_MS ? find(cached.keys) : undefined;
+  if (hit) return hit;
+  // Unknown kid: the provider may have rotated keys, so refetch once
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, at: Date.now() });
+  const key = find(keys);
+  if (!key) throw new Error(`No RSA signing key${kid ? ` "${kid}"` : ''} in ${jwksUri}`);
+  return key;
+}
+
+export async function authorizationUrl(oidc: OidcConfig, redirectUri: string, state: string, nonce: string): Promise<string> {
+  const { authorization_endpoint } = await discover(oidc.issuer);
+  const url = new URL(authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', oidc.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', oidc.scopes || 'openid profile email');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  return url.toString();
+}
+
+// Code → verified ID token claims
+export async function exchangeCode(oidc: OidcConfig, code: string, redirectUri: string, nonce: string): Promise<Record<string, any>> {
+  const doc = await discover(oidc.issuer);
+  const tokens = await fetchJson(doc.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: oidc.clientId,
+      client_secret: process.env.OIDC_CLIENT_SECRET || '',
+    }),
+  });
+  if (!tokens.id_token) throw new Error('Token response has no id_token');
+  return verifyIdToken(oidc, doc, tokens.id_token, nonce);
+}
+
+async function verifyIdToken(oidc: OidcConfig, doc: Discovery, idToken: string, nonce: string) {
+  const [header, payload, signature] = idToken.split('.');
+  if (!header || !payload || !signature) throw new Error('Malformed id_token');
+  const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  if (alg !== 'RS256') throw new Error(`Unsupported id_token algorithm ${alg}`);
+  const key = createPublicKey({ key: await signingKey(doc.jwks_uri, kid), format: 'jwk' });
+  if (!verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, 'base64url'))) {
+    throw new Error('id_token signature does not verify');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== doc.issuer) throw new Error(`id_token issuer ${claims.iss} is not ${doc.issuer}`);
+  if (!audience.includes(oidc.clientId)) throw new Error('id_token was issued to another client');
+  if (!(claims.exp * 1000 > Date.now())) throw new Error('id_token has expired');
+  if (claims.nonce !== nonce) throw new Error('id_token nonce does not match');
+  return claims;
+}
+
+export function userFromClaims(claims: Record<string, any>): string {
+  return claims.preferred_username || claims.email || claims.sub;
+}
+
+// Highest role whose `roles` list names one of the user's groups, their username or email;
+// otherwise `defaultRole` (viewer unless set; null refuses everyone else)
+export function roleFromClaims(oidc: OidcConfig, claims: Record<string, any>): Role | null {
+  const claim = claims[oidc.roleClaim || 'groups'];
+  const names = [...(Array.isArray(claim) ? claim : claim ? [claim] : []), claims.preferred_username, claims.email]
+    .filter(Boolean)
+    .map((n: unknown) => String(n).toLowerCase());
+  for (const role of ['admin', 'operator', 'viewer'] as Role[]) {
+    if ((oidc.roles?.[role] || []).some(n => names.includes(n.toLowerCase()))) return role;
+  }
+  if (oidc.defaultRole === null) return null;
+  return isRole(oidc.defaultRole) ? oidc.defaultRole : 'viewer';
+}
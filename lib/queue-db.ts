@@ -0,0 +1,15 @@
+/**
+ * Read-only access to queue-history.db for API routes
+ * scripts/db.js owns the schema and all writes; routes only ever read
+ */
+
+import Database from 'better-sqlite3';
+import { join } from 'path';
+
+export const DB_PATH = join(process.cwd(), 'queue-history.db');
+
+export function openReadonlyDB() {
+  const db = new Database(DB_PATH, { readonly: true });
+  db.pragma('journal_mode = WAL');
+  return db;
+}
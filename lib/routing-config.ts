@@ -0,0 +1,60 @@
+/**
+ * Read-only view of routing.config.json for API routes
+ * Pipeline and retry lookups use the worker's own modules (scripts/routing.js, scripts/retry-policy.js)
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+export interface PipelineConfig {
+  script?: string | null;
+  prompt?: string | null;
+  provider?: string;
+  model?: string | null;
+  resources?: string[];
+  maxRetries?: number;
+  retryOn?: string[];
+  enabled?: boolean;
+  windows?: string[];
+  quietHours?: string[];
+}
+
+export interface RoutingConfig {
+  defaults: Record<string, any>;
+  pipelines: Record<string, PipelineConfig>;
+  routing: Record<string, string>;
+  resources?: Record<string, { slots: number } | number>;
+  pricing?: Record<string, { inputPerMTok?: number; outputPerMTok?: number }>;
+  budgets?: { dailyUsd?: number; monthlyUsd?: number };
+  commands?: { allowlist?: string[]; poll?: boolean; pollEveryTicks?: number };
+  statusReporting?: { enabled?: boolean; dashboardUrl?: string; labels?: Record<string, string> };
+  clarification?: { enabled?: boolean; maxRounds?: number; checkEveryTicks?: number };
+  priority?: { default?: string; rules?: Record<string, string>; agingHours?: number; maxAgingBoost?: number };
+  planning?: { maxSubtasks?: number; childPipeline?: string; createSubIssues?: boolean };
+  repos?: Record<string, Record<string, any>>;
+  auth?: {
+    enabled?: boolean;
+    sessionHours?: number;
+    usersFile?: string;
+    tokenRole?: string;
+    publicUrl?: string;
+    oidc?: {
+      issuer: string;
+      clientId: string;
+      scopes?: string;
+      roleClaim?: string;
+      roles?: Record<string, string[]>;
+      defaultRole?: string | null;
+    } | null;
+  };
+}
+
+const CONFIG_FILE = join(process.cwd(), 'routing.config.json');
+
+export function loadRoutingConfig(): RoutingConfig {
+  try {
+    return JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+  } catch {
+    return { defaults: { pipeline: 'implement' }, pipelines: {}, routing: { '*': 'implement' } };
+  }
+}
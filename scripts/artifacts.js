@@ -0,0 +1,84 @@
+// Artifact layout: artifacts/{owner}/{repo}/{issue}/run-{runId}/, one folder per run so a retry
+// never overwrites the files of the attempt before it. Every script that reads or writes artifacts,
+// and the dashboard's API routes, build their paths here. Folders in the older layouts are moved
+// by scripts/migrate-artifacts.js.
+
+const fs = require('fs');
+const path = require('path');
+
+// Bundled into a dashboard route __dirname is the compiled route's folder, not scripts/; the
+// dashboard runs from the project root
+const ROOT = path.basename(__dirname) === 'scripts'
+  ? path.join(__dirname, '..', 'artifacts')
+  : path.join(process.cwd(), 'artifacts');
+const DEFAULT_OWNER = 'epiphanyapps';
+const DEFAULT_REPO = 'MapYourHealth';
+const RUN_DIR = /^run-(\d+)$/;
+const ISSUE_DIR = /^-?\d+$/;
+
+// [owner, name] — items without a repo belong to the default one, like the pipelines' env
+function repoParts(repo) {
+  if (!repo) return [DEFAULT_OWNER, DEFAULT_REPO];
+  return repo.includes('/') ? repo.split('/') : [DEFAULT_OWNER, repo];
+}
+
+function issueDir(repo, issueNumber) {
+  return path.join(ROOT, ...repoParts(repo), String(issueNumber));
+}
+
+function runDir(repo, issueNumber, runId) {
+  return path.join(issueDir(repo, issueNumber), `run-${runId}`);
+}
+
+// The issue's run folders, newest first: [{ runId, dir }]
+function runFolders(issueFolder) {
+  if (!fs.existsSync(issueFolder)) return [];
+  return fs.readdirSync(issueFolder)
+    .map(name => (name.match(RUN_DIR) || [])[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map(runId => ({ runId, dir: path.join(issueFolder, `run-${runId}`) }));
+}
+
+// The issue's newest run folder, or null before its first run
+function latestRunDir(repo, issueNumber) {
+  const [latest] = runFolders(issueDir(repo, issueNumber));
+  return latest ? latest.dir : null;
+}
+
+// `artifacts/...` as shown in messages and used under /api/artifacts
+function relativeDir(dir) {
+  return path.relative(path.join(ROOT, '..'), dir).split(path.sep).join('/');
+}
+
+function subdirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+}
+
+// Issue folders in the current layout: [{ dir, repo, issueNumber }]
+function issueFolders() {
+  if (!fs.existsSync(ROOT)) return [];
+  const folders = [];
+  // Owner folders (anything else at the top, e.g. builds/, has no repo/issue folders)
+  for (const owner of subdirs(ROOT).filter(n => !ISSUE_DIR.test(n))) {
+    for (const repoName of subdirs(path.join(ROOT, owner))) {
+      for (const issue of subdirs(path.join(ROOT, owner, repoName)).filter(n => ISSUE_DIR.test(n))) {
+        folders.push({ dir: path.join(ROOT, owner, repoName, issue), repo: `${owner}/${repoName}`, issueNumber: parseInt(issue, 10) });
+      }
+    }
+  }
+  return folders;
+}
+
+// Folders in an older layout: [{ dir, repo (null when unknown), issueNumber }]
+function legacyFolders() {
+  if (!fs.existsSync(ROOT)) return [];
+  const topLevel = subdirs(ROOT)
+    .filter(name => ISSUE_DIR.test(name))
+    .map(name => ({ dir: path.join(ROOT, name), repo: null, issueNumber: parseInt(name, 10) }));
+  const flat = issueFolders().filter(folder => fs.readdirSync(folder.dir).some(entry => !RUN_DIR.test(entry)));
+  return [...topLevel, ...flat];
+}
+
+module.exports = { ROOT, repoParts, issueDir, runDir, runFolders, latestRunDir, relativeDir, issueFolders, legacyFolders };
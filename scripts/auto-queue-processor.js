@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 // Auto Queue Processor - Fixes "1 queued, 0 processing" issue
-// Automatically starts processing when items are queued but nothing is running
+// Automatically kicks the worker when items are queued; the worker starts one if a lane is free
 
 const fs = require('fs');
 const path = require('path');
@@ -12,7 +12,7 @@ const CHECK_INTERVAL = 10000; // Check every 10 seconds
 
 function loadQueueState() {
     if (!fs.existsSync(QUEUE_STATE_FILE)) {
-        return { queue: [], processing: null, completed: [], failed: [] };
+        return { queue: [], processing: [], completed: [], failed: [] };
     }
     return JSON.parse(fs.readFileSync(QUEUE_STATE_FILE, 'utf8'));
 }
@@ -32,14 +32,14 @@ function checkAndProcess() {
     try {
         const state = loadQueueState();
         const hasQueuedItems = state.queue && state.queue.length > 0;
-        const isProcessing = state.processing !== null && state.processing !== undefined;
-        
-        if (hasQueuedItems && !isProcessing) {
-            console.log(`📋 Found ${state.queue.length} queued items, 0 processing - starting auto-process`);
+        const processingCount = Array.isArray(state.processing) ? state.processing.length : (state.processing ? 1 : 0);
+
+        // The worker only claims an item when its resources have a free lane, so it is
+        // safe to kick it whenever something is queued
+        if (hasQueuedItems) {
+            console.log(`📋 Found ${state.queue.length} queued items, ${processingCount} processing - starting auto-process`);
             startProcessing();
-        } else if (hasQueuedItems && isProcessing) {
-            console.log(`⏳ ${state.queue.length} queued, 1 processing - waiting...`);
-        } else if (!hasQueuedItems) {
+        } else {
             console.log('📭 Queue empty - waiting for items...');
         }
         
@@ -51,7 +51,7 @@ function checkAndProcess() {
 // Main loop
 console.log('🎯 Auto Queue Processor started');
 console.log('Monitoring queue state every 10 seconds...');
-console.log('Will auto-start processing when items are queued but nothing is running');
+console.log('Will auto-start processing when items are queued and a lane is free');
 console.log('Press Ctrl+C to stop');
 
 setInterval(checkAndProcess, CHECK_INTERVAL);
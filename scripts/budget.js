@@ -0,0 +1,24 @@
+// Spend caps from routing.config.json `budgets` ({ dailyUsd, monthlyUsd }, UTC days/months).
+// When a cap is reached, items whose primary provider/model costs money stay queued;
+// free (local) pipelines keep running.
+
+function getBudgets(config) {
+  const budgets = config.budgets || {};
+  return {
+    dailyUsd: budgets.dailyUsd > 0 ? budgets.dailyUsd : null,
+    monthlyUsd: budgets.monthlyUsd > 0 ? budgets.monthlyUsd : null
+  };
+}
+
+// spend = { today, month } from db.getSpend(); returns why paid work is paused, or null
+function budgetExceeded(budgets, spend) {
+  if (budgets.dailyUsd !== null && spend.today >= budgets.dailyUsd) {
+    return `daily budget $${budgets.dailyUsd.toFixed(2)} reached ($${spend.today.toFixed(2)} spent today)`;
+  }
+  if (budgets.monthlyUsd !== null && spend.month >= budgets.monthlyUsd) {
+    return `monthly budget $${budgets.monthlyUsd.toFixed(2)} reached ($${spend.month.toFixed(2)} spent this month)`;
+  }
+  return null;
+}
+
+module.exports = { getBudgets, budgetExceeded };
@@ -0,0 +1,169 @@
+// Run bundles: one .tar.gz per run, for answering "why did run 42 fail?" elsewhere or moving the
+// run to another dashboard. A bundle holds
+//
+//   manifest.json    format/version, where and when it was exported, every file with its size
+//   run.json         the runs row
+//   artifacts.json   its artifacts rows (`file`: path inside files/, null if it lived elsewhere)
+//   files/           the run folder: prompt, solution, pipeline log, result.json, flows, recordings
+//
+// Built and unpacked with the system tar (queue-worker.js export-run / import-run).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const db = require('./db');
+const artifacts = require('./artifacts');
+
+const FORMAT = 'ai-queue-run-bundle';
+const VERSION = 1;
+const TAR_TIMEOUT_MS = 10 * 60 * 1000;
+const REPO = /^[\w.-]+\/[\w.-]+$/;
+
+// Every file under `dir`, relative to it with forward slashes
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, rel) : [rel];
+  });
+}
+
+// `rel` names something inside `dir`: not absolute, and no `..` that climbs out of it
+function insideDir(dir, rel) {
+  if (typeof rel !== 'string' || rel === '' || path.isAbsolute(rel)) return false;
+  const back = path.relative(dir, path.resolve(dir, rel));
+  return back !== '' && back.split(path.sep)[0] !== '..' && !path.isAbsolute(back);
+}
+
+// Entries under `dir` that aren't plain files or folders (symlinks, devices, ...), relative to it
+function specialEntries(dir, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return specialEntries(dir, rel);
+    return entry.isFile() ? [] : [rel];
+  });
+}
+
+// Bundles come from other people: refuse anything that would place files or artifact rows
+// outside the new run's folder
+function checkBundle(manifest, run, rows, filesDir) {
+  if (run.repo && !(REPO.test(run.repo) && run.repo.split('/').every(part => part !== '.' && part !== '..'))) {
+    throw new Error(`Bundle has an invalid repo: ${JSON.stringify(run.repo)}`);
+  }
+  if (!Number.isInteger(manifest.run && manifest.run.issueNumber)) throw new Error('Bundle has no valid issue number');
+  if (!Array.isArray(manifest.files) || !Array.isArray(rows)) throw new Error('Not a run bundle: file lists are missing');
+  if (!fs.lstatSync(filesDir).isDirectory()) throw new Error('Not a run bundle: files/ is not a folder');
+  const special = specialEntries(filesDir);
+  if (special.length > 0) throw new Error(`Bundle contains symlinks or special files: ${special.join(', ')}`);
+  const outside = [...manifest.files.map(f => f.path), ...rows.filter(r => r.file != null).map(r => r.file)]
+    .filter(rel => !insideDir(filesDir, rel));
+  if (outside.length > 0) throw new Error(`Bundle names files outside its run folder: ${outside.join(', ')}`);
+}
+
+function runFolder(run) {
+  return run.artifacts_path
+    ? path.join(artifacts.ROOT, '..', run.artifacts_path)
+    : artifacts.runDir(run.repo, parseInt(run.issue_id, 10), run.id);
+}
+
+function withStaging(prefix, fn) {
+  const staging = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  try {
+    return fn(staging);
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+// Write run `runId` to `outFile`; returns { file, files, bytes }
+function exportRun(runId, outFile) {
+  const { artifacts: rows, ...run } = db.getRunById(runId) || {};
+  if (!run.id) throw new Error(`Run ${runId} not found`);
+  const dir = runFolder(run);
+  const files = fs.existsSync(dir) ? listFiles(dir) : [];
+  const out = path.resolve(outFile);
+
+  withStaging(`run-${runId}-`, (staging) => {
+    const manifest = {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { host: os.hostname(), runId: run.id, artifactsPath: artifacts.relativeDir(dir) },
+      run: { repo: run.repo, issueNumber: parseInt(run.issue_id, 10), type: run.type, status: run.status },
+      files: files.map(f => ({ path: f, size: fs.statSync(path.join(dir, f)).size }))
+    };
+    const artifactRows = rows.map(row => {
+      const rel = path.relative(dir, row.path);
+      const inside = !rel.startsWith('..') && !path.isAbsolute(rel);
+      return { ...row, file: inside ? rel.split(path.sep).join('/') : null };
+    });
+    fs.writeFileSync(path.join(staging, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(path.join(staging, 'run.json'), JSON.stringify(run, null, 2));
+    fs.writeFileSync(path.join(staging, 'artifacts.json'), JSON.stringify(artifactRows, null, 2));
+
+    // files/ links to the run folder; -h archives what it points to
+    const filesLink = path.join(staging, 'files');
+    if (files.length > 0) fs.symlinkSync(dir, filesLink, 'dir');
+    else fs.mkdirSync(filesLink);
+    try {
+      execFileSync('tar', ['-czhf', out, '-C', staging, '.'], { timeout: TAR_TIMEOUT_MS, stdio: 'pipe' });
+    } finally {
+      // Unlink before the staging dir is removed, so the run folder is never touched
+      if (files.length > 0) fs.unlinkSync(filesLink);
+    }
+  });
+  return { file: out, files: files.length, bytes: fs.statSync(out).size };
+}
+
+// Restore a bundle as a new run (ids are per database); returns { runId, from, dir, files }
+function importRun(bundleFile) {
+  const file = path.resolve(bundleFile);
+  if (!fs.existsSync(file)) throw new Error(`${bundleFile} not found`);
+
+  return withStaging('run-import-', (staging) => {
+    execFileSync('tar', ['-xzf', file, '-C', staging], { timeout: TAR_TIMEOUT_MS, stdio: 'pipe' });
+    const read = (name) => {
+      const p = path.join(staging, name);
+      if (!fs.existsSync(p)) throw new Error(`Not a run bundle: ${name} is missing`);
+      return JSON.parse(fs.readFileSync(p, 'utf8'));
+    };
+    const manifest = read('manifest.json');
+    if (manifest.format !== FORMAT) throw new Error(`Not a run bundle (format: ${manifest.format || 'none'})`);
+    if (manifest.version > VERSION) {
+      throw new Error(`Bundle version ${manifest.version} is newer than this dashboard reads (${VERSION})`);
+    }
+    const run = read('run.json');
+    const rows = read('artifacts.json');
+    const filesDir = path.join(staging, 'files');
+    if (!fs.existsSync(filesDir)) throw new Error('Not a run bundle: files/ is missing');
+    checkBundle(manifest, run, rows, filesDir);
+    const incomplete = manifest.files.filter(f => {
+      const p = path.join(filesDir, f.path);
+      return !fs.existsSync(p) || fs.statSync(p).size !== f.size;
+    });
+    if (incomplete.length > 0) throw new Error(`Bundle is incomplete: ${incomplete.map(f => f.path).join(', ')}`);
+
+    const from = `run ${manifest.source.runId} on ${manifest.source.host}`;
+    const existing = db.findImportedRun(from);
+    if (existing) throw new Error(`Bundle already imported as run ${existing.id}`);
+    let dir;
+    const runId = db.importRun(run, rows, {
+      importedFrom: from,
+      placeFiles: (id) => {
+        dir = artifacts.runDir(run.repo, manifest.run.issueNumber, id);
+        try {
+          fs.mkdirSync(dir, { recursive: true });
+          fs.cpSync(filesDir, dir, { recursive: true });
+        } catch (e) {
+          fs.rmSync(dir, { recursive: true, force: true });
+          throw e;
+        }
+        db.updateRun(id, { artifacts_path: artifacts.relativeDir(dir) });
+        return dir;
+      }
+    });
+    return { runId, from, dir: artifacts.relativeDir(dir), files: manifest.files.length };
+  });
+}
+
+module.exports = { exportRun, importRun, FORMAT, VERSION };
@@ -0,0 +1,100 @@
+// Clarification round-trips. A model that can't act on an issue replies with a
+// NEEDS_CLARIFICATION block; the worker parks the item in `needs-input`, posts the questions
+// on the issue and, once the issue author (or someone on commands.allowlist) replies,
+// requeues it with the Q&A appended to the prompt. Settings: routing.config.json `clarification`.
+
+const db = require('./db');
+
+const MARKER = '<!-- ai-queue:clarification -->';
+const BLOCK_HEADER = /^\s*(?:#+\s*)?\**NEEDS_CLARIFICATION\**\s*:?\s*$/;
+const QUESTION = /^\s*(?:[-*]|\d+[.)])\s+(.+?)\s*$/;
+const MAX_QUESTIONS = 5;
+
+function settings(config) {
+  const cfg = config.clarification || {};
+  return {
+    enabled: cfg.enabled !== false,
+    maxRounds: cfg.maxRounds || 2,
+    checkEveryTicks: cfg.checkEveryTicks || 2
+  };
+}
+
+// Whether the model may still ask (rounds are capped so an item can't bounce forever). Local
+// sub-tasks have no issue to ask on.
+function canAsk(config, item) {
+  const cfg = settings(config);
+  if (db.isLocalIssue(item.issue_number)) return false;
+  return cfg.enabled && db.parseClarifications(item.clarifications).length < cfg.maxRounds;
+}
+
+// Appended to the system prompt while the item can still ask
+const INSTRUCTIONS = `
+
+## If the issue is unclear
+
+If the issue is too ambiguous to act on, do not guess. Reply with only this block instead of a solution:
+
+NEEDS_CLARIFICATION
+- <first question>
+- <second question>
+
+Ask at most ${MAX_QUESTIONS} short, specific questions.`;
+
+// Questions from a NEEDS_CLARIFICATION block, or null when the reply is a normal solution
+function parseQuestions(text) {
+  const lines = String(text || '').split('\n').filter(line => !/^\s*```/.test(line));
+  const start = lines.findIndex(line => BLOCK_HEADER.test(line));
+  if (start === -1) return null;
+  const questions = [];
+  for (const line of lines.slice(start + 1)) {
+    const match = line.match(QUESTION);
+    if (match) questions.push(match[1]);
+    else if (line.trim() && questions.length > 0) break;
+  }
+  return questions.length > 0 ? questions.slice(0, MAX_QUESTIONS) : null;
+}
+
+function formatQuestionsComment(questions) {
+  return [
+    MARKER,
+    '### 🤖 A few questions before I start',
+    '',
+    ...questions.map((q, i) => `${i + 1}. ${q}`),
+    '',
+    '_Reply in a comment and the issue goes straight back into the queue._'
+  ].join('\n');
+}
+
+// Answered rounds as prompt context
+function promptSection(item) {
+  const answered = db.parseClarifications(item.clarifications).filter(r => r.answer);
+  if (answered.length === 0) return '';
+  const rounds = answered.map(r => [
+    ...r.questions.map((q, i) => `Q${i + 1}: ${q}`),
+    `Answer${r.answeredBy ? ` (${r.answeredBy})` : ''}:`,
+    r.answer
+  ].join('\n'));
+  return `\n\n## Clarifications\n\n${rounds.join('\n\n')}`;
+}
+
+function openRound(item) {
+  const rounds = db.parseClarifications(item.clarifications);
+  const last = rounds[rounds.length - 1];
+  return last && !last.answer ? last : null;
+}
+
+// A comment counts as an answer when it was written after the questions, by the issue author
+// or an allowlisted user, and isn't one of the worker's own comments or an /ai command
+function isAnswer(config, round, issueAuthor, comment) {
+  const body = (comment.body || '').trim();
+  const author = ((comment.user && comment.user.login) || '').toLowerCase();
+  if (!body || body.includes('<!-- ai-queue:')) return false;
+  if (body.split('\n').every(line => !line.trim() || /^\/ai\s/i.test(line.trim()))) return false;
+  if (new Date(comment.created_at).getTime() <= new Date(round.askedAt).getTime()) return false;
+  const allowlist = ((config.commands || {}).allowlist || []).map(l => l.toLowerCase());
+  return author === (issueAuthor || '').toLowerCase() || allowlist.includes(author);
+}
+
+module.exports = {
+  MARKER, INSTRUCTIONS, settings, canAsk, parseQuestions, formatQuestionsComment, promptSection, openRound, isAnswer
+};
@@ -0,0 +1,165 @@
+// `/ai <command>` lines in issue comments, delivered by the webhook (scripts/webhook.js) or
+// by polling each watched repo's comments. Only logins in routing.config.json
+// `commands.allowlist` are obeyed; every handled comment gets a reply on the issue.
+//
+//   /ai retry                     requeue a failed / needs-input item (queues the issue if untracked)
+//   /ai cancel                    stop a processing item, or drop a queued one
+//   /ai priority <critical|high|medium|low>
+//   /ai pipeline <name>           run with this pipeline instead of the label-routed one
+
+const db = require('./db');
+const github = require('./github');
+const { watchedRepos } = require('./repos');
+const { LEVELS } = require('./priority');
+
+const PRIORITIES = Object.keys(LEVELS);
+const USAGE = `retry, cancel, priority <${PRIORITIES.join('|')}>, pipeline <name>`;
+
+// Loaded lazily: queue-worker.js requires this module while it is still initializing
+const worker = () => require('./queue-worker');
+
+function parseCommands(body) {
+  return String(body || '').split('\n')
+    .map(line => line.trim().match(/^\/ai\s+(\S+)(.*)$/i))
+    .filter(Boolean)
+    .map(m => ({ name: m[1].toLowerCase(), args: m[2].trim().split(/\s+/).filter(Boolean) }));
+}
+
+function isAllowed(config, login) {
+  const allowlist = ((config.commands || {}).allowlist || []).map(l => l.toLowerCase());
+  return !!login && allowlist.includes(login.toLowerCase());
+}
+
+// The enqueue path for commands on an issue that isn't tracked yet
+async function enqueueFromCommand(ctx, opts) {
+  const issue = ctx.issue || await github.getIssue(ctx.repo, ctx.issueNumber);
+  worker().enqueueIssue(ctx.repo, issue, opts);
+  db.generateCacheFile();
+  return db.getItem(ctx.repo, ctx.issueNumber);
+}
+
+// Apply one command; returns the line reported back on the issue
+async function runCommand(config, ctx, { name, args }) {
+  const item = db.getItem(ctx.repo, ctx.issueNumber);
+  switch (name) {
+    case 'retry':
+      if (!item) {
+        await enqueueFromCommand(ctx);
+        return 'added to the queue';
+      }
+      if (!['failed', 'needs-input'].includes(item.status)) return `nothing to retry — item is ${item.status}`;
+      await worker().retryItem(item);
+      return 'moved back to the queue';
+
+    case 'cancel':
+      if (item && item.status === 'processing') {
+        await worker().cancelItem(item);
+        return 'cancelled the running pipeline';
+      }
+      if (item && item.status === 'queued') {
+        db.removeItem(item.repo, item.issue_number);
+        db.generateCacheFile();
+        return 'removed from the queue';
+      }
+      return item ? `nothing to cancel — item is ${item.status}` : 'nothing to cancel — issue is not queued';
+
+    case 'priority': {
+      const priority = (args[0] || '').toLowerCase();
+      if (!PRIORITIES.includes(priority)) return `unknown priority \`${args[0] || ''}\` — use ${PRIORITIES.join(', ')}`;
+      if (!item) {
+        await enqueueFromCommand(ctx, { priority });
+        return `added to the queue with ${priority} priority`;
+      }
+      db.setItemPriority(item.repo, item.issue_number, priority);
+      db.generateCacheFile();
+      return `priority set to ${priority}`;
+    }
+
+    case 'pipeline': {
+      const pipeline = (args[0] || '').toLowerCase();
+      const pipelineCfg = config.pipelines[pipeline];
+      if (!pipelineCfg) return `unknown pipeline \`${args[0] || ''}\` — use ${Object.keys(config.pipelines).join(', ')}`;
+      if (pipelineCfg.enabled === false) return `pipeline ${pipeline} is disabled`;
+      const target = item || await enqueueFromCommand(ctx);
+      db.setItemPipeline(target.repo, target.issue_number, pipeline);
+      db.generateCacheFile();
+      if (!item) return `added to the queue with the ${pipeline} pipeline`;
+      return item.status === 'processing' ? `pipeline set to ${pipeline} (applies from the next run)` : `pipeline set to ${pipeline}`;
+    }
+
+    default:
+      return `unknown command — try ${USAGE}`;
+  }
+}
+
+// Reply quotes the commands (`> /ai ...` doesn't parse as a command, so replies never re-trigger)
+function formatReply(results) {
+  const quoted = results.map(r => `> /ai ${[r.command, ...r.args].join(' ')}`).join('\n');
+  const lines = results.map(r => `- \`${[r.command, ...r.args].join(' ')}\` → ${r.message}`).join('\n');
+  return `${quoted}\n\n${lines}`;
+}
+
+// ctx: { commentId, repo, issueNumber, issue (optional, fetched when needed), author, body }
+async function handleComment(config, ctx) {
+  const parsed = parseCommands(ctx.body);
+  if (parsed.length === 0) return { result: 'ignored', reason: 'no /ai command' };
+  if (!isAllowed(config, ctx.author)) {
+    worker().log(`🚫 Ignored /ai command from ${ctx.author} on ${ctx.repo}#${ctx.issueNumber} — not on commands.allowlist`);
+    return { result: 'ignored', reason: `${ctx.author} is not on the command allowlist` };
+  }
+  if (!db.claimComment(ctx.commentId, ctx.repo, ctx.issueNumber, ctx.author)) {
+    return { result: 'ignored', reason: 'comment already handled' };
+  }
+
+  const results = [];
+  for (const cmd of parsed) {
+    let message;
+    let outcome = 'ok';
+    try {
+      message = await runCommand(config, ctx, cmd);
+    } catch (err) {
+      message = `failed: ${err.message}`;
+      outcome = 'failed';
+    }
+    db.recordAudit({
+      actor: ctx.author, source: 'github', action: `/ai ${cmd.name}`,
+      target: [`${ctx.repo}#${ctx.issueNumber}`, ...cmd.args].join(' '), outcome
+    });
+    worker().log(`💬 /ai ${[cmd.name, ...cmd.args].join(' ')} on ${ctx.repo}#${ctx.issueNumber} by ${ctx.author}: ${message}`);
+    results.push({ command: cmd.name, args: cmd.args, message });
+  }
+
+  try {
+    await github.postComment(ctx.repo, ctx.issueNumber, formatReply(results));
+  } catch (err) {
+    worker().log(`⚠️ Could not reply on ${ctx.repo}#${ctx.issueNumber}: ${err.message}`);
+  }
+  return { result: 'commands', author: ctx.author, commands: results };
+}
+
+// Polling mode: read comments updated since the last poll in every watched repo.
+// The first poll of a repo only sets the cursor, so old comments are never replayed.
+async function pollCommands(config) {
+  for (const repo of watchedRepos(config)) {
+    const since = db.getCommentCursor(repo.name);
+    if (!since) {
+      db.setCommentCursor(repo.name, new Date().toISOString());
+      continue;
+    }
+    let latest = since;
+    for (const comment of await github.listRepoComments(repo.name, since)) {
+      if (comment.updated_at > latest) latest = comment.updated_at;
+      if (comment.html_url && comment.html_url.includes('/pull/')) continue; // PR conversation, not an issue
+      await handleComment(config, {
+        commentId: comment.id,
+        repo: repo.name,
+        issueNumber: parseInt(comment.issue_url.split('/').pop(), 10),
+        author: comment.user && comment.user.login,
+        body: comment.body
+      });
+    }
+    db.setCommentCursor(repo.name, latest);
+  }
+}
+
+module.exports = { parseCommands, isAllowed, handleComment, pollCommands };
@@ -1,10 +1,15 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { orderBySql } = require('./priority');
+const { BLOCKING_EDGES } = require('./dependencies');
 
 const DB_PATH = path.join(__dirname, '..', 'queue-history.db');
 const QUEUE_STATE_FILE = path.join(__dirname, '..', 'queue-state.json');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 let db;
+// ORDER BY for queued items — the worker installs the one for its config (setQueueOrderBy)
+let queueOrder = orderBySql({});
 
 function getDB() {
   if (!db) {
@@ -14,79 +19,135 @@ function getDB() {
   return db;
 }
 
+// Schema changes live in scripts/migrations/NNN-name.js (each exports `up(db)`), applied in
+// order and recorded in schema_migrations. `node scripts/db.js migrate | status` from the CLI.
 function initDB() {
+  const d = getDB();
+  migrate();
+  pruneEvents();
+  return d;
+}
+
+// ========== Migrations ==========
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)-(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: parseInt(version, 10), name, file }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function appliedMigrations() {
   const d = getDB();
   d.exec(`
-    CREATE TABLE IF NOT EXISTS runs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      issue_id TEXT NOT NULL,
-      title TEXT NOT NULL,
-      repo TEXT,
-      type TEXT DEFAULT 'coding',
-      labels TEXT,
-      priority TEXT DEFAULT 'medium',
-      status TEXT DEFAULT 'queued',
-      started_at TEXT,
-      completed_at TEXT,
-      processing_time_ms INTEGER,
-      model TEXT,
-      solution TEXT,
-      error TEXT,
-      error_class TEXT,
-      retry_count INTEGER DEFAULT 0,
-      artifacts_path TEXT,
-      github_url TEXT,
-      pr_url TEXT,
-      created_at TEXT DEFAULT (datetime('now'))
-    );
-    CREATE TABLE IF NOT EXISTS artifacts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      run_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      type TEXT DEFAULT 'log',
-      path TEXT NOT NULL,
-      size_bytes INTEGER,
-      created_at TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (run_id) REFERENCES runs(id)
-    );
-    CREATE TABLE IF NOT EXISTS queue_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      issue_number INTEGER NOT NULL,
-      repo TEXT,
-      title TEXT NOT NULL,
-      body TEXT,
-      labels TEXT,
-      priority TEXT DEFAULT 'medium',
-      status TEXT DEFAULT 'queued',
-      added_at TEXT DEFAULT (datetime('now')),
-      started_at TEXT,
-      completed_at TEXT,
-      error TEXT,
-      error_class TEXT,
-      retry_count INTEGER DEFAULT 0,
-      url TEXT
-    );
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
   `);
+  return new Map(d.prepare('SELECT version, name, applied_at FROM schema_migrations').all().map(r => [r.version, r]));
+}
 
-  // Add composite unique index (repo, issue_number) — replaces old UNIQUE on issue_number alone
-  try { d.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_queue_repo_issue ON queue_items(repo, issue_number)'); } catch {}
+// Apply pending migrations, each in its own transaction; returns the ones applied
+function migrate() {
+  const d = getDB();
+  const applied = appliedMigrations();
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  for (const m of pending) {
+    const { up } = require(path.join(MIGRATIONS_DIR, m.file));
+    d.transaction(() => {
+      // Another process may have applied it since we looked
+      if (d.prepare('SELECT 1 FROM schema_migrations WHERE version = ?').get(m.version)) return;
+      up(d);
+      d.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(m.version, m.name);
+    }).immediate();
+  }
+  return pending;
+}
 
-  // Drop old unique index on issue_number alone if it exists (SQLite: recreate table or just ignore)
-  // The CREATE TABLE no longer has UNIQUE on issue_number, so new DBs are fine.
-  // Existing DBs: the composite index takes priority for INSERT OR IGNORE via the new index.
+function migrationStatus() {
+  const applied = appliedMigrations();
+  return loadMigrations().map(m => ({
+    version: m.version, name: m.name,
+    applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+  }));
+}
 
-  // Add columns to queue_items if missing (for existing DBs)
-  try { d.exec('ALTER TABLE queue_items ADD COLUMN pr_number INTEGER'); } catch {}
-  try { d.exec('ALTER TABLE queue_items ADD COLUMN pr_url TEXT'); } catch {}
+// ========== Events ==========
+// Append-only feed the dashboard tails over SSE (/api/events). Types:
+//   item.enqueued, item.started, item.requeued, item.completed, item.failed, item.needs_input,
+//   item.removed, item.updated, item.planned, queue.cleared, queue.reordered, dependency.resolved,
+//   pr.opened, pr.merged, log.line
 
-  // Add columns to runs if missing (for existing DBs)
-  try { d.exec('ALTER TABLE runs ADD COLUMN error_class TEXT'); } catch {}
-  try { d.exec('ALTER TABLE runs ADD COLUMN retry_count INTEGER DEFAULT 0'); } catch {}
+const EVENT_RETENTION_HOURS = 24;
+let eventsSincePrune = 0;
 
-  return d;
+function publishEvent(type, payload = {}) {
+  const d = getDB();
+  try {
+    d.prepare('INSERT INTO events (type, issue_number, payload) VALUES (?, ?, ?)')
+      .run(type, payload.issueNumber || null, JSON.stringify(payload));
+  } catch {
+    return; // events table missing (DB not initialised yet) — the feed is best-effort
+  }
+  if (++eventsSincePrune >= 500) pruneEvents();
+}
+
+function pruneEvents() {
+  eventsSincePrune = 0;
+  const d = getDB();
+  try {
+    d.prepare("DELETE FROM events WHERE created_at < datetime('now', ?)").run(`-${EVENT_RETENTION_HOURS} hours`);
+  } catch {}
+}
+
+// ========== Audit Log ==========
+// Who did what (migration 016). Entries are kept; the table grows by one row per action.
+
+// Returns the entry id, for finishAudit once the outcome is known
+function recordAudit({ actor, role = null, source, action, target = null, outcome = null }) {
+  const d = getDB();
+  return Number(d.prepare(`
+    INSERT INTO audit_log (actor, role, source, action, target, outcome, finished_at)
+    VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END)
+  `).run(actor, role, source, action, target, outcome, outcome).lastInsertRowid);
+}
+
+function finishAudit(id, outcome) {
+  const d = getDB();
+  d.prepare("UPDATE audit_log SET outcome = ?, finished_at = datetime('now') WHERE id = ?").run(outcome, id);
+}
+
+function getAuditLog({ limit = 50, offset = 0, actor = null } = {}) {
+  const d = getDB();
+  return actor
+    ? d.prepare('SELECT * FROM audit_log WHERE actor = ? ORDER BY id DESC LIMIT ? OFFSET ?').all(actor, limit, offset)
+    : d.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ? OFFSET ?').all(limit, offset);
 }
 
 // ========== Queue Operations ==========
+// Items are addressed by (repo, issue_number) — the same issue number can be queued from
+// several repos. `repo` is '' for items whose repo is unknown (pre-multi-repo data).
+
+function itemKey(repo, issueNumber) {
+  return `${repo || ''}#${issueNumber}`;
+}
+
+// Sub-tasks that only exist in the queue (not GitHub issues) get negative issue numbers
+function isLocalIssue(issueNumber) {
+  return issueNumber < 0;
+}
+
+// Issue number as people write it: `112`, or `112.2` for step 2 of #112 when it has no issue of its own
+function refNumber({ issue_number, parent_issue_number, subtask_index }) {
+  return isLocalIssue(issue_number) && parent_issue_number ? `${parent_issue_number}.${subtask_index}` : String(issue_number);
+}
+
+function setQueueOrderBy(orderBy) {
+  queueOrder = orderBy || orderBySql({});
+}
 
 function enqueue({ issue_number, repo, title, body, labels, priority, url }) {
   const d = getDB();
@@ -95,101 +156,183 @@ function enqueue({ issue_number, repo, title, body, labels, priority, url }) {
     VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
   const result = stmt.run(
-    issue_number, repo || null, title,
+    issue_number, repo || '', title,
     body || null, typeof labels === 'string' ? labels : JSON.stringify(labels || []),
     priority || 'medium', url || null
   );
+  if (result.changes > 0) publishEvent('item.enqueued', { issueNumber: issue_number, repo: repo || '', title, priority: priority || 'medium' });
   return result.changes > 0;
 }
 
-function dequeueNext() {
+// Claim the highest-priority queued item that `canRun(item, processingRows)` accepts,
+// skipping items still waiting out a retry backoff. The check runs inside an IMMEDIATE
+// transaction so two workers can't both claim a slot on the same resource.
+function dequeueNext(canRun) {
   const d = getDB();
-  // BEGIN IMMEDIATE prevents race conditions
-  return d.transaction(() => {
-    const item = d.prepare(`
-      SELECT * FROM queue_items WHERE status = 'queued'
-      ORDER BY
-        CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END DESC,
-        added_at ASC
-      LIMIT 1
-    `).get();
+  const claim = d.transaction(() => {
+    const processing = d.prepare("SELECT * FROM queue_items WHERE status = 'processing'").all();
+    const candidates = d.prepare(`
+      SELECT * FROM queue_items q WHERE status = 'queued'
+        AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+        AND NOT EXISTS (SELECT 1 ${BLOCKING_EDGES} AND dep.repo = q.repo AND dep.issue_number = q.issue_number)
+      ORDER BY ${queueOrder}
+    `).all();
+    const item = candidates.find(c => !canRun || canRun(c, processing));
     if (item) {
       d.prepare(`
-        UPDATE queue_items SET status = 'processing', started_at = datetime('now')
+        UPDATE queue_items SET status = 'processing', started_at = datetime('now'), worker_pid = ?, pipeline_pid = NULL,
+          run_now = 0, active_provider = NULL
         WHERE id = ?
-      `).run(item.id);
+      `).run(process.pid, item.id);
       item.status = 'processing';
       item.started_at = new Date().toISOString();
+      item.worker_pid = process.pid;
+      item.pipeline_pid = null;
+      item.active_provider = null;
     }
     return item || null;
-  })();
+  });
+  const item = claim.immediate();
+  if (item) publishEvent('item.started', { issueNumber: item.issue_number, repo: item.repo, title: item.title, workerPid: process.pid });
+  return item;
 }
 
-function completeItem(issueNumber) {
+function completeItem(repo, issueNumber) {
   const d = getDB();
   d.prepare(`
     UPDATE queue_items SET status = 'completed', completed_at = datetime('now')
-    WHERE issue_number = ?
-  `).run(issueNumber);
+    WHERE repo = ? AND issue_number = ?
+  `).run(repo || '', issueNumber);
+  publishEvent('item.completed', { repo: repo || '', issueNumber });
 }
 
-function prOpenItem(issueNumber, { prUrl, prNumber } = {}) {
+function prOpenItem(repo, issueNumber, { prUrl, prNumber } = {}) {
   const d = getDB();
   d.prepare(`
     UPDATE queue_items SET status = 'pr_open', completed_at = datetime('now'), pr_url = ?, pr_number = ?
-    WHERE issue_number = ?
-  `).run(prUrl || null, prNumber || null, issueNumber);
+    WHERE repo = ? AND issue_number = ?
+  `).run(prUrl || null, prNumber || null, repo || '', issueNumber);
+  publishEvent('pr.opened', { repo: repo || '', issueNumber, prUrl: prUrl || null, prNumber: prNumber || null });
 }
 
-function mergeItem(issueNumber) {
+function mergeItem(repo, issueNumber) {
   const d = getDB();
   d.prepare(`
     UPDATE queue_items SET status = 'merged', completed_at = datetime('now')
-    WHERE issue_number = ?
-  `).run(issueNumber);
+    WHERE repo = ? AND issue_number = ?
+  `).run(repo || '', issueNumber);
+  publishEvent('pr.merged', { repo: repo || '', issueNumber });
 }
 
-function failItem(issueNumber, { error, errorClass } = {}) {
+function failItem(repo, issueNumber, { error, errorClass } = {}) {
   const d = getDB();
   d.prepare(`
     UPDATE queue_items SET status = 'failed', completed_at = datetime('now'), error = ?, error_class = ?
-    WHERE issue_number = ?
-  `).run(error || null, errorClass || null, issueNumber);
+    WHERE repo = ? AND issue_number = ?
+  `).run(error || null, errorClass || null, repo || '', issueNumber);
+  publishEvent('item.failed', { repo: repo || '', issueNumber, error: error || null, errorClass: errorClass || null });
 }
 
-function needsInputItem(issueNumber, { error, errorClass } = {}) {
+function needsInputItem(repo, issueNumber, { error, errorClass } = {}) {
   const d = getDB();
   d.prepare(`
     UPDATE queue_items SET status = 'needs-input', completed_at = datetime('now'), error = ?, error_class = ?
-    WHERE issue_number = ?
-  `).run(error || null, errorClass || null, issueNumber);
+    WHERE repo = ? AND issue_number = ?
+  `).run(error || null, errorClass || null, repo || '', issueNumber);
+  publishEvent('item.needs_input', { repo: repo || '', issueNumber, error: error || null });
+}
+
+function parseClarifications(value) {
+  if (!value) return [];
+  try { return JSON.parse(value); } catch { return []; }
 }
 
-function requeueItem(issueNumber) {
+// Model asked questions: park the item in needs-input with a new, unanswered round
+function askClarification(repo, issueNumber, { questions, commentId, error }) {
+  const d = getDB();
+  d.transaction(() => {
+    const row = d.prepare('SELECT clarifications FROM queue_items WHERE repo = ? AND issue_number = ?').get(repo || '', issueNumber);
+    const rounds = parseClarifications(row && row.clarifications);
+    rounds.push({ questions, askedAt: new Date().toISOString(), commentId: commentId || null, answer: null });
+    d.prepare(`
+      UPDATE queue_items SET status = 'needs-input', completed_at = datetime('now'), error = ?, error_class = 'clarification',
+        clarifications = ?
+      WHERE repo = ? AND issue_number = ?
+    `).run(error || null, JSON.stringify(rounds), repo || '', issueNumber);
+  })();
+  publishEvent('item.needs_input', { repo: repo || '', issueNumber, error: error || null, questions });
+}
+
+function setClarificationCommentId(repo, issueNumber, commentId) {
+  const d = getDB();
+  const row = d.prepare('SELECT clarifications FROM queue_items WHERE repo = ? AND issue_number = ?').get(repo || '', issueNumber);
+  const rounds = parseClarifications(row && row.clarifications);
+  if (rounds.length === 0) return;
+  rounds[rounds.length - 1].commentId = commentId;
+  d.prepare('UPDATE queue_items SET clarifications = ? WHERE repo = ? AND issue_number = ?')
+    .run(JSON.stringify(rounds), repo || '', issueNumber);
+}
+
+// Answer the open round and queue the item straight away. Not a retry, so retry_count is untouched.
+function answerClarification(repo, issueNumber, { answer, answeredBy }) {
+  const d = getDB();
+  const answered = d.transaction(() => {
+    const row = d.prepare("SELECT clarifications FROM queue_items WHERE repo = ? AND issue_number = ? AND status = 'needs-input'")
+      .get(repo || '', issueNumber);
+    const rounds = parseClarifications(row && row.clarifications);
+    const open = rounds[rounds.length - 1];
+    if (!open || open.answer) return false;
+    Object.assign(open, { answer, answeredBy: answeredBy || null, answeredAt: new Date().toISOString() });
+    d.prepare(`
+      UPDATE queue_items SET status = 'queued', started_at = NULL, completed_at = NULL, error = NULL, error_class = NULL,
+        worker_pid = NULL, pipeline_pid = NULL, next_attempt_at = NULL, clarifications = ?
+      WHERE repo = ? AND issue_number = ?
+    `).run(JSON.stringify(rounds), repo || '', issueNumber);
+    return true;
+  })();
+  if (answered) publishEvent('item.requeued', { repo: repo || '', issueNumber, reason: 'clarified' });
+  return answered;
+}
+
+// Manual retries run immediately; automatic ones pass `delaySeconds` for backoff
+// and keep the last error so the dashboard can show why it is retrying.
+function requeueItem(repo, issueNumber, { delaySeconds, error, errorClass } = {}) {
   const d = getDB();
   d.prepare(`
-    UPDATE queue_items SET status = 'queued', started_at = NULL, completed_at = NULL, error = NULL, error_class = NULL,
-      retry_count = retry_count + 1
-    WHERE issue_number = ?
-  `).run(issueNumber);
+    UPDATE queue_items SET status = 'queued', started_at = NULL, completed_at = NULL, error = ?, error_class = ?,
+      worker_pid = NULL, pipeline_pid = NULL, retry_count = retry_count + 1,
+      next_attempt_at = CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' seconds') ELSE NULL END
+    WHERE repo = ? AND issue_number = ?
+  `).run(error || null, errorClass || null, delaySeconds || 0, delaySeconds || 0, repo || '', issueNumber);
+  publishEvent('item.requeued', { repo: repo || '', issueNumber, delaySeconds: delaySeconds || 0, error: error || null });
 }
 
-function getRetryCount(issueNumber) {
+function getRetryCount(repo, issueNumber) {
   const d = getDB();
-  const row = d.prepare('SELECT retry_count FROM queue_items WHERE issue_number = ?').get(issueNumber);
+  const row = d.prepare('SELECT retry_count FROM queue_items WHERE repo = ? AND issue_number = ?').get(repo || '', issueNumber);
   return row ? row.retry_count : 0;
 }
 
-function getProcessingItem() {
+function getProcessingItems() {
+  const d = getDB();
+  return d.prepare("SELECT * FROM queue_items WHERE status = 'processing' ORDER BY started_at ASC").all();
+}
+
+function setPipelinePid(id, pid) {
+  const d = getDB();
+  d.prepare('UPDATE queue_items SET pipeline_pid = ? WHERE id = ?').run(pid || null, id);
+}
+
+// The provider a processing item is generating with (counted by the scheduler while it runs)
+function setActiveProvider(id, provider) {
   const d = getDB();
-  return d.prepare("SELECT * FROM queue_items WHERE status = 'processing' LIMIT 1").get() || null;
+  d.prepare('UPDATE queue_items SET active_provider = ? WHERE id = ?').run(provider || null, id);
 }
 
 function getQueuedItems() {
   const d = getDB();
   return d.prepare(`
-    SELECT * FROM queue_items WHERE status = 'queued'
-    ORDER BY CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END DESC, added_at ASC
+    SELECT * FROM queue_items WHERE status = 'queued' ORDER BY ${queueOrder}
   `).all();
 }
 
@@ -198,30 +341,254 @@ function getItemsByStatus(status, limit = 50) {
   return d.prepare(`SELECT * FROM queue_items WHERE status = ? ORDER BY completed_at DESC LIMIT ?`).all(status, limit);
 }
 
-function getItemByIssueNumber(issueNumber) {
+function getItemById(id) {
+  const d = getDB();
+  return d.prepare('SELECT * FROM queue_items WHERE id = ?').get(id) || null;
+}
+
+function getItem(repo, issueNumber) {
+  const d = getDB();
+  return d.prepare('SELECT * FROM queue_items WHERE repo = ? AND issue_number = ?').get(repo || '', issueNumber) || null;
+}
+
+// The item whose pull request this is (webhooks only know the PR number)
+function findItemByPR(repo, prNumber) {
+  const d = getDB();
+  return d.prepare('SELECT * FROM queue_items WHERE repo = ? AND pr_number = ?').get(repo || '', prNumber) || null;
+}
+
+// Labels are read at claim time for routing, so keep a queued item's labels current. A
+// `rulePriority` (from the new labels) replaces the priority unless it was set by hand.
+function setItemLabels(repo, issueNumber, labels, { rulePriority } = {}) {
+  const d = getDB();
+  return d.prepare(`
+    UPDATE queue_items SET labels = ?, priority = CASE WHEN ? IS NULL OR priority_manual = 1 THEN priority ELSE ? END
+    WHERE repo = ? AND issue_number = ? AND status = 'queued'
+  `).run(JSON.stringify(labels || []), rulePriority || null, rulePriority || null, repo || '', issueNumber).changes > 0;
+}
+
+// A priority set by hand sticks through label changes and takes the item out of the manual order
+function setItemPriority(repo, issueNumber, priority) {
+  const d = getDB();
+  const changed = d.prepare(`
+    UPDATE queue_items SET priority = ?, priority_manual = 1, queue_position = NULL WHERE repo = ? AND issue_number = ?
+  `).run(priority, repo || '', issueNumber).changes > 0;
+  if (changed) publishEvent('item.updated', { repo: repo || '', issueNumber, priority });
+  return changed;
+}
+
+// Replace the item's dependency edges ([{ repo, issueNumber }]), keeping what is already
+// known about dependencies that stay
+function setDependencies(repo, issueNumber, deps) {
+  const d = getDB();
+  const keep = new Set(deps.map(dep => `${dep.repo}#${dep.issueNumber}`));
+  const insert = d.prepare(`
+    INSERT OR IGNORE INTO item_dependencies (repo, issue_number, depends_on_repo, depends_on_number) VALUES (?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    const existing = d.prepare('SELECT depends_on_repo, depends_on_number FROM item_dependencies WHERE repo = ? AND issue_number = ?')
+      .all(repo || '', issueNumber);
+    for (const edge of existing) {
+      if (!keep.has(`${edge.depends_on_repo}#${edge.depends_on_number}`)) {
+        d.prepare('DELETE FROM item_dependencies WHERE repo = ? AND issue_number = ? AND depends_on_repo = ? AND depends_on_number = ?')
+          .run(repo || '', issueNumber, edge.depends_on_repo, edge.depends_on_number);
+      }
+    }
+    for (const dep of deps) insert.run(repo || '', issueNumber, dep.repo, dep.issueNumber);
+  })();
+}
+
+// Dependencies still holding the item back: [{ repo, issueNumber, status }] (status of the
+// dependency's queue item, null when it isn't tracked)
+function getBlockers(repo, issueNumber) {
+  const d = getDB();
+  return d.prepare(`
+    SELECT dep.depends_on_repo AS repo, dep.depends_on_number AS issueNumber, blocker.status,
+      blocker.parent_issue_number, blocker.subtask_index
+    ${BLOCKING_EDGES} AND dep.repo = ? AND dep.issue_number = ?
+    ORDER BY dep.depends_on_repo, dep.depends_on_number
+  `).all(repo || '', issueNumber).map(b => ({
+    repo: b.repo, issueNumber: b.issueNumber, status: b.status,
+    ref: `${b.repo}#${refNumber({ issue_number: b.issueNumber, parent_issue_number: b.parent_issue_number, subtask_index: b.subtask_index })}`
+  }));
+}
+
+// Issues other items are still waiting on, for checking whether they were closed (local
+// sub-tasks have no issue — the worker releases them when they finish)
+function getOpenDependencyTargets() {
+  const d = getDB();
+  return d.prepare(`
+    SELECT DISTINCT dep.depends_on_repo AS repo, dep.depends_on_number AS issueNumber
+    ${BLOCKING_EDGES} AND dep.depends_on_number > 0 AND EXISTS (
+      SELECT 1 FROM queue_items q WHERE q.repo = dep.repo AND q.issue_number = dep.issue_number AND q.status = 'queued'
+    )
+  `).all();
+}
+
+// The dependency's issue was closed: everything waiting on it may go
+function resolveDependency(repo, issueNumber) {
+  const d = getDB();
+  const resolved = d.prepare(`
+    UPDATE item_dependencies SET resolved_at = datetime('now')
+    WHERE depends_on_repo = ? COLLATE NOCASE AND depends_on_number = ? AND resolved_at IS NULL
+  `).run(repo || '', issueNumber).changes;
+  if (resolved) publishEvent('dependency.resolved', { repo: repo || '', issueNumber, count: resolved });
+  return resolved;
+}
+
+// ========== Sub-tasks ==========
+// A `plan` run splits an issue into ordered sub-tasks (scripts/plan.js): child items in the
+// same repo that point at their parent and each depend on the step before, so they run one
+// at a time. The parent waits in `planned` until the worker settles it.
+
+// Queue the children ([{ issueNumber, title, body, pipeline, url }], issueNumber only for
+// GitHub sub-issues) and move the parent to `planned`; returns the children's issue numbers
+function planItem(repo, issueNumber, children) {
+  const d = getDB();
+  const numbers = d.transaction(() => {
+    const parent = d.prepare('SELECT priority FROM queue_items WHERE repo = ? AND issue_number = ?').get(repo || '', issueNumber);
+    let nextLocal = Math.min(0, d.prepare('SELECT MIN(issue_number) AS n FROM queue_items WHERE repo = ?').get(repo || '').n || 0) - 1;
+    const insert = d.prepare(`
+      INSERT INTO queue_items (issue_number, repo, title, body, labels, priority, url, pipeline, parent_issue_number, subtask_index)
+      VALUES (?, ?, ?, ?, '[]', ?, ?, ?, ?, ?)
+    `);
+    const dependsOn = d.prepare(`
+      INSERT OR IGNORE INTO item_dependencies (repo, issue_number, depends_on_repo, depends_on_number) VALUES (?, ?, ?, ?)
+    `);
+    const added = [];
+    children.forEach((child, i) => {
+      const number = child.issueNumber || nextLocal--;
+      insert.run(number, repo || '', child.title, child.body || null, (parent && parent.priority) || 'medium',
+        child.url || null, child.pipeline || null, issueNumber, i + 1);
+      if (i > 0) dependsOn.run(repo || '', number, repo || '', added[i - 1]);
+      added.push(number);
+    });
+    d.prepare(`
+      UPDATE queue_items SET status = 'planned', completed_at = NULL, error = NULL, error_class = NULL,
+        worker_pid = NULL, pipeline_pid = NULL
+      WHERE repo = ? AND issue_number = ?
+    `).run(repo || '', issueNumber);
+    return added;
+  })();
+  publishEvent('item.planned', { repo: repo || '', issueNumber, subtasks: numbers });
+  return numbers;
+}
+
+// A planned item's children, in order
+function getSubtasks(repo, issueNumber) {
   const d = getDB();
-  return d.prepare('SELECT * FROM queue_items WHERE issue_number = ?').get(issueNumber) || null;
+  return d.prepare('SELECT * FROM queue_items WHERE repo = ? AND parent_issue_number = ? ORDER BY subtask_index')
+    .all(repo || '', issueNumber);
 }
 
-function removeItem(issueNumber) {
+// Step `index` of #parentNumber — in one repo, or every repo when `repo` is null (CLI `112.2`)
+function findSubtask(repo, parentNumber, index) {
   const d = getDB();
-  return d.prepare('DELETE FROM queue_items WHERE issue_number = ? AND status = ?').run(issueNumber, 'queued').changes > 0;
+  return repo
+    ? d.prepare('SELECT * FROM queue_items WHERE repo = ? AND parent_issue_number = ? AND subtask_index = ?').all(repo, parentNumber, index)
+    : d.prepare('SELECT * FROM queue_items WHERE parent_issue_number = ? AND subtask_index = ? ORDER BY repo').all(parentNumber, index);
+}
+
+// Let a queued item start outside its pipeline's processing windows (cleared once claimed)
+function setRunNow(repo, issueNumber) {
+  const d = getDB();
+  const changed = d.prepare("UPDATE queue_items SET run_now = 1 WHERE repo = ? AND issue_number = ? AND status = 'queued'")
+    .run(repo || '', issueNumber).changes > 0;
+  if (changed) publishEvent('item.updated', { repo: repo || '', issueNumber, runNow: true });
+  return changed;
+}
+
+// Pin queued items to the front of the queue in the given order ([{ repo, issueNumber }]);
+// every other queued item loses its position. An empty list goes back to priority order.
+function setQueueOrder(items) {
+  const d = getDB();
+  const position = d.prepare("UPDATE queue_items SET queue_position = ? WHERE repo = ? AND issue_number = ? AND status = 'queued'");
+  const placed = d.transaction(() => {
+    d.prepare("UPDATE queue_items SET queue_position = NULL WHERE status = 'queued'").run();
+    let n = 0;
+    for (const { repo, issueNumber } of items) {
+      n += position.run(n + 1, repo || '', issueNumber).changes;
+    }
+    return n;
+  })();
+  publishEvent('queue.reordered', { count: placed });
+  return placed;
+}
+
+// Pins the pipeline regardless of labels; null goes back to label routing
+function setItemPipeline(repo, issueNumber, pipeline) {
+  const d = getDB();
+  const changed = d.prepare('UPDATE queue_items SET pipeline = ? WHERE repo = ? AND issue_number = ?')
+    .run(pipeline || null, repo || '', issueNumber).changes > 0;
+  if (changed) publishEvent('item.updated', { repo: repo || '', issueNumber, pipeline: pipeline || null });
+  return changed;
+}
+
+function setStatusCommentId(repo, issueNumber, commentId) {
+  const d = getDB();
+  d.prepare('UPDATE queue_items SET status_comment_id = ? WHERE repo = ? AND issue_number = ?')
+    .run(commentId || null, repo || '', issueNumber);
+}
+
+// Every repo's item with this number (CLI resolves bare `123` when it is unambiguous)
+function findItemsByIssueNumber(issueNumber) {
+  const d = getDB();
+  return d.prepare('SELECT * FROM queue_items WHERE issue_number = ? ORDER BY repo').all(issueNumber);
+}
+
+function removeItem(repo, issueNumber) {
+  const d = getDB();
+  const removed = d.prepare('DELETE FROM queue_items WHERE repo = ? AND issue_number = ? AND status = ?')
+    .run(repo || '', issueNumber, 'queued').changes > 0;
+  if (removed) publishEvent('item.removed', { repo: repo || '', issueNumber });
+  return removed;
 }
 
 function clearQueue() {
   const d = getDB();
-  return d.prepare("DELETE FROM queue_items WHERE status = 'queued'").run().changes;
+  const cleared = d.prepare("DELETE FROM queue_items WHERE status = 'queued'").run().changes;
+  if (cleared) publishEvent('queue.cleared', { scope: 'queue', count: cleared });
+  return cleared;
 }
 
+// Remove finished items, returning them so their artifacts can go too
 function clearHistory() {
   const d = getDB();
-  const completed = d.prepare("DELETE FROM queue_items WHERE status IN ('completed', 'failed', 'needs-input', 'merged')").run().changes;
-  return completed;
+  const finished = "status IN ('completed', 'failed', 'needs-input', 'merged')";
+  const cleared = d.transaction(() => {
+    const items = d.prepare(`SELECT * FROM queue_items WHERE ${finished}`).all();
+    d.prepare(`DELETE FROM queue_items WHERE ${finished}`).run();
+    return items;
+  })();
+  if (cleared.length) publishEvent('queue.cleared', { scope: 'history', count: cleared.length });
+  return cleared;
+}
+
+// Record a command comment as handled; false if it already was (webhook and poller race)
+function claimComment(commentId, repo, issueNumber, author) {
+  const d = getDB();
+  return d.prepare('INSERT OR IGNORE INTO command_comments (comment_id, repo, issue_number, author) VALUES (?, ?, ?, ?)')
+    .run(commentId, repo || '', issueNumber, author || null).changes > 0;
+}
+
+function getCommentCursor(repo) {
+  const d = getDB();
+  const row = d.prepare('SELECT since FROM comment_cursors WHERE repo = ?').get(repo);
+  return row ? row.since : null;
 }
 
-function allIssueNumbers() {
+function setCommentCursor(repo, since) {
   const d = getDB();
-  return new Set(d.prepare('SELECT issue_number FROM queue_items').all().map(r => r.issue_number));
+  d.prepare(`
+    INSERT INTO comment_cursors (repo, since) VALUES (?, ?)
+    ON CONFLICT(repo) DO UPDATE SET since = excluded.since
+  `).run(repo, since);
+}
+
+// Set of itemKey(repo, issue_number) for everything tracked, in any status
+function allItemKeys() {
+  const d = getDB();
+  return new Set(d.prepare('SELECT repo, issue_number FROM queue_items').all().map(r => itemKey(r.repo, r.issue_number)));
 }
 
 function parseLabels(labels) {
@@ -232,12 +599,19 @@ function parseLabels(labels) {
 // Generate queue-state.json cache from SQLite (keeps dashboard working)
 function generateCacheFile() {
   const d = getDB();
-  const processing = getProcessingItem();
+  const processing = getProcessingItems();
   const queue = getQueuedItems();
   const completed = getItemsByStatus('completed', 50);
   const failed = getItemsByStatus('failed', 50);
   const prOpen = getItemsByStatus('pr_open', 50);
   const merged = getItemsByStatus('merged', 50);
+  const planned = getItemsByStatus('planned', 50);
+
+  const blockedBy = (row) => {
+    if (row.status !== 'queued') return undefined;
+    const blockers = getBlockers(row.repo, row.issue_number);
+    return blockers.length > 0 ? blockers.map(b => b.ref) : undefined;
+  };
 
   const toItem = (row) => ({
     issueNumber: row.issue_number,
@@ -246,13 +620,21 @@ function generateCacheFile() {
     body: row.body || undefined,
     labels: parseLabels(row.labels),
     priority: row.priority || 'medium',
+    queuePosition: row.queue_position || undefined,
+    runNow: row.run_now ? true : undefined,
+    blockedBy: blockedBy(row),
+    parentIssueNumber: row.parent_issue_number || undefined,
+    subtaskIndex: row.subtask_index || undefined,
+    pipeline: row.pipeline || undefined,
     addedAt: row.added_at,
     url: row.url || undefined,
+    retryCount: row.retry_count || 0,
+    nextAttemptAt: row.next_attempt_at || undefined,
   });
 
   const state = {
     current_issue: null,
-    processing: processing ? { ...toItem(processing), started_at: processing.started_at } : null,
+    processing: processing.map(r => ({ ...toItem(r), started_at: r.started_at })),
     queue: queue.map(toItem),
     completed: completed.map(r => ({
       ...toItem(r),
@@ -276,6 +658,10 @@ function generateCacheFile() {
       pr_url: r.pr_url,
       pr_number: r.pr_number,
     })),
+    planned: planned.map(r => ({
+      ...toItem(r),
+      subtasks: getSubtasks(r.repo, r.issue_number).map(c => ({ issueNumber: c.issue_number, title: c.title, status: c.status })),
+    })),
   };
 
   // Atomic write
@@ -291,55 +677,54 @@ function migrateFromJSON() {
   const d = getDB();
   try {
     const data = JSON.parse(fs.readFileSync(QUEUE_STATE_FILE, 'utf8'));
-    const existing = allIssueNumbers();
+    const existing = allItemKeys();
 
     // Migrate queued items
     for (const item of (data.queue || [])) {
       const num = item.issueNumber || item.issue_number;
-      if (!num || existing.has(num)) continue;
+      if (!num || existing.has(itemKey(item.repo, num))) continue;
       enqueue({
         issue_number: num, repo: item.repo, title: item.title || 'Unknown',
         body: item.body, labels: item.labels, priority: item.priority, url: item.url
       });
     }
 
-    // Migrate processing item
-    if (data.processing) {
-      const num = data.processing.issueNumber || data.processing.issue_number;
-      if (num && !existing.has(num)) {
-        enqueue({
-          issue_number: num, repo: data.processing.repo, title: data.processing.title || 'Unknown',
-          body: data.processing.body, labels: data.processing.labels,
-          priority: data.processing.priority, url: data.processing.url
-        });
-        // Mark as processing
-        d.prepare("UPDATE queue_items SET status = 'processing', started_at = ? WHERE issue_number = ?")
-          .run(data.processing.started_at || new Date().toISOString(), num);
-      }
+    // Migrate processing items (older cache files hold a single object, newer ones a list)
+    const processingItems = Array.isArray(data.processing) ? data.processing : (data.processing ? [data.processing] : []);
+    for (const item of processingItems) {
+      const num = item.issueNumber || item.issue_number;
+      if (!num || existing.has(itemKey(item.repo, num))) continue;
+      enqueue({
+        issue_number: num, repo: item.repo, title: item.title || 'Unknown',
+        body: item.body, labels: item.labels, priority: item.priority, url: item.url
+      });
+      // Mark as processing
+      d.prepare("UPDATE queue_items SET status = 'processing', started_at = ? WHERE repo = ? AND issue_number = ?")
+        .run(item.started_at || new Date().toISOString(), item.repo || '', num);
     }
 
     // Migrate completed
     for (const item of (data.completed || [])) {
       const num = item.issueNumber || item.issue_number;
-      if (!num || existing.has(num)) continue;
+      if (!num || existing.has(itemKey(item.repo, num))) continue;
       enqueue({
         issue_number: num, repo: item.repo, title: item.title || 'Unknown',
         body: item.body, labels: item.labels, priority: item.priority, url: item.url
       });
-      d.prepare("UPDATE queue_items SET status = 'completed', completed_at = ? WHERE issue_number = ?")
-        .run(item.completed_at || new Date().toISOString(), num);
+      d.prepare("UPDATE queue_items SET status = 'completed', completed_at = ? WHERE repo = ? AND issue_number = ?")
+        .run(item.completed_at || new Date().toISOString(), item.repo || '', num);
     }
 
     // Migrate failed
     for (const item of (data.failed || [])) {
       const num = item.issueNumber || item.issue_number;
-      if (!num || existing.has(num)) continue;
+      if (!num || existing.has(itemKey(item.repo, num))) continue;
       enqueue({
         issue_number: num, repo: item.repo, title: item.title || 'Unknown',
         body: item.body, labels: item.labels, priority: item.priority, url: item.url
       });
-      d.prepare("UPDATE queue_items SET status = 'failed', error = ?, completed_at = ? WHERE issue_number = ?")
-        .run(item.error || null, item.failed_at || new Date().toISOString(), num);
+      d.prepare("UPDATE queue_items SET status = 'failed', error = ?, completed_at = ? WHERE repo = ? AND issue_number = ?")
+        .run(item.error || null, item.failed_at || new Date().toISOString(), item.repo || '', num);
     }
   } catch (e) {
     console.warn('⚠️ Migration from JSON failed:', e.message);
@@ -348,13 +733,13 @@ function migrateFromJSON() {
 
 // ========== Runs (historical) ==========
 
-function recordRun({ issue_id, title, repo, type, labels, priority, status, started_at, github_url }) {
+function recordRun({ issue_id, title, repo, type, labels, priority, status, started_at, github_url, retry_count }) {
   const d = getDB();
   const stmt = d.prepare(`
-    INSERT INTO runs (issue_id, title, repo, type, labels, priority, status, started_at, github_url)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO runs (issue_id, title, repo, type, labels, priority, status, started_at, github_url, retry_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  const result = stmt.run(issue_id, title, repo || null, type || 'implement', labels || null, priority || 'medium', status || 'queued', started_at || null, github_url || null);
+  const result = stmt.run(issue_id, title, repo || null, type || 'implement', labels || null, priority || 'medium', status || 'queued', started_at || null, github_url || null, retry_count || 0);
   return result.lastInsertRowid;
 }
 
@@ -383,6 +768,61 @@ function addArtifact(runId, { filename, type, path: filePath, size_bytes }) {
     .run(runId, filename, type || 'log', filePath, size_bytes || null);
 }
 
+// Repoint recorded artifacts after a file or folder moved (scripts/migrate-artifacts.js)
+function relocateArtifacts(fromPath, toPath) {
+  const d = getDB();
+  d.prepare(`
+    UPDATE artifacts SET path = ? || substr(path, length(?) + 1)
+    WHERE path = ? OR substr(path, 1, length(?) + 1) = ? || '/'
+  `).run(toPath, fromPath, fromPath, fromPath, fromPath);
+}
+
+// Forget recorded artifacts at or under `filePath` once it's deleted from disk; returns how many
+function deleteArtifacts(filePath, { dryRun = false } = {}) {
+  const d = getDB();
+  const where = "path = ? OR substr(path, 1, length(?) + 1) = ? || '/'";
+  return dryRun
+    ? d.prepare(`SELECT COUNT(*) AS count FROM artifacts WHERE ${where}`).get(filePath, filePath, filePath).count
+    : d.prepare(`DELETE FROM artifacts WHERE ${where}`).run(filePath, filePath, filePath).changes;
+}
+
+// Drop rows whose run is gone or whose file `fileExists` no longer finds; returns how many
+function pruneArtifacts(fileExists, { dryRun = false } = {}) {
+  const d = getDB();
+  const orphans = d.prepare('SELECT a.id, a.path, r.id AS run_id FROM artifacts a LEFT JOIN runs r ON r.id = a.run_id').all()
+    .filter(row => row.run_id == null || !fileExists(row.path));
+  if (!dryRun) {
+    const del = d.prepare('DELETE FROM artifacts WHERE id = ?');
+    d.transaction(() => orphans.forEach(row => del.run(row.id)))();
+  }
+  return orphans.length;
+}
+
+// Insert a run restored from an export bundle under a new id, plus its artifacts rows (`file`
+// is the path inside the run folder). `placeFiles(runId)` copies the files and returns that
+// folder; it runs inside the transaction, so a failed copy leaves no half-imported run.
+// Columns this database doesn't have are dropped.
+function importRun(run, artifactRows, { importedFrom, placeFiles }) {
+  const d = getDB();
+  const known = new Set(d.prepare('PRAGMA table_info(runs)').all().map(c => c.name));
+  const values = { ...run, imported_from: importedFrom };
+  const columns = Object.keys(values).filter(c => c !== 'id' && known.has(c));
+  const insertRun = d.prepare(`INSERT INTO runs (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+  const insertArtifact = d.prepare('INSERT INTO artifacts (run_id, filename, type, path, size_bytes, created_at) VALUES (?, ?, ?, ?, ?, ?)');
+  return d.transaction(() => {
+    const runId = Number(insertRun.run(...columns.map(c => values[c])).lastInsertRowid);
+    const dir = placeFiles(runId);
+    for (const row of artifactRows.filter(r => r.file)) {
+      insertArtifact.run(runId, row.filename, row.type || 'log', path.join(dir, row.file), row.size_bytes ?? null, row.created_at || null);
+    }
+    return runId;
+  })();
+}
+
+function findImportedRun(importedFrom) {
+  return getDB().prepare('SELECT * FROM runs WHERE imported_from = ? ORDER BY id LIMIT 1').get(importedFrom) || null;
+}
+
 function getRunHistory({ limit = 50, offset = 0, type, status } = {}) {
   const d = getDB();
   let sql = 'SELECT * FROM runs WHERE 1=1';
@@ -401,6 +841,26 @@ function getRunById(id) {
   return run;
 }
 
+// Every run recorded for an issue number, in any repo, newest first
+function getRunsByIssue(issueNumber) {
+  return getDB().prepare('SELECT * FROM runs WHERE issue_id = ? ORDER BY id DESC').all(issueNumber);
+}
+
+// Most recent run of an issue in `repo`, or in any repo when `repo` is null
+function getLatestRun(repo, issueNumber) {
+  const d = getDB();
+  const run = repo == null
+    ? d.prepare('SELECT * FROM runs WHERE issue_id = ? ORDER BY id DESC LIMIT 1').get(issueNumber)
+    : d.prepare('SELECT * FROM runs WHERE repo = ? AND issue_id = ? ORDER BY id DESC LIMIT 1').get(repo, issueNumber);
+  return run || null;
+}
+
+function needsInputRun(id, { error }) {
+  const d = getDB();
+  d.prepare(`UPDATE runs SET status = 'needs-input', error = ?, error_class = 'clarification', completed_at = datetime('now') WHERE id = ?`)
+    .run(error || null, id);
+}
+
 function getArtifactsByRun(runId) {
   return getDB().prepare('SELECT * FROM artifacts WHERE run_id = ?').all(runId);
 }
@@ -412,23 +872,76 @@ function getStats() {
   const failed = d.prepare("SELECT COUNT(*) as count FROM runs WHERE status = 'failed'").get();
   const avg = d.prepare("SELECT AVG(processing_time_ms) as avg FROM runs WHERE status = 'completed' AND processing_time_ms IS NOT NULL").get();
   const byType = d.prepare("SELECT type, COUNT(*) as count FROM runs GROUP BY type").all();
+  const usage = d.prepare(`
+    SELECT COALESCE(SUM(cost_usd), 0) as cost, COALESCE(SUM(input_tokens), 0) as input, COALESCE(SUM(output_tokens), 0) as output
+    FROM runs
+  `).get();
+  const spend = getSpend();
   return {
     totalRuns: total.count,
     completed: completed.count,
     failed: failed.count,
     avgProcessingTime: Math.round(avg.avg || 0),
-    byType: byType.reduce((acc, r) => { acc[r.type] = r.count; return acc; }, {})
+    byType: byType.reduce((acc, r) => { acc[r.type] = r.count; return acc; }, {}),
+    totalCostUsd: usage.cost,
+    costToday: spend.today,
+    costThisMonth: spend.month,
+    inputTokens: usage.input,
+    outputTokens: usage.output
   };
 }
 
+// Spend so far today / this month (UTC), for budget caps
+function getSpend() {
+  const d = getDB();
+  return d.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN created_at >= datetime('now', 'start of day') THEN cost_usd END), 0) as today,
+      COALESCE(SUM(CASE WHEN created_at >= datetime('now', 'start of month') THEN cost_usd END), 0) as month
+    FROM runs
+    WHERE imported_from IS NULL
+  `).get();
+}
+
 module.exports = {
-  initDB, getDB,
+  initDB, getDB, migrate, migrationStatus,
   // Queue operations
-  enqueue, dequeueNext, completeItem, prOpenItem, mergeItem, failItem, needsInputItem, requeueItem,
-  getRetryCount, getProcessingItem, getQueuedItems, getItemsByStatus,
-  getItemByIssueNumber, removeItem, clearQueue, clearHistory, allIssueNumbers,
+  itemKey, setQueueOrderBy, enqueue, dequeueNext, completeItem, prOpenItem, mergeItem, failItem, needsInputItem, requeueItem,
+  askClarification, setClarificationCommentId, answerClarification, parseClarifications,
+  getRetryCount, getProcessingItems, setPipelinePid, setActiveProvider, getQueuedItems, getItemsByStatus,
+  getItemById, getItem, findItemByPR, findItemsByIssueNumber, setItemLabels,
+  setItemPriority, setQueueOrder, setRunNow, isLocalIssue, refNumber, planItem, getSubtasks, findSubtask,
+  setDependencies, getBlockers, getOpenDependencyTargets, resolveDependency, setItemPipeline, setStatusCommentId, removeItem, clearQueue, clearHistory, allItemKeys,
   generateCacheFile, migrateFromJSON, parseLabels,
+  // Comment commands
+  claimComment, getCommentCursor, setCommentCursor,
+  // Events
+  publishEvent, pruneEvents,
+  // Audit log
+  recordAudit, finishAudit, getAuditLog,
   // Run operations
-  recordRun, updateRun, completeRun, failRun,
-  addArtifact, getRunHistory, getRunById, getArtifactsByRun, getStats
+  recordRun, updateRun, completeRun, failRun, needsInputRun,
+  addArtifact, relocateArtifacts, deleteArtifacts, pruneArtifacts, importRun, findImportedRun, getRunHistory, getRunById, getLatestRun, getRunsByIssue, getArtifactsByRun, getStats, getSpend
 };
+
+// CLI: node scripts/db.js <migrate|status>
+if (require.main === module) {
+  const label = (m) => `${String(m.version).padStart(3, '0')}-${m.name}`;
+  switch (process.argv[2]) {
+    case 'migrate': {
+      const applied = migrate();
+      if (applied.length === 0) console.log('✅ Schema is up to date');
+      for (const m of applied) console.log(`✅ Applied ${label(m)}`);
+      break;
+    }
+    case 'status': {
+      for (const m of migrationStatus()) {
+        console.log(`${m.applied_at ? '✅' : '⏳'} ${label(m)}  ${m.applied_at ? `applied ${m.applied_at}` : 'pending'}`);
+      }
+      break;
+    }
+    default:
+      console.error('Usage: node scripts/db.js <migrate|status>');
+      process.exit(1);
+  }
+}
@@ -0,0 +1,45 @@
+// Issue dependencies parsed from issue bodies: "depends on #12", "blocked by owner/repo#34"
+// (several refs may follow one phrase: "depends on #12, #13 and #14"), issue URLs in those
+// phrases, and open GitHub task list items that reference an issue ("- [ ] #56"). A queued
+// item is not claimed until each dependency's item is merged or its issue is closed.
+
+const REF = String.raw`(?:https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/(?:issues|pull)\/(\d+)|(?:([\w.-]+\/[\w.-]+))?#(\d+))`;
+const PHRASE = new RegExp(String.raw`\b(?:depends\s+on|blocked\s+by)\s*:?\s*((?:${REF}(?:\s*(?:,|and|&)\s*)?)+)`, 'gi');
+const TASK = new RegExp(String.raw`^\s*[-*]\s+\[ \]\s+${REF}`, 'gim');
+const REF_GLOBAL = new RegExp(REF, 'g');
+
+function toRef(match, repo) {
+  return match[1]
+    ? { repo: match[1], issueNumber: parseInt(match[2], 10) }
+    : { repo: match[3] || repo, issueNumber: parseInt(match[4], 10) };
+}
+
+// [{ repo, issueNumber }] the issue in `repo` depends on, without duplicates or itself
+function parseDependencies(body, repo, issueNumber) {
+  const text = String(body || '').replace(/```[\s\S]*?```/g, '');
+  const refs = [];
+  for (const phrase of text.matchAll(PHRASE)) {
+    for (const match of phrase[1].matchAll(REF_GLOBAL)) refs.push(toRef(match, repo));
+  }
+  for (const match of text.matchAll(TASK)) refs.push(toRef(match, repo));
+
+  const seen = new Set();
+  return refs.filter(ref => {
+    const key = `${(ref.repo || '').toLowerCase()}#${ref.issueNumber}`;
+    const self = (ref.repo || '').toLowerCase() === (repo || '').toLowerCase() && ref.issueNumber === issueNumber;
+    if (self || !ref.issueNumber || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Dependency edges that still hold, as SQL: the dependency's item isn't merged and its issue
+// hasn't been seen closed. Used by scripts/db.js and the dashboard's queue-state route; callers
+// append more `AND` conditions.
+const BLOCKING_EDGES = `
+  FROM item_dependencies dep
+  LEFT JOIN queue_items blocker
+    ON blocker.repo = dep.depends_on_repo COLLATE NOCASE AND blocker.issue_number = dep.depends_on_number
+  WHERE dep.resolved_at IS NULL AND (blocker.status IS NULL OR blocker.status != 'merged')`;
+
+module.exports = { parseDependencies, BLOCKING_EDGES };
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+// In-memory stand-in for the parts of the GitHub REST API that scripts/github.js calls,
+// for trying the worker, webhook and status comments without touching real issues:
+//
+//   node scripts/fake-github.js [port] [seed.json]
+//   GITHUB_API_URL=http://localhost:4010 GITHUB_TOKEN=fake node scripts/queue-worker.js load-github
+//
+// seed.json: { "owner/repo": { "issues": [{ number, title, body, labels }], "pulls": [{ number, state, merged }] } }
+// Unknown issues and PRs are created on first use; new issues, sub-issue links and PRs can be
+// POSTed too. GET /_state dumps everything.
+// Comments are authored by `ai-queue-bot` unless the request sets an X-Fake-Login header, e.g.
+//   curl -X POST -H 'X-Fake-Login: octocat' -d '{"body":"Only the settings screen"}' \
+//     localhost:4010/repos/owner/repo/issues/1/comments
+
+const http = require('http');
+const fs = require('fs');
+
+const port = parseInt(process.argv[2], 10) || 4010;
+const repos = {};
+let nextCommentId = 1000;
+let nextIssueId = 5000;
+
+function repoState(name) {
+  if (!repos[name]) repos[name] = { issues: {}, pulls: {}, comments: [] };
+  return repos[name];
+}
+
+function issueState(repo, number) {
+  const state = repoState(repo);
+  if (!state.issues[number]) {
+    state.issues[number] = {
+      id: nextIssueId++, number, title: `Issue ${number}`, body: '', state: 'open', labels: [], sub_issues: [],
+      html_url: `https://github.com/${repo}/issues/${number}`
+    };
+  }
+  return state.issues[number];
+}
+
+// Issues and PRs share one number sequence, as on GitHub
+function nextNumber(state) {
+  return Math.max(0, ...Object.keys(state.issues).map(Number), ...Object.keys(state.pulls).map(Number)) + 1;
+}
+
+function seed(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const [repo, { issues = [], pulls = [] }] of Object.entries(data)) {
+    for (const issue of issues) {
+      Object.assign(issueState(repo, issue.number), issue, {
+        labels: (issue.labels || []).map(l => typeof l === 'string' ? { name: l } : l)
+      });
+    }
+    for (const pr of pulls) repoState(repo).pulls[pr.number] = { state: 'open', merged: false, ...pr };
+  }
+}
+
+function page(list, query) {
+  const perPage = parseInt(query.get('per_page'), 10) || 30;
+  const pageNo = parseInt(query.get('page'), 10) || 1;
+  return list.slice((pageNo - 1) * perPage, pageNo * perPage);
+}
+
+function route(method, parts, query, body, login) {
+  // parts: ['repos', owner, name, ...rest]
+  if (parts[0] !== 'repos' || parts.length < 4) return [404, { message: 'Not Found' }];
+  const repo = `${parts[1]}/${parts[2]}`;
+  const state = repoState(repo);
+  const [kind, id, sub, subId] = parts.slice(3);
+  const now = new Date().toISOString();
+
+  if (kind === 'pulls' && id && method === 'GET') {
+    if (!state.pulls[id]) state.pulls[id] = { state: 'open', merged: false };
+    return [200, { number: Number(id), ...state.pulls[id] }];
+  }
+  if (kind === 'pulls' && !id && method === 'POST') {
+    const number = nextNumber(state);
+    state.pulls[number] = { state: 'open', merged: false, title: body.title, head: body.head, base: body.base, body: body.body };
+    return [201, { number, html_url: `https://github.com/${repo}/pull/${number}`, ...state.pulls[number] }];
+  }
+  if (kind !== 'issues') return [404, { message: 'Not Found' }];
+
+  if (!id && method === 'GET') {
+    const open = Object.values(state.issues).filter(i => i.state === (query.get('state') || 'open'));
+    return [200, page(open, query)];
+  }
+  if (!id && method === 'POST') {
+    const number = nextNumber(state);
+    const issue = Object.assign(issueState(repo, number), {
+      title: body.title, body: body.body || '', labels: (body.labels || []).map(name => ({ name })), user: { login: login || 'ai-queue-bot' }
+    });
+    return [201, issue];
+  }
+  if (id === 'comments') {
+    if (!sub && method === 'GET') {
+      const since = query.get('since');
+      return [200, page(state.comments.filter(c => !since || c.updated_at >= since), query)];
+    }
+    const comment = state.comments.find(c => c.id === Number(sub));
+    if (!comment) return [404, { message: 'Not Found' }];
+    if (method === 'PATCH') Object.assign(comment, { body: body.body, updated_at: now });
+    return [200, comment];
+  }
+
+  const number = Number(id);
+  const issue = issueState(repo, number);
+  if (!sub && method === 'GET') return [200, issue];
+  if (sub === 'comments' && method === 'GET') return [200, page(state.comments.filter(c => c.issue_number === number), query)];
+  if (sub === 'comments' && method === 'POST') {
+    const comment = {
+      id: nextCommentId++, issue_number: number, body: body.body, user: { login: login || 'ai-queue-bot' },
+      html_url: `https://github.com/${repo}/issues/${number}#issuecomment-${nextCommentId - 1}`,
+      issue_url: `https://api.github.com/repos/${repo}/issues/${number}`, created_at: now, updated_at: now
+    };
+    state.comments.push(comment);
+    return [201, comment];
+  }
+  if (sub === 'sub_issues' && method === 'POST') {
+    const child = Object.values(state.issues).find(i => i.id === body.sub_issue_id);
+    if (!child) return [404, { message: 'Not Found' }];
+    issue.sub_issues.push(child.number);
+    return [201, child];
+  }
+  if (sub === 'labels' && method === 'POST') {
+    for (const name of body.labels || []) {
+      if (!issue.labels.some(l => l.name === name)) issue.labels.push({ name });
+    }
+    return [200, issue.labels];
+  }
+  if (sub === 'labels' && subId && method === 'DELETE') {
+    const name = decodeURIComponent(subId);
+    if (!issue.labels.some(l => l.name === name)) return [404, { message: 'Label does not exist' }];
+    issue.labels = issue.labels.filter(l => l.name !== name);
+    return [200, issue.labels];
+  }
+  return [404, { message: 'Not Found' }];
+}
+
+if (process.argv[3]) seed(process.argv[3]);
+
+http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const [status, data] = url.pathname === '/_state'
+      ? [200, repos]
+      : route(req.method, url.pathname.split('/').filter(Boolean), url.searchParams, raw ? JSON.parse(raw) : {}, req.headers['x-fake-login']);
+    console.log(`${req.method} ${url.pathname}${url.search} → ${status}`);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+}).listen(port, () => console.log(`🧪 Fake GitHub API on http://localhost:${port}`));
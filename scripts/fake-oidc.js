@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+// Stand-in OpenID Connect provider for trying the dashboard's single sign-on (lib/oidc.ts)
+// without a real identity provider:
+//
+//   node scripts/fake-oidc.js [port] [users.json]
+//   routing.config.json  "auth": { "oidc": { "issuer": "http://localhost:4030", "clientId": "ai-queue",
+//                          "roles": { "admin": ["queue-admins"], "operator": ["queue-operators"] } } }
+//   OIDC_CLIENT_SECRET=fake npm run dev
+//
+// users.json: [{ "sub", "preferred_username", "email", "groups": [...] }]. Without it alice
+// (queue-admins), bob (queue-operators) and carol (no groups) exist. The sign-in page lists them;
+// pick one, no password. `login_hint=<username>` on /authorize skips the page (for scripts).
+// Any client id is accepted with client secret FAKE_OIDC_SECRET ('fake' by default).
+// ID tokens are RS256-signed with a key made at startup and published at /jwks.
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2], 10) || 4030;
+const issuer = `http://localhost:${port}`;
+const clientSecret = process.env.FAKE_OIDC_SECRET || 'fake';
+const users = process.argv[3] ? JSON.parse(fs.readFileSync(process.argv[3], 'utf8')) : [
+  { sub: 'u-alice', preferred_username: 'alice', email: 'alice@example.test', groups: ['queue-admins'] },
+  { sub: 'u-bob', preferred_username: 'bob', email: 'bob@example.test', groups: ['queue-operators'] },
+  { sub: 'u-carol', preferred_username: 'carol', email: 'carol@example.test', groups: [] }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'fake-oidc-1';
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+const codes = new Map(); // code → { user, clientId, redirectUri, nonce, exp }
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const escape = (s) => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function idToken(user, clientId, nonce) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${b64({ alg: 'RS256', typ: 'JWT', kid: KID })}.${b64({
+    iss: issuer, aud: clientId, iat: now, exp: now + 3600, nonce, ...user
+  })}`;
+  return `${data}.${crypto.sign('RSA-SHA256', Buffer.from(data), privateKey).toString('base64url')}`;
+}
+
+function send(res, status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html; charset=utf-8' : 'application/json', ...headers });
+  res.end(text);
+}
+
+// Hand out a one-minute code and send the browser back to the client
+function approve(res, query, user) {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    user, clientId: query.get('client_id'), redirectUri: query.get('redirect_uri'), nonce: query.get('nonce'), exp: Date.now() + 60000
+  });
+  const back = new URL(query.get('redirect_uri'));
+  back.searchParams.set('code', code);
+  if (query.get('state')) back.searchParams.set('state', query.get('state'));
+  console.log(`🔐 ${user.preferred_username} approved for ${query.get('client_id')}`);
+  send(res, 302, '', { Location: back.toString() });
+}
+
+function route(req, res, url, body) {
+  const query = url.searchParams;
+  if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post']
+    });
+  }
+  if (req.method === 'GET' && url.pathname === '/jwks') return send(res, 200, { keys: [jwk] });
+
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    if (query.get('response_type') !== 'code' || !query.get('client_id') || !/^https?:\/\//.test(query.get('redirect_uri') || '')) {
+      return send(res, 400, { error: 'invalid_request' });
+    }
+    const hinted = users.find(u => u.preferred_username === query.get('login_hint'));
+    if (hinted) return approve(res, query, hinted);
+    const links = users.map(u => {
+      const next = new URLSearchParams(query);
+      next.set('user', u.sub);
+      return `<li><a href="/authorize/approve?${escape(next.toString())}">${escape(u.preferred_username)}</a> ` +
+        `<small>${escape(u.email)} — ${escape((u.groups || []).join(', ') || 'no groups')}</small></li>`;
+    }).join('');
+    return send(res, 200, `<!doctype html><title>Fake OIDC</title><h1>Sign in to ${escape(query.get('client_id'))} as</h1><ul>${links}</ul>`);
+  }
+  if (req.method === 'GET' && url.pathname === '/authorize/approve') {
+    const user = users.find(u => u.sub === query.get('user'));
+    return user ? approve(res, query, user) : send(res, 400, { error: 'unknown user' });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/token') {
+    const form = new URLSearchParams(body);
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (form.get('grant_type') !== 'authorization_code' || !grant || grant.exp < Date.now()) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+    if (form.get('client_id') !== grant.clientId || form.get('client_secret') !== clientSecret) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+    if (form.get('redirect_uri') !== grant.redirectUri) return send(res, 400, { error: 'invalid_grant' });
+    return send(res, 200, {
+      token_type: 'Bearer',
+      access_token: crypto.randomBytes(16).toString('hex'),
+      expires_in: 3600,
+      id_token: idToken(grant.user, grant.clientId, grant.nonce)
+    });
+  }
+  send(res, 404, { error: 'not_found' });
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      route(req, res, new URL(req.url, issuer), body);
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  });
+}).listen(port, () => console.log(`🧪 Fake OIDC provider on ${issuer} (client secret: ${clientSecret})`));
@@ -0,0 +1,116 @@
+// GitHub REST client used by the worker, webhook and comment commands.
+// GITHUB_API_URL points it somewhere else (e.g. `node scripts/fake-github.js` for local testing);
+// the token comes from GITHUB_TOKEN / GH_TOKEN, or `gh auth token` when neither is set.
+
+const axios = require('axios');
+const { execFileSync } = require('child_process');
+
+const PER_PAGE = 100;
+
+let cachedToken;
+function token() {
+  if (cachedToken === undefined) {
+    cachedToken = process.env.GITHUB_TOKEN || process.env.GH_TOKEN || null;
+    if (!cachedToken) {
+      try {
+        cachedToken = execFileSync('gh', ['auth', 'token'], { encoding: 'utf8', timeout: 10000 }).trim() || null;
+      } catch {
+        cachedToken = null;
+      }
+    }
+  }
+  return cachedToken;
+}
+
+function baseUrl() {
+  return (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+}
+
+async function api(endpoint, { method = 'GET', body } = {}) {
+  const headers = { Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': '2022-11-28' };
+  if (token()) headers.Authorization = `Bearer ${token()}`;
+  try {
+    const res = await axios({ url: `${baseUrl()}/${endpoint}`, method, data: body, headers, timeout: 30000 });
+    return res.data === '' ? null : res.data;
+  } catch (error) {
+    const message = error.response && error.response.data && error.response.data.message;
+    const status = error.response ? ` (${error.response.status})` : '';
+    const wrapped = new Error(`GitHub ${method} ${endpoint}${status}: ${message || error.message}`);
+    wrapped.status = error.response ? error.response.status : null;
+    throw wrapped;
+  }
+}
+
+// Follow `page=N` until a short page or `max` results
+async function paginate(endpoint, max = Infinity) {
+  const results = [];
+  const sep = endpoint.includes('?') ? '&' : '?';
+  for (let page = 1; results.length < max; page++) {
+    const batch = await api(`${endpoint}${sep}per_page=${PER_PAGE}&page=${page}`);
+    results.push(...batch);
+    if (batch.length < PER_PAGE) break;
+  }
+  return results.slice(0, max);
+}
+
+// Open issues, pull requests filtered out (the issues endpoint returns both)
+async function listOpenIssues(repo, max) {
+  return (await paginate(`repos/${repo}/issues?state=open`, max)).filter(issue => !issue.pull_request);
+}
+
+function getIssue(repo, issueNumber) {
+  return api(`repos/${repo}/issues/${issueNumber}`);
+}
+
+function getPull(repo, prNumber) {
+  return api(`repos/${repo}/pulls/${prNumber}`);
+}
+
+// Comments on every issue and PR in the repo updated after `since` (ISO timestamp), oldest first
+function listRepoComments(repo, since) {
+  return paginate(`repos/${repo}/issues/comments?sort=updated&direction=asc&since=${encodeURIComponent(since)}`);
+}
+
+function listIssueComments(repo, issueNumber) {
+  return paginate(`repos/${repo}/issues/${issueNumber}/comments`);
+}
+
+function createIssue(repo, { title, body, labels }) {
+  return api(`repos/${repo}/issues`, { method: 'POST', body: { title, body, labels } });
+}
+
+// Link an issue under a parent issue (GitHub sub-issues); `subIssueId` is the child's id, not its number
+function addSubIssue(repo, issueNumber, subIssueId) {
+  return api(`repos/${repo}/issues/${issueNumber}/sub_issues`, { method: 'POST', body: { sub_issue_id: subIssueId } });
+}
+
+function createPull(repo, { title, head, base, body }) {
+  return api(`repos/${repo}/pulls`, { method: 'POST', body: { title, head, base, body } });
+}
+
+function postComment(repo, issueNumber, body) {
+  return api(`repos/${repo}/issues/${issueNumber}/comments`, { method: 'POST', body: { body } });
+}
+
+function updateComment(repo, commentId, body) {
+  return api(`repos/${repo}/issues/comments/${commentId}`, { method: 'PATCH', body: { body } });
+}
+
+// GitHub creates labels that don't exist in the repo yet
+function addLabels(repo, issueNumber, labels) {
+  return api(`repos/${repo}/issues/${issueNumber}/labels`, { method: 'POST', body: { labels } });
+}
+
+// Removing a label the issue doesn't have is not an error
+async function removeLabel(repo, issueNumber, label) {
+  try {
+    await api(`repos/${repo}/issues/${issueNumber}/labels/${encodeURIComponent(label)}`, { method: 'DELETE' });
+  } catch (err) {
+    if (err.status !== 404) throw err;
+  }
+}
+
+module.exports = {
+  api, paginate, listOpenIssues, getIssue, getPull, listRepoComments, listIssueComments,
+  createIssue, addSubIssue, createPull, postComment, updateComment, addLabels, removeLabel
+};
@@ -0,0 +1,166 @@
+// Status reporting back to the GitHub issue behind a queue item: one sticky comment
+// (found by its marker, id kept in queue_items.status_comment_id) edited in place as the item
+// moves through processing → pr_open / completed / failed / needs-input / planned, plus a status label.
+// Configured by routing.config.json `statusReporting`; off when that section is absent.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const github = require('./github');
+const providers = require('./providers');
+const plan = require('./plan');
+const artifacts = require('./artifacts');
+
+const MARKER = '<!-- ai-queue:status -->';
+
+// Queue status → label on the issue (statuses without one just clear the others)
+const DEFAULT_LABELS = {
+  processing: 'ai:in-progress',
+  pr_open: 'ai:pr-open',
+  failed: 'ai:failed',
+  'needs-input': 'ai:needs-input'
+};
+
+const HEADLINES = {
+  queued: '⏳ Queued',
+  processing: '⚙️ In progress',
+  pr_open: '🔀 Pull request open',
+  merged: '🎉 Merged',
+  completed: '✅ Completed',
+  failed: '❌ Failed',
+  'needs-input': '❓ Needs input',
+  planned: '🗂️ Split into sub-tasks'
+};
+
+function settings(config) {
+  const cfg = config.statusReporting;
+  return {
+    enabled: !!cfg && cfg.enabled !== false,
+    dashboardUrl: cfg && cfg.dashboardUrl ? cfg.dashboardUrl.replace(/\/$/, '') : null,
+    labels: { ...DEFAULT_LABELS, ...((cfg && cfg.labels) || {}) }
+  };
+}
+
+// Labels the worker manages — adding one must not count as a request for AI work
+function statusLabels(config) {
+  return Object.values(settings(config).labels).map(l => l.toLowerCase());
+}
+
+// runs timestamps are ISO strings or SQLite datetime() (UTC, no zone)
+function parseTime(value) {
+  if (!value) return null;
+  return new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : value.replace(' ', 'T') + 'Z').getTime();
+}
+
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Files of the run the comment describes (its own folder under the issue's)
+function artifactFiles(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => !f.endsWith('.partial.md') && fs.statSync(path.join(dir, f)).isFile()).sort();
+}
+
+function renderComment(config, item, run) {
+  const cfg = settings(config);
+  const pipeline = (run && run.type) || item.pipeline || '—';
+  const pipelineCfg = config.pipelines[pipeline];
+  // Until the provider call succeeds, show the model the pipeline will try first
+  const model = run && run.model
+    ? `${run.provider ? `${run.provider}/` : ''}${run.model}`
+    : (pipelineCfg ? providers.describe(providers.providerChain(config, pipelineCfg)[0]) : '—');
+
+  const rows = [['Pipeline', `\`${pipeline}\``], ['Model', `\`${model}\``]];
+  const started = run && parseTime(run.started_at);
+  if (started) {
+    const finished = item.status === 'processing' ? Date.now() : (parseTime(run.completed_at) || Date.now());
+    rows.push(['Elapsed', formatElapsed(finished - started)]);
+  }
+  if (item.retry_count) rows.push(['Attempt', String(item.retry_count + 1)]);
+  if (item.error_class && item.status !== 'processing') rows.push(['Error class', `\`${item.error_class}\``]);
+  if (item.status === 'queued' && item.next_attempt_at) rows.push(['Next attempt', `${item.next_attempt_at} UTC`]);
+  if (item.pr_url) rows.push(['Pull request', item.pr_url]);
+  // Reported by the pipeline in result.json
+  const result = run && run.pipeline_result ? JSON.parse(run.pipeline_result) : null;
+  if (result && result.commit_sha) {
+    rows.push(['Commit', `\`${result.commit_sha.slice(0, 7)}\`${result.branch ? ` on \`${result.branch}\`` : ''}`]);
+  }
+  if (result && result.tests) rows.push(['Tests', `${result.tests.passed ?? 0} passed, ${result.tests.failed ?? 0} failed`]);
+  if (result && result.message && item.status !== 'failed') rows.push(['Result', result.message.replace(/\|/g, '\\|')]);
+  const subtasks = db.getSubtasks(item.repo, item.issue_number);
+  if (subtasks.length > 0) {
+    const done = subtasks.filter(c => plan.DONE_STATUSES.includes(c.status)).length;
+    rows.push(['Sub-tasks', `${done}/${subtasks.length} done`]);
+  }
+
+  const runDir = run ? artifacts.runDir(item.repo, item.issue_number, run.id) : null;
+  const files = artifactFiles(runDir);
+  if (files.length > 0) {
+    const urlDir = artifacts.relativeDir(runDir).replace(/^artifacts\//, '');
+    const links = files.map(f => cfg.dashboardUrl
+      ? `[${f}](${cfg.dashboardUrl}/api/artifacts/${urlDir}/${encodeURIComponent(f)})`
+      : `\`${f}\``);
+    rows.push(['Artifacts', links.join(' · ')]);
+  }
+
+  const lines = [
+    MARKER,
+    `### 🤖 AI queue: ${HEADLINES[item.status] || item.status}`,
+    '',
+    '| | |',
+    '|---|---|',
+    ...rows.map(([key, value]) => `| ${key} | ${value} |`)
+  ];
+  if (item.error && item.status !== 'processing') {
+    lines.push('', '```', item.error.slice(0, 1000), '```');
+  }
+  const updated = new Date().toISOString().replace('T', ' ').slice(0, 16);
+  lines.push('', `<sub>Updated ${updated} UTC${cfg.dashboardUrl ? ` · [Dashboard](${cfg.dashboardUrl})` : ''}</sub>`);
+  return lines.join('\n');
+}
+
+// Edit the known comment, else adopt one carrying the marker, else post a new one
+async function upsertComment(item, body) {
+  if (item.status_comment_id) {
+    try {
+      await github.updateComment(item.repo, item.status_comment_id, body);
+      return;
+    } catch (err) {
+      if (err.status !== 404) throw err; // deleted on GitHub — fall through and recreate
+    }
+  }
+  const existing = (await github.listIssueComments(item.repo, item.issue_number))
+    .find(c => (c.body || '').startsWith(MARKER));
+  const comment = existing
+    ? await github.updateComment(item.repo, existing.id, body)
+    : await github.postComment(item.repo, item.issue_number, body);
+  db.setStatusCommentId(item.repo, item.issue_number, comment.id);
+}
+
+// Status label on, every other managed label off
+async function syncLabels(config, item) {
+  const { labels } = settings(config);
+  const wanted = labels[item.status] || null;
+  const issue = await github.getIssue(item.repo, item.issue_number);
+  const current = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name);
+  for (const label of Object.values(labels)) {
+    if (label !== wanted && current.includes(label)) await github.removeLabel(item.repo, item.issue_number, label);
+  }
+  if (wanted && !current.includes(wanted)) await github.addLabels(item.repo, item.issue_number, [wanted]);
+}
+
+// Mirror the item's current DB state onto its issue
+async function report(config, repo, issueNumber) {
+  if (!settings(config).enabled || !repo || db.isLocalIssue(issueNumber)) return;
+  const item = db.getItem(repo, issueNumber);
+  if (!item) return;
+  await upsertComment(item, renderComment(config, item, db.getLatestRun(repo, issueNumber)));
+  await syncLabels(config, item);
+}
+
+module.exports = { report, renderComment, statusLabels, MARKER };
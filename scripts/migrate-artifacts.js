@@ -0,0 +1,81 @@
+// Moves artifact folders from the older layouts (artifacts/{issue}/, and files directly in
+// artifacts/{owner}/{repo}/{issue}/) into the run folder of the issue's latest run, or run-0
+// when no run was recorded. Top-level folders belong to the default repo; one whose issue number
+// has runs in another repo is left where it is with a warning.
+//
+//   node scripts/migrate-artifacts.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const artifacts = require('./artifacts');
+const db = require('./db');
+
+const RUN_DIR = /^run-(\d+)$/;
+
+// The repo and run a legacy folder's files belong to. A top-level artifacts/{issue} folder was
+// written for the default repo (runs without a repo are its runs); when other repos have runs with
+// that issue number the folder can't be placed, and `otherRepos` names them.
+function legacyOwner(folder) {
+  if (folder.repo) return { repo: folder.repo, run: db.getLatestRun(folder.repo, folder.issueNumber) };
+  const defaultRepo = artifacts.repoParts(null).join('/');
+  const runs = db.getRunsByIssue(folder.issueNumber);
+  const otherRepos = [...new Set(runs.map(r => artifacts.repoParts(r.repo).join('/')))]
+    .filter(repo => repo.toLowerCase() !== defaultRepo.toLowerCase());
+  if (otherRepos.length > 0) return { repo: null, run: null, otherRepos };
+  return { repo: defaultRepo, run: runs[0] || null };
+}
+
+// Move every legacy folder's contents into a run folder and repoint the artifacts table.
+// Entries already present in the target are left where they are and reported, and so are
+// top-level folders that can't be placed in a repo (`ambiguous`).
+function migrateLegacy({ dryRun = false } = {}) {
+  const moves = [];
+  for (const folder of artifacts.legacyFolders()) {
+    const { repo, run, otherRepos } = legacyOwner(folder);
+    if (otherRepos) {
+      moves.push({ from: artifacts.relativeDir(folder.dir), to: null, runId: null, moved: [], skipped: [], ambiguous: otherRepos });
+      continue;
+    }
+    const target = artifacts.runDir(repo, folder.issueNumber, run ? run.id : 0);
+    const move = { from: artifacts.relativeDir(folder.dir), to: artifacts.relativeDir(target), runId: run ? run.id : null, moved: [], skipped: [] };
+    if (!dryRun) fs.mkdirSync(target, { recursive: true });
+
+    for (const entry of fs.readdirSync(folder.dir)) {
+      if (folder.repo && RUN_DIR.test(entry)) continue;
+      const src = path.join(folder.dir, entry);
+      const dst = path.join(target, entry);
+      if (fs.existsSync(dst)) {
+        move.skipped.push(entry);
+        continue;
+      }
+      if (!dryRun) {
+        fs.renameSync(src, dst);
+        db.relocateArtifacts(src, dst);
+      }
+      move.moved.push(entry);
+    }
+    if (!dryRun && run && !run.artifacts_path) db.updateRun(run.id, { artifacts_path: artifacts.relativeDir(target) });
+    // The old top-level folder goes once it's empty
+    if (!dryRun && !folder.repo && fs.readdirSync(folder.dir).length === 0) fs.rmdirSync(folder.dir);
+    moves.push(move);
+  }
+  return moves;
+}
+
+module.exports = { migrateLegacy };
+
+// CLI: node scripts/migrate-artifacts.js [--dry-run]
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const moves = migrateLegacy({ dryRun });
+  if (moves.length === 0) console.log('✅ No artifact folders in the old layout');
+  for (const m of moves) {
+    if (m.ambiguous) {
+      console.log(`⚠️ Left ${m.from}: issue ${path.basename(m.from)} has runs in ${m.ambiguous.join(', ')}, so its repo is unknown — move it into the right run folder by hand`);
+      continue;
+    }
+    const run = m.runId ? `run ${m.runId}` : 'no recorded run';
+    console.log(`${dryRun ? '🔍 Would move' : '📦 Moved'} ${m.moved.length} entr${m.moved.length === 1 ? 'y' : 'ies'}: ${m.from} → ${m.to} (${run})`);
+    if (m.skipped.length > 0) console.log(`   ⚠️ Already in ${m.to}, left in ${m.from}: ${m.skipped.join(', ')}`);
+  }
+}
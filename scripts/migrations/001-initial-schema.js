@@ -0,0 +1,55 @@
+// Original tables. IF NOT EXISTS so DBs created before migrations existed pass through untouched.
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE IF NOT EXISTS runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      issue_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      repo TEXT,
+      type TEXT DEFAULT 'coding',
+      labels TEXT,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'queued',
+      started_at TEXT,
+      completed_at TEXT,
+      processing_time_ms INTEGER,
+      model TEXT,
+      solution TEXT,
+      error TEXT,
+      error_class TEXT,
+      retry_count INTEGER DEFAULT 0,
+      artifacts_path TEXT,
+      github_url TEXT,
+      pr_url TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS artifacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      type TEXT DEFAULT 'log',
+      path TEXT NOT NULL,
+      size_bytes INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (run_id) REFERENCES runs(id)
+    );
+    CREATE TABLE IF NOT EXISTS queue_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      issue_number INTEGER NOT NULL,
+      repo TEXT,
+      title TEXT NOT NULL,
+      body TEXT,
+      labels TEXT,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'queued',
+      added_at TEXT DEFAULT (datetime('now')),
+      started_at TEXT,
+      completed_at TEXT,
+      error TEXT,
+      error_class TEXT,
+      retry_count INTEGER DEFAULT 0,
+      url TEXT
+    );
+  `);
+};
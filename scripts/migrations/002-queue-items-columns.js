@@ -0,0 +1,11 @@
+// PR tracking, lane ownership (worker/pipeline pids) and retry backoff on queue_items
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'pr_number', 'INTEGER');
+  addColumn(d, 'queue_items', 'pr_url', 'TEXT');
+  addColumn(d, 'queue_items', 'worker_pid', 'INTEGER');
+  addColumn(d, 'queue_items', 'pipeline_pid', 'INTEGER');
+  addColumn(d, 'queue_items', 'next_attempt_at', 'TEXT');
+};
@@ -0,0 +1,13 @@
+// Error classification, retries, provider fallback and token/cost accounting on runs
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'runs', 'error_class', 'TEXT');
+  addColumn(d, 'runs', 'retry_count', 'INTEGER DEFAULT 0');
+  addColumn(d, 'runs', 'fallback_from', 'TEXT');
+  addColumn(d, 'runs', 'provider', 'TEXT');
+  addColumn(d, 'runs', 'input_tokens', 'INTEGER');
+  addColumn(d, 'runs', 'output_tokens', 'INTEGER');
+  addColumn(d, 'runs', 'cost_usd', 'REAL');
+};
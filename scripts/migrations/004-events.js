@@ -0,0 +1,13 @@
+// Event feed tailed by the dashboard over SSE (/api/events)
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      issue_number INTEGER,
+      payload TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+};
@@ -0,0 +1,56 @@
+// Rebuild queue_items so uniqueness is (repo, issue_number) only. Older DBs still carry the
+// original UNIQUE on issue_number, which SQLite can't drop in place — it blocks the same issue
+// number from two repos. `repo` becomes NOT NULL ('' when unknown) because NULLs never collide
+// in a UNIQUE constraint. Rows that would collide (e.g. two `(NULL, n)` rows the old index
+// allowed) keep the newest, so the item's latest status survives; the others are logged.
+
+const COLUMNS = [
+  'id', 'issue_number', 'repo', 'title', 'body', 'labels', 'priority', 'status', 'added_at',
+  'started_at', 'completed_at', 'error', 'error_class', 'retry_count', 'url',
+  'pr_number', 'pr_url', 'worker_pid', 'pipeline_pid', 'next_attempt_at'
+];
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE queue_items_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      issue_number INTEGER NOT NULL,
+      repo TEXT NOT NULL DEFAULT '',
+      title TEXT NOT NULL,
+      body TEXT,
+      labels TEXT,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'queued',
+      added_at TEXT DEFAULT (datetime('now')),
+      started_at TEXT,
+      completed_at TEXT,
+      error TEXT,
+      error_class TEXT,
+      retry_count INTEGER DEFAULT 0,
+      url TEXT,
+      pr_number INTEGER,
+      pr_url TEXT,
+      worker_pid INTEGER,
+      pipeline_pid INTEGER,
+      next_attempt_at TEXT,
+      UNIQUE (repo, issue_number)
+    );
+  `);
+  const select = COLUMNS.map(c => (c === 'repo' ? "COALESCE(repo, '')" : c)).join(', ');
+  const newest = "SELECT MAX(id) FROM queue_items GROUP BY COALESCE(repo, ''), issue_number";
+  const dropped = d.prepare(`
+    SELECT id, COALESCE(repo, '') AS repo, issue_number, status, added_at FROM queue_items
+    WHERE id NOT IN (${newest}) ORDER BY issue_number, id
+  `).all();
+  for (const row of dropped) {
+    console.warn(`⚠️ 005: dropping duplicate queue item ${row.repo ? `${row.repo}#` : '#'}${row.issue_number} ` +
+      `(id ${row.id}, ${row.status}, added ${row.added_at}) — a newer row for it is kept`);
+  }
+  if (dropped.length > 0) console.warn(`⚠️ 005: dropped ${dropped.length} duplicate queue item(s); their runs stay in the runs table`);
+  d.exec(`INSERT INTO queue_items_new (${COLUMNS.join(', ')}) SELECT ${select} FROM queue_items WHERE id IN (${newest}) ORDER BY id`);
+  d.exec(`
+    DROP TABLE queue_items;
+    ALTER TABLE queue_items_new RENAME TO queue_items;
+    CREATE INDEX idx_queue_items_status ON queue_items(status);
+  `);
+};
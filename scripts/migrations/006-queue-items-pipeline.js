@@ -0,0 +1,7 @@
+// Per-item pipeline override (`/ai pipeline <name>`), taking precedence over label routing
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'pipeline', 'TEXT');
+};
@@ -0,0 +1,19 @@
+// `/ai` comment commands: comments already acted on (webhook and polling both see them)
+// and, per repo, how far the comment poller has read
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE IF NOT EXISTS command_comments (
+      comment_id INTEGER PRIMARY KEY,
+      repo TEXT NOT NULL,
+      issue_number INTEGER NOT NULL,
+      author TEXT,
+      handled_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS comment_cursors (
+      repo TEXT PRIMARY KEY,
+      since TEXT NOT NULL
+    );
+  `);
+};
@@ -0,0 +1,7 @@
+// The sticky status comment the worker keeps up to date on each item's GitHub issue
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'status_comment_id', 'INTEGER');
+};
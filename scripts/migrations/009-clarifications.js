@@ -0,0 +1,8 @@
+// Clarification rounds for needs-input items: JSON array of
+// { questions, askedAt, commentId, answer, answeredBy, answeredAt }
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'clarifications', 'TEXT');
+};
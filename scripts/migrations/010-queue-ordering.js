@@ -0,0 +1,9 @@
+// Manual queue order (dashboard drag-and-drop) and whether an item's priority was set by
+// hand, so label changes don't overwrite it with the rule-derived one
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'queue_position', 'INTEGER');
+  addColumn(d, 'queue_items', 'priority_manual', 'INTEGER DEFAULT 0');
+};
@@ -0,0 +1,7 @@
+// "Run now" override: the next claim of this item ignores its pipeline's processing windows
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'run_now', 'INTEGER DEFAULT 0');
+};
@@ -0,0 +1,16 @@
+// Dependency edges between issues ("depends on #12"): an item waits until each dependency's
+// queue item is merged or `resolved_at` records that its GitHub issue was closed
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE IF NOT EXISTS item_dependencies (
+      repo TEXT NOT NULL,
+      issue_number INTEGER NOT NULL,
+      depends_on_repo TEXT NOT NULL,
+      depends_on_number INTEGER NOT NULL,
+      resolved_at TEXT,
+      PRIMARY KEY (repo, issue_number, depends_on_repo, depends_on_number)
+    );
+    CREATE INDEX IF NOT EXISTS idx_item_dependencies_target ON item_dependencies (depends_on_repo, depends_on_number);
+  `);
+};
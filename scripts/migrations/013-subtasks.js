@@ -0,0 +1,10 @@
+// Sub-tasks of a planned issue (`plan` pipeline): each child item records its parent issue
+// (same repo) and its step number. Children not mirrored on GitHub get negative issue numbers.
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'parent_issue_number', 'INTEGER');
+  addColumn(d, 'queue_items', 'subtask_index', 'INTEGER');
+  d.exec('CREATE INDEX IF NOT EXISTS idx_queue_items_parent ON queue_items (repo, parent_issue_number)');
+};
@@ -0,0 +1,10 @@
+// Structured pipeline results (result.json, scripts/pipeline-result.js) on runs: the branch and
+// commit the pipeline reported, and the whole validated result as JSON
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'runs', 'branch', 'TEXT');
+  addColumn(d, 'runs', 'commit_sha', 'TEXT');
+  addColumn(d, 'runs', 'pipeline_result', 'TEXT');
+};
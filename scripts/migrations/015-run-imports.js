@@ -0,0 +1,8 @@
+// Runs restored from an export bundle (`import-run`) record where they came from, and are left
+// out of budget spend
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'runs', 'imported_from', 'TEXT');
+};
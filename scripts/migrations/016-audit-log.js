@@ -0,0 +1,20 @@
+// Who changed what: dashboard actions (by the signed-in user), worker CLI commands and `/ai`
+// comment commands. `outcome` is null while the command is still running.
+
+module.exports.up = (d) => {
+  d.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT NOT NULL,
+      role TEXT,
+      source TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      outcome TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+  `);
+};
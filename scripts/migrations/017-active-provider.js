@@ -0,0 +1,8 @@
+// Provider a processing item is running on right now. A fallback to another provider holds
+// that provider's resource slot for the rest of the run (scripts/scheduler.js).
+
+const { addColumn } = require('./_helpers');
+
+module.exports.up = (d) => {
+  addColumn(d, 'queue_items', 'active_provider', 'TEXT');
+};
@@ -0,0 +1,12 @@
+// Shared helpers for migrations (not a migration — the runner skips files starting with `_`)
+
+function hasColumn(d, table, column) {
+  return d.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// ALTER TABLE ... ADD COLUMN, skipped when a pre-migrations DB already has the column
+function addColumn(d, table, column, definition) {
+  if (!hasColumn(d, table, column)) d.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+module.exports = { hasColumn, addColumn };
@@ -0,0 +1,116 @@
+// Structured pipeline results. A pipeline script writes result.json into its ARTIFACTS_DIR
+// (scripts/pipelines/lib/result.sh does it with jq); the worker validates it against SCHEMA and
+// takes status, error class and PR from it. Scripts that don't write one are treated as before:
+// the exit code picks the error class and the PR URL is found in stdout.
+
+const fs = require('fs');
+const path = require('path');
+
+const RESULT_FILE = 'result.json';
+
+// Legacy exit code conventions (see scripts/pipelines/implement.sh)
+const ERROR_CLASSES = { 1: 'build', 2: 'test', 3: 'infra', 4: 'agent' };
+const PR_URL = /https:\/\/github\.com\/[^\s/]+\/[^\s/]+\/pull\/(\d+)/;
+
+// Field → type, plus allowed values or format. Every field but `status` may be missing or null;
+// unknown fields are ignored so scripts can add their own.
+const SCHEMA = {
+  status: { type: 'string', enum: ['success', 'failure'], required: true },
+  error_class: { type: 'string', enum: [...Object.values(ERROR_CLASSES), 'unknown'] },
+  message: { type: 'string' },
+  pr_url: { type: 'string', pattern: PR_URL },
+  branch: { type: 'string' },
+  commit_sha: { type: 'string', pattern: /^[0-9a-f]{7,40}$/i },
+  changed_files: { type: 'string[]' },
+  tests: { type: 'object', fields: ['total', 'passed', 'failed', 'skipped'] }
+};
+
+function checkField(name, rule, value) {
+  if (rule.type === 'string[]') {
+    return Array.isArray(value) && value.every(v => typeof v === 'string') ? null : `${name} must be an array of strings`;
+  }
+  if (rule.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+    const bad = rule.fields.filter(f => value[f] != null && !(Number.isInteger(value[f]) && value[f] >= 0));
+    return bad.length > 0 ? `${name} counts must be non-negative integers (${bad.join(', ')})` : null;
+  }
+  if (typeof value !== rule.type) return `${name} must be a ${rule.type}`;
+  if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of ${rule.enum.join(', ')}`;
+  if (rule.pattern && !rule.pattern.test(value)) return `${name} is not a valid ${name.replace('_', ' ')}`;
+  return null;
+}
+
+// Schema violations in a parsed result.json ([] when valid)
+function validate(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['result must be a JSON object'];
+  const errors = [];
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    if (data[name] == null) {
+      if (rule.required) errors.push(`${name} is required`);
+      continue;
+    }
+    const error = checkField(name, rule, data[name]);
+    if (error) errors.push(error);
+  }
+  if (data.status === 'failure' && data.error_class == null) errors.push('error_class is required when status is failure');
+  return errors;
+}
+
+function fromResultFile(data) {
+  const success = data.status === 'success';
+  const prMatch = data.pr_url ? data.pr_url.match(PR_URL) : null;
+  return {
+    source: RESULT_FILE,
+    success,
+    errorClass: success ? null : data.error_class,
+    message: data.message || null,
+    prUrl: prMatch ? data.pr_url : null,
+    prNumber: prMatch ? parseInt(prMatch[1], 10) : null,
+    branch: data.branch || null,
+    commitSha: data.commit_sha || null,
+    changedFiles: data.changed_files || [],
+    tests: data.tests || null,
+    data
+  };
+}
+
+// Scripts without result.json: exit code → error class; implement scripts print the PR URL
+function fromExitCode(type, exitCode, stdout) {
+  const success = exitCode === 0;
+  const prMatch = success && (type === 'implement' || type === 'coding') ? (stdout || '').match(PR_URL) : null;
+  return {
+    source: 'exit-code',
+    success,
+    errorClass: success ? null : ERROR_CLASSES[exitCode] || 'unknown',
+    message: null,
+    prUrl: prMatch ? prMatch[0] : null,
+    prNumber: prMatch ? parseInt(prMatch[1], 10) : null,
+    branch: null,
+    commitSha: null,
+    changedFiles: [],
+    tests: null,
+    data: null
+  };
+}
+
+// Outcome of a pipeline run from `dir`/result.json, or from the exit code when the script
+// didn't write one. An unreadable or invalid result.json fails the run (class `unknown`).
+function readResult(dir, { type, exitCode, stdout }) {
+  const file = path.join(dir, RESULT_FILE);
+  if (!fs.existsSync(file)) return fromExitCode(type, exitCode, stdout);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return invalid(`${RESULT_FILE} is not valid JSON: ${e.message}`);
+  }
+  const errors = validate(data);
+  return errors.length > 0 ? invalid(`Invalid ${RESULT_FILE}: ${errors.join('; ')}`) : fromResultFile(data);
+}
+
+function invalid(message) {
+  return { ...fromExitCode(null, 1, ''), source: RESULT_FILE, errorClass: 'unknown', message };
+}
+
+module.exports = { RESULT_FILE, validate, readResult };
@@ -6,6 +6,7 @@ ARTIFACTS_DIR="${ARTIFACTS_DIR:-$DASHBOARD_DIR/artifacts/$ISSUE_ID}"
 LOG_FILE="$ARTIFACTS_DIR/pipeline.log"
 
 mkdir -p "$ARTIFACTS_DIR"
+source "$(dirname "${BASH_SOURCE[0]}")/lib/result.sh"
 
 log() {
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] $1" | tee -a "$LOG_FILE"
@@ -14,8 +15,13 @@ log() {
 log "=== Generate Pipeline Started for Issue #$ISSUE_ID ==="
 
 # Copy solution to artifacts as the deliverable
-cp "$SOLUTION_FILE" "$ARTIFACTS_DIR/content-output.md"
+if ! cp "$SOLUTION_FILE" "$ARTIFACTS_DIR/content-output.md"; then
+  log "❌ Could not save content to $ARTIFACTS_DIR/content-output.md"
+  write_result failure infra "Could not save content-output.md"
+  exit 3
+fi
 log "✅ Content saved to $ARTIFACTS_DIR/content-output.md"
 
 log "=== Generate Pipeline Complete for Issue #$ISSUE_ID ==="
+write_result success "" "Content saved to content-output.md"
 exit 0
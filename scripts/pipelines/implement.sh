@@ -5,7 +5,11 @@ set -eo pipefail
 # Implement Pipeline — Qwen direct code generation
 # Usage: implement.sh <issue-number> [solution-file]
 # Env vars (from worker): REPO_FULL, REPO_OWNER, REPO_NAME,
-#   MAIN_CLONE_DIR, WORKTREE_DIR, ARTIFACTS_DIR, DASHBOARD_DIR
+#   MAIN_CLONE_DIR, WORKTREE_DIR, ARTIFACTS_DIR, DASHBOARD_DIR, BRANCH_NAME
+# Sub-tasks of a planned issue also get PARENT_ISSUE, SUBTASK_INDEX,
+#   SUBTASK_COUNT, TASK_TITLE and TASK_BODY: each step commits on top of
+#   the previous one on the parent's branch, and the worker opens the PR
+#   once the last step is done.
 # =============================================================
 
 ISSUE_ID="${1:?Usage: implement.sh <issue-number> [solution-file]}"
@@ -16,7 +20,9 @@ WORKTREE_DIR="${WORKTREE_DIR:-$HOME/Documents/MapYourHealth-issue-${ISSUE_ID}}"
 DASHBOARD_DIR="${DASHBOARD_DIR:-$HOME/Documents/ai-queue-dashboard}"
 ARTIFACTS_DIR="${ARTIFACTS_DIR:-$DASHBOARD_DIR/artifacts/$ISSUE_ID}"
 LOG_FILE="$ARTIFACTS_DIR/pipeline.log"
-BRANCH_NAME="issue-${ISSUE_ID}"
+BRANCH_NAME="${BRANCH_NAME:-issue-${ISSUE_ID}}"
+PARENT_ISSUE="${PARENT_ISSUE:-}"
+SUBTASK_INDEX="${SUBTASK_INDEX:-1}"
 TIMEOUT_SECONDS="${CODING_TIMEOUT:-1800}"
 
 # Exit code conventions (for failure categorization):
@@ -25,8 +31,10 @@ TIMEOUT_SECONDS="${CODING_TIMEOUT:-1800}"
 # 2 = test failure
 # 3 = infra failure
 # 4 = agent failure (timeout, no changes)
+# The outcome is also written to $ARTIFACTS_DIR/result.json (lib/result.sh).
 
 mkdir -p "$ARTIFACTS_DIR"
+source "$(dirname "${BASH_SOURCE[0]}")/lib/result.sh"
 
 log() {
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] $1" | tee -a "$LOG_FILE"
@@ -35,6 +43,7 @@ log() {
 fail() {
   local exit_code="${2:-1}"
   log "❌ PIPELINE FAILED: $1 (exit code: $exit_code)"
+  write_result failure "$(error_class_for_exit "$exit_code")" "$1"
   cleanup_worktree
   exit "$exit_code"
 }
@@ -51,7 +60,11 @@ cleanup_worktree() {
   fi
 }
 
-log "=== Coding Pipeline Started for Issue #$ISSUE_ID ==="
+if [ -n "$PARENT_ISSUE" ]; then
+  log "=== Coding Pipeline Started for #$PARENT_ISSUE step $SUBTASK_INDEX/${SUBTASK_COUNT:-?} ==="
+else
+  log "=== Coding Pipeline Started for Issue #$ISSUE_ID ==="
+fi
 log "Timeout: ${TIMEOUT_SECONDS}s"
 
 # -------------------------------------------------------
@@ -59,9 +72,15 @@ log "Timeout: ${TIMEOUT_SECONDS}s"
 # -------------------------------------------------------
 log "Step 1/7: Fetching issue details..."
 REPO="${REPO_FULL:-epiphanyapps/MapYourHealth}"
-ISSUE_JSON=$(gh issue view "$ISSUE_ID" --repo "$REPO" --json title,body,labels 2>/dev/null) || fail "Failed to fetch issue #$ISSUE_ID from GitHub" 3
-ISSUE_TITLE=$(echo "$ISSUE_JSON" | jq -r '.title // "Unknown"')
-ISSUE_BODY=$(echo "$ISSUE_JSON" | jq -r '.body // "No description"')
+if [ -n "${TASK_TITLE:-}" ]; then
+  # Sub-task: the worker passes its text (local sub-tasks have no GitHub issue)
+  ISSUE_TITLE="$TASK_TITLE"
+  ISSUE_BODY="${TASK_BODY:-No description}"
+else
+  ISSUE_JSON=$(gh issue view "$ISSUE_ID" --repo "$REPO" --json title,body,labels 2>/dev/null) || fail "Failed to fetch issue #$ISSUE_ID from GitHub" 3
+  ISSUE_TITLE=$(echo "$ISSUE_JSON" | jq -r '.title // "Unknown"')
+  ISSUE_BODY=$(echo "$ISSUE_JSON" | jq -r '.body // "No description"')
+fi
 log "Issue: $ISSUE_TITLE"
 
 # -------------------------------------------------------
@@ -82,9 +101,20 @@ git branch -D "$BRANCH_NAME" 2>/dev/null || true
 # Ensure we're on latest main
 git fetch origin main >> "$LOG_FILE" 2>&1 || log "⚠️ git fetch failed, continuing with local"
 
+# Later sub-tasks continue from what the earlier steps pushed; the first starts from main
+BASE_REF="origin/main"
+PUSH_FLAGS=""
+if [ -n "$PARENT_ISSUE" ] && [ "$SUBTASK_INDEX" -gt 1 ]; then
+  git fetch origin "$BRANCH_NAME" >> "$LOG_FILE" 2>&1 || fail "Branch $BRANCH_NAME from earlier steps not found on origin" 3
+  BASE_REF="origin/$BRANCH_NAME"
+elif [ -n "$PARENT_ISSUE" ]; then
+  # A rerun of the first step replaces whatever an earlier attempt left on the branch
+  PUSH_FLAGS="--force"
+fi
+
 # Create worktree with new branch
-git worktree add -b "$BRANCH_NAME" "$WORKTREE_DIR" origin/main >> "$LOG_FILE" 2>&1 || fail "Failed to create worktree" 3
-log "✅ Worktree created at $WORKTREE_DIR"
+git worktree add -b "$BRANCH_NAME" "$WORKTREE_DIR" "$BASE_REF" >> "$LOG_FILE" 2>&1 || fail "Failed to create worktree" 3
+log "✅ Worktree created at $WORKTREE_DIR (from $BASE_REF)"
 
 # -------------------------------------------------------
 # Step 3: Copy amplify_outputs.json
@@ -112,8 +142,14 @@ TASK_FILE=$(mktemp /tmp/mini-task-${ISSUE_ID}-XXXXXX)
 mv "$TASK_FILE" "${TASK_FILE}.md"
 TASK_FILE="${TASK_FILE}.md"
 
+if [ -n "$PARENT_ISSUE" ]; then
+  TASK_HEADING="Step ${SUBTASK_INDEX} of #${PARENT_ISSUE}"
+else
+  TASK_HEADING="GitHub Issue #${ISSUE_ID}"
+fi
+
 cat > "$TASK_FILE" <<TASK_EOF
-# GitHub Issue #${ISSUE_ID}: ${ISSUE_TITLE}
+# ${TASK_HEADING}: ${ISSUE_TITLE}
 
 ## Issue Description
 ${ISSUE_BODY}
@@ -264,6 +300,7 @@ UNTRACKED_FILES=$(git ls-files --others --exclude-standard 2>/dev/null || true)
 if [ -z "$CHANGED_FILES" ] && [ -z "$UNTRACKED_FILES" ]; then
   log "ℹ️ No code changes detected. AI solution did not modify any files."
   log "=== Coding Pipeline Complete (no changes) for Issue #$ISSUE_ID ==="
+  write_result failure agent "No code changes: the AI solution did not modify any files${PARSING_ERROR:+ ($PARSING_ERROR)}"
   cleanup_worktree
   rm -f "$TASK_FILE"
   exit 4  # agent failure — no changes produced
@@ -275,16 +312,26 @@ echo "$UNTRACKED_FILES" | while read -r f; do [ -n "$f" ] && log "  A $f"; done
 
 # Stage and commit
 git add -A
-COMMIT_MSG="fix: address issue #${ISSUE_ID} - $(echo "$ISSUE_TITLE" | head -c 100)
+if [ -n "$PARENT_ISSUE" ]; then
+  COMMIT_MSG="feat: #${PARENT_ISSUE} step ${SUBTASK_INDEX}/${SUBTASK_COUNT:-?} - $(echo "$ISSUE_TITLE" | head -c 100)
+
+Automated change generated by AI queue system.
+Part of #${PARENT_ISSUE}"
+else
+  COMMIT_MSG="fix: address issue #${ISSUE_ID} - $(echo "$ISSUE_TITLE" | head -c 100)
 
 Automated fix generated by AI queue system.
 Fixes #${ISSUE_ID}"
+fi
 if ! git commit -m "$COMMIT_MSG" >> "$LOG_FILE" 2>&1; then
   log "❌ git commit failed — check for empty changes or hook errors"
   log "git status: $(git status --short 2>&1)"
   fail "git commit failed" 1
 fi
 log "✅ Changes committed"
+RESULT_BRANCH="$BRANCH_NAME"
+RESULT_COMMIT_SHA=$(git rev-parse HEAD)
+RESULT_CHANGED_FILES=$(git diff --name-only HEAD~1 2>/dev/null || true)
 
 # -------------------------------------------------------
 # Audit trail: save diff summary and full diff
@@ -319,19 +366,29 @@ else
 fi
 
 # Push branch
-git push origin "$BRANCH_NAME" >> "$LOG_FILE" 2>&1 || fail "git push failed" 3
+git push $PUSH_FLAGS origin "$BRANCH_NAME" >> "$LOG_FILE" 2>&1 || fail "git push failed" 3
 log "✅ Branch pushed to origin/$BRANCH_NAME"
 
+if [ -n "$PARENT_ISSUE" ]; then
+  # One PR for the whole plan — the worker opens it after the last step
+  log "ℹ️ Step $SUBTASK_INDEX/${SUBTASK_COUNT:-?} of #$PARENT_ISSUE pushed — no PR for individual sub-tasks"
+  write_result success "" "Step $SUBTASK_INDEX/${SUBTASK_COUNT:-?} of #$PARENT_ISSUE pushed to $BRANCH_NAME"
+  rm -f "$TASK_FILE"
+  cleanup_worktree
+  log "=== Coding Pipeline Complete for #$PARENT_ISSUE step $SUBTASK_INDEX ==="
+  exit 0
+fi
+
 # Create PR (draft if gates failed)
 GATE_STATUS=""
 if [ "$GATES_PASSED" = "false" ]; then
   GATE_STATUS="
 ### ⚠️ Quality Gates Failed
-This PR was created as a **draft** because quality gates did not pass. See \`artifacts/${ISSUE_ID}/quality-gates.log\` for details.
+This PR was created as a **draft** because quality gates did not pass. See \`${ARTIFACTS_DIR#$DASHBOARD_DIR/}/quality-gates.log\` for details.
 "
 fi
 
-PR_URL=$(gh pr create \
+if PR_URL=$(gh pr create \
   --repo "$REPO" \
   --base main \
   --head "$BRANCH_NAME" \
@@ -352,16 +409,22 @@ ${GATE_STATUS}
 - Auto-generated code — please review carefully
 - Generated by: AI queue system
 " \
-  --assignee waltermvp $PR_FLAGS 2>&1) || log "⚠️ PR creation failed (branch pushed, create manually)"
-
-if [ -n "$PR_URL" ]; then
+  --assignee waltermvp $PR_FLAGS 2>>"$LOG_FILE"); then
   log "✅ PR created: $PR_URL"
+  RESULT_PR_URL="$PR_URL"
+  RESULT_MESSAGE="Opened PR with $(echo "$RESULT_CHANGED_FILES" | grep -c . || true) changed file(s)"
+else
+  PR_URL=""
+  log "⚠️ PR creation failed (branch pushed, create manually)"
+  RESULT_MESSAGE="Branch $BRANCH_NAME pushed but the PR could not be created — open it manually"
 fi
 
 # If gates failed, still treat as success (draft PR was created)
 if [ "$GATES_PASSED" = "false" ]; then
   log "⚠️ Quality gates failed — draft PR created for manual review"
+  if [ -n "$PR_URL" ]; then RESULT_MESSAGE="$RESULT_MESSAGE (draft: quality gates failed)"; fi
 fi
+write_result success "" "$RESULT_MESSAGE"
 
 # -------------------------------------------------------
 # Step 7: Cleanup
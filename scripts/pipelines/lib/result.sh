@@ -0,0 +1,56 @@
+# Structured pipeline result — source from a pipeline script after ARTIFACTS_DIR is set.
+# write_result writes $ARTIFACTS_DIR/result.json, which the worker validates and reads
+# instead of the exit code and stdout (schema: scripts/pipeline-result.js).
+#
+#   write_result <success|failure> [error_class] [message]
+#
+# Optional fields come from the RESULT_* variables below; set them as they become known.
+
+RESULT_PR_URL=""
+RESULT_BRANCH=""
+RESULT_COMMIT_SHA=""
+RESULT_CHANGED_FILES=""   # one path per line
+RESULT_TESTS=""           # "<passed> <failed> <skipped>"
+
+# Exit code conventions → error class (1 build, 2 test, 3 infra, 4 agent)
+error_class_for_exit() {
+  case "$1" in
+    1) echo "build" ;;
+    2) echo "test" ;;
+    3) echo "infra" ;;
+    4) echo "agent" ;;
+    *) echo "unknown" ;;
+  esac
+}
+
+write_result() {
+  local status="$1" error_class="${2:-}" message="${3:-}"
+  local tests="null"
+  if [ -n "$RESULT_TESTS" ]; then
+    local passed failed skipped
+    read -r passed failed skipped <<< "$RESULT_TESTS"
+    tests="{\"total\": $((passed + failed + ${skipped:-0})), \"passed\": $passed, \"failed\": $failed, \"skipped\": ${skipped:-0}}"
+  fi
+
+  # Without jq there is no result.json and the worker falls back to the exit code
+  jq -n \
+    --arg status "$status" \
+    --arg error_class "$error_class" \
+    --arg message "$message" \
+    --arg pr_url "$RESULT_PR_URL" \
+    --arg branch "$RESULT_BRANCH" \
+    --arg commit_sha "$RESULT_COMMIT_SHA" \
+    --arg changed_files "$RESULT_CHANGED_FILES" \
+    --argjson tests "$tests" \
+    'def opt: if . == "" then null else . end;
+     {
+       status: $status,
+       error_class: ($error_class | opt),
+       message: ($message | opt),
+       pr_url: ($pr_url | opt),
+       branch: ($branch | opt),
+       commit_sha: ($commit_sha | opt),
+       changed_files: ($changed_files | split("\n") | map(select(length > 0))),
+       tests: $tests
+     }' > "$ARTIFACTS_DIR/result.json" 2>/dev/null || rm -f "$ARTIFACTS_DIR/result.json"
+}
@@ -20,6 +20,7 @@ export PATH="$PATH:$ANDROID_HOME/tools:$ANDROID_HOME/platform-tools:$HOME/.maest
 export JAVA_HOME="${JAVA_HOME:-$(/usr/libexec/java_home 2>/dev/null || echo /Library/Java/JavaVirtualMachines/zulu-17.jdk/Contents/Home)}"
 
 mkdir -p "$ARTIFACTS_DIR" "$BUILDS_CACHE"
+source "$(dirname "${BASH_SOURCE[0]}")/lib/result.sh"
 
 log() {
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] $1" | tee -a "$LOG_FILE"
@@ -28,6 +29,7 @@ log() {
 fail() {
   local exit_code="${2:-1}"
   log "❌ PIPELINE FAILED: $1 (exit code: $exit_code)"
+  write_result failure "$(error_class_for_exit "$exit_code")" "$1"
   exit "$exit_code"
 }
 
@@ -258,6 +260,8 @@ for i in "${!FLOWS_TO_RUN[@]}"; do
   log "--- End flow $FLOW_NAME ---"
 done
 
+RESULT_TESTS="$PASSED_FLOWS $FAILED_FLOWS 0"
+
 # -------------------------------------------------------
 # Step 6: iOS tests (if device available)
 # -------------------------------------------------------
@@ -284,4 +288,5 @@ if [ $ANY_FAILED -ne 0 ]; then
   fail "$FAILED_FLOWS/$TOTAL_FLOWS flows failed — see individual test-output logs" 2
 fi
 
+write_result success "" "$PASSED_FLOWS/$TOTAL_FLOWS flows passed, $VIDEOS_RECORDED video(s) recorded"
 exit 0
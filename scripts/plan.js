@@ -0,0 +1,108 @@
+// Epic decomposition. Issues routed to the `plan` pipeline get back an ordered list of
+// sub-tasks instead of a solution. The worker queues each one as a child item of the issue
+// (optionally a real GitHub sub-issue), chained so they run one at a time on the parent's
+// branch, and settles the parent once every child is done. Settings: routing.config.json `planning`.
+
+const db = require('./db');
+
+const MARKER = '<!-- ai-queue:plan -->';
+const JSON_BLOCK = /```(?:json)?\s*\n([\s\S]*?)```/i;
+const DEFAULT_SETTINGS = { maxSubtasks: 8, childPipeline: 'implement', createSubIssues: false };
+
+// Sub-task statuses that count as done when settling the parent
+const DONE_STATUSES = ['completed', 'pr_open', 'merged'];
+
+function settings(config) {
+  const cfg = { ...DEFAULT_SETTINGS, ...(config.planning || {}) };
+  return {
+    maxSubtasks: parseInt(cfg.maxSubtasks, 10) > 0 ? parseInt(cfg.maxSubtasks, 10) : DEFAULT_SETTINGS.maxSubtasks,
+    childPipeline: cfg.childPipeline || DEFAULT_SETTINGS.childPipeline,
+    createSubIssues: !!cfg.createSubIssues
+  };
+}
+
+// Pipeline a sub-task runs on: the one the plan asked for if it exists and isn't `plan`
+// (no nested epics), else `childPipeline`, else the default pipeline
+function childPipeline(config, requested) {
+  const usable = (name) => !!name && name !== 'plan' && !!config.pipelines[name] && config.pipelines[name].enabled !== false;
+  if (usable(requested)) return requested;
+  const fallback = settings(config).childPipeline;
+  return usable(fallback) ? fallback : config.defaults.pipeline;
+}
+
+// [{ title, body, pipeline }] from the model's reply — a JSON array (or `{ "subtasks": [...] }`),
+// fenced or bare — or null when there is no usable list
+function parseSubtasks(text) {
+  const source = String(text || '');
+  const fenced = source.match(JSON_BLOCK);
+  let parsed;
+  try {
+    parsed = JSON.parse(fenced ? fenced[1] : source.trim());
+  } catch {
+    return null;
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.subtasks;
+  if (!Array.isArray(list)) return null;
+  const tasks = list
+    .filter(t => t && typeof t.title === 'string' && t.title.trim())
+    .map(t => ({
+      title: t.title.trim().slice(0, 200),
+      body: typeof t.body === 'string' ? t.body.trim() : '',
+      pipeline: typeof t.pipeline === 'string' ? t.pipeline.trim().toLowerCase() : null
+    }));
+  return tasks.length > 0 ? tasks : null;
+}
+
+// Issue body for step `index` of the plan: the task itself, then where it sits in the epic.
+// `dependsOn` (a GitHub sub-issue number) puts the ordering on the issue too.
+function subtaskBody(parent, tasks, index, dependsOn) {
+  const task = tasks[index];
+  const lines = [
+    task.body || task.title,
+    '',
+    '---',
+    `Step ${index + 1} of ${tasks.length} of #${parent.issue_number}: ${parent.title}`,
+    '',
+    ...tasks.map((t, i) => `${i + 1}. ${t.title}${i === index ? ' ← this step' : ''}`)
+  ];
+  if (dependsOn) lines.push('', `Depends on #${dependsOn}`);
+  return lines.join('\n');
+}
+
+function childRef(child) {
+  return db.isLocalIssue(child.issue_number) ? '' : `#${child.issue_number} `;
+}
+
+// Posted on the parent issue once the sub-tasks are queued
+function formatPlanComment(children) {
+  return [
+    MARKER,
+    `### 🗂️ Split into ${children.length} sub-tasks`,
+    '',
+    ...children.map(c => `${c.subtask_index}. ${childRef(c)}${c.title} (\`${c.pipeline}\`)`),
+    '',
+    '_They run one at a time, in this order. This issue is done when all of them are._'
+  ].join('\n');
+}
+
+// Body of the single pull request opened for the parent's branch
+function pullRequestBody(parent, children) {
+  const closes = children.filter(c => !db.isLocalIssue(c.issue_number)).map(c => `Closes #${c.issue_number}`);
+  return [
+    `## Automated changes for #${parent.issue_number}`,
+    '',
+    `Built by the **AI queue system** in ${children.length} steps:`,
+    '',
+    ...children.map(c => `${c.subtask_index}. ${childRef(c)}${c.title}`),
+    '',
+    `Fixes #${parent.issue_number}`,
+    ...closes,
+    '',
+    '### Review Notes',
+    '- Auto-generated code — please review carefully'
+  ].join('\n');
+}
+
+module.exports = {
+  MARKER, DONE_STATUSES, settings, childPipeline, parseSubtasks, subtaskBody, formatPlanComment, pullRequestBody
+};
@@ -21,6 +21,7 @@
 const { execSync } = require("child_process")
 const fs = require("fs")
 const path = require("path")
+const artifacts = require("./artifacts")
 
 const OLLAMA_URL = "http://localhost:11434/api/generate"
 const OLLAMA_MODEL = "qwen2.5-coder:32b"
@@ -419,8 +420,8 @@ async function runE2EPipeline(worktreeDir, fullRepo, prNumber) {
   // Step 3: Run Maestro tests on Android (with video) and iOS (test only)
   console.log("\n   🎭 Running Maestro tests on Android & iOS...")
   const flowsDir = `${worktreeDir}/apps/mobile/.maestro/flows/`
-  const issueId = prNumber // use PR number as artifact folder name
-  const artifactsDir = path.join(__dirname, "..", "artifacts", String(issueId))
+  // Filed under the PR number; these runs aren't recorded in the runs table, so the folder is named by start time
+  const artifactsDir = artifacts.runDir(fullRepo, prNumber, Date.now())
   const recordings = []
 
   if (!fs.existsSync(flowsDir)) {
@@ -533,7 +534,7 @@ async function runE2EPipeline(worktreeDir, fullRepo, prNumber) {
     success: e2eErrors.length === 0,
     errors: e2eErrors,
     artifacts: {
-      dir: `artifacts/${issueId}`,
+      dir: artifacts.relativeDir(artifactsDir),
       recordings,
       logs: ['pipeline.log']
     }
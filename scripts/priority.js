@@ -0,0 +1,54 @@
+// Queue priority from routing.config.json `priority`. Items get a level when they are
+// enqueued — the highest one any of their labels maps to in `rules`, else `default` — and
+// the queue runs in order of level plus an aging boost (one level per `agingHours` waited,
+// at most `maxAgingBoost`, never past high) so old low-priority items eventually get a turn.
+// Items given a manual position (dashboard drag-and-drop, `reorder`) run first, in that order.
+
+const LEVELS = { critical: 4, high: 3, medium: 2, low: 1 };
+const DEFAULT_SETTINGS = { default: 'medium', rules: {}, agingHours: 24, maxAgingBoost: 2 };
+
+function isLevel(value) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, String(value || '').toLowerCase());
+}
+
+function settings(config) {
+  const cfg = { ...DEFAULT_SETTINGS, ...(config.priority || {}) };
+  const rules = {};
+  for (const [label, level] of Object.entries(cfg.rules || {})) {
+    if (isLevel(level)) rules[label.toLowerCase()] = level.toLowerCase();
+  }
+  return {
+    default: isLevel(cfg.default) ? cfg.default.toLowerCase() : DEFAULT_SETTINGS.default,
+    rules,
+    agingHours: Number(cfg.agingHours) > 0 ? Number(cfg.agingHours) : 0,
+    maxAgingBoost: Math.max(0, Math.floor(Number(cfg.maxAgingBoost) || 0))
+  };
+}
+
+// Level for a new item with these labels: the highest matching rule, else the default
+function priorityFor(config, labels) {
+  const cfg = settings(config);
+  let best = null;
+  for (const label of labels || []) {
+    const level = cfg.rules[String(label).toLowerCase()];
+    if (level && (!best || LEVELS[level] > LEVELS[best])) best = level;
+  }
+  return best || cfg.default;
+}
+
+// SQL for an item's numeric priority: its level plus the aging boost. Aging lifts an item
+// at most to `high` — only a critical label or a manual override makes it critical.
+function scoreSql(config) {
+  const { agingHours, maxAgingBoost } = settings(config);
+  const level = `CASE priority ${Object.entries(LEVELS).map(([name, n]) => `WHEN '${name}' THEN ${n}`).join(' ')} ELSE 0 END`;
+  if (!agingHours || !maxAgingBoost) return `(${level})`;
+  const boost = `MIN(${maxAgingBoost}, CAST((julianday('now') - julianday(added_at)) * 24 / ${agingHours} AS INTEGER))`;
+  return `MAX(${level}, MIN(${LEVELS.high}, ${level} + ${boost}))`;
+}
+
+// ORDER BY clause for queued items (installed with db.setQueueOrderBy)
+function orderBySql(config) {
+  return `queue_position IS NULL, queue_position ASC, ${scoreSql(config)} DESC, added_at ASC`;
+}
+
+module.exports = { LEVELS, isLevel, settings, priorityFor, scoreSql, orderBySql };
@@ -0,0 +1,58 @@
+// Helpers for streamed provider responses (axios `responseType: 'stream'`)
+// Not a provider — the registry skips files starting with `_`.
+
+// Call onLine for every line of a text stream; resolves when the stream ends
+function readLines(stream, onLine) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, idx).replace(/\r$/, '');
+        buffer = buffer.slice(idx + 1);
+        try { onLine(line); } catch (e) { stream.destroy(); reject(e); return; }
+      }
+    });
+    stream.on('end', () => {
+      try { if (buffer) onLine(buffer); } catch (e) { reject(e); return; }
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+// Server-Sent Events: onData receives each parsed `data:` payload (`[DONE]` is skipped)
+function readSSE(stream, onData) {
+  return readLines(stream, (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    onData(JSON.parse(payload));
+  });
+}
+
+// Newline-delimited JSON (Ollama)
+function readNDJSON(stream, onData) {
+  return readLines(stream, (line) => {
+    if (line.trim()) onData(JSON.parse(line));
+  });
+}
+
+// With a streamed request the error body is a stream too; buffer and parse it so
+// providers.errorMessage() can read it
+async function bufferErrorBody(error) {
+  const body = error.response && error.response.data;
+  if (!body || typeof body.on !== 'function') return error;
+  let raw = '';
+  try {
+    await readLines(body, (line) => { raw += line; });
+    error.response.data = JSON.parse(raw);
+  } catch {
+    error.response.data = raw ? { error: raw } : null;
+  }
+  return error;
+}
+
+module.exports = { readLines, readSSE, readNDJSON, bufferErrorBody };
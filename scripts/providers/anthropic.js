@@ -0,0 +1,61 @@
+// Anthropic Messages API (Claude)
+
+const axios = require('axios');
+const { readSSE, bufferErrorBody } = require('./_stream');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+
+function apiKey(settings) {
+  return process.env[settings.apiKeyEnv || 'ANTHROPIC_API_KEY'];
+}
+
+async function healthcheck({ model, settings }) {
+  if (!apiKey(settings)) return { ok: false, msg: `${settings.apiKeyEnv || 'ANTHROPIC_API_KEY'} not set in environment` };
+  return { ok: true, msg: `Anthropic API key set, model: ${model}` };
+}
+
+async function generate({ model, system, user, settings, onToken = () => {} }) {
+  let response;
+  try {
+    response = await axios.post(settings.url || API_URL, {
+      model,
+      max_tokens: settings.maxTokens || 16384,
+      system,
+      messages: [{ role: 'user', content: user }],
+      stream: true
+    }, {
+      headers: {
+        'x-api-key': apiKey(settings),
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      responseType: 'stream',
+      timeout: settings.timeoutMs || 120000 // 2 min without a response
+    });
+  } catch (error) {
+    throw await bufferErrorBody(error);
+  }
+
+  let text = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  await readSSE(response.data, (event) => {
+    if (event.type === 'message_start') {
+      usage.input_tokens = (event.message.usage || {}).input_tokens || 0;
+    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      onToken(event.delta.text);
+    } else if (event.type === 'message_delta' && event.usage) {
+      usage.output_tokens = event.usage.output_tokens || 0;
+    } else if (event.type === 'error') {
+      throw new Error(event.error.message);
+    }
+  });
+  return { text, usage };
+}
+
+// Sonnet list price (USD per million tokens) for models not in routing.config.json `pricing`
+function estimateCost(usage) {
+  return (usage.input_tokens || 0) * 3 / 1e6 + (usage.output_tokens || 0) * 15 / 1e6;
+}
+
+module.exports = { name: 'anthropic', healthcheck, generate, estimateCost };
@@ -0,0 +1,90 @@
+// AI provider registry
+// Every other module in this directory (except `_`-prefixed helpers) is a provider exporting:
+//   name                                                 — value used as `provider` in routing.config.json
+//   healthcheck({ model, settings })                     → { ok, msg }
+//   generate({ model, system, user, settings, onToken }) → { text, usage: { input_tokens, output_tokens } }
+//   estimateCost(usage, model, settings)                 → USD (number), used for models missing from `pricing`
+// `settings` is the provider's entry in the config's `providers` section; `onToken(text)`
+// is called with each streamed chunk of output as it arrives.
+
+const fs = require('fs');
+const path = require('path');
+
+let registry;
+
+function loadProviders() {
+  if (registry) return registry;
+  registry = {};
+  for (const file of fs.readdirSync(__dirname)) {
+    if (!file.endsWith('.js') || file === 'index.js' || file.startsWith('_')) continue;
+    const provider = require(path.join(__dirname, file));
+    registry[provider.name] = provider;
+  }
+  return registry;
+}
+
+function getProvider(name) {
+  return loadProviders()[name] || null;
+}
+
+function listProviders() {
+  return Object.keys(loadProviders());
+}
+
+// Provider name for a pipeline (pipeline → defaults → ollama)
+function providerNameFor(config, pipelineCfg) {
+  return (pipelineCfg.provider || config.defaults.provider || 'ollama').toLowerCase();
+}
+
+// Ordered provider/model candidates for a pipeline: primary first, then its `fallback` list
+function providerChain(config, pipelineCfg) {
+  const primaryProvider = providerNameFor(config, pipelineCfg);
+  const chain = [{ provider: primaryProvider, model: pipelineCfg.model || config.defaults.model }];
+  for (const entry of (pipelineCfg.fallback || [])) {
+    const candidate = { provider: (entry.provider || primaryProvider).toLowerCase(), model: entry.model };
+    if (!chain.some(c => c.provider === candidate.provider && c.model === candidate.model)) chain.push(candidate);
+  }
+  return chain;
+}
+
+function describe(candidate) {
+  return `${candidate.provider}/${candidate.model}`;
+}
+
+// Provider settings, with legacy `defaults.ollamaUrl` still honoured
+function providerSettings(config, name) {
+  const settings = { ...((config.providers || {})[name] || {}) };
+  if (name === 'ollama' && !settings.url && config.defaults.ollamaUrl) {
+    settings.url = config.defaults.ollamaUrl.replace(/\/api\/generate\/?$/, '');
+  }
+  return settings;
+}
+
+// USD cost of a call: `pricing[model]` in routing.config.json (USD per million tokens)
+// when listed, otherwise the provider's own estimate
+function costFor(config, candidate, usage) {
+  const price = (config.pricing || {})[candidate.model];
+  if (price) {
+    return (usage.input_tokens || 0) * (price.inputPerMTok || 0) / 1e6 +
+      (usage.output_tokens || 0) * (price.outputPerMTok || 0) / 1e6;
+  }
+  const provider = getProvider(candidate.provider);
+  return provider ? provider.estimateCost(usage, candidate.model, providerSettings(config, candidate.provider)) : 0;
+}
+
+// Whether a candidate costs money at all (budget caps only pause paid work)
+function isPaid(config, candidate) {
+  return costFor(config, candidate, { input_tokens: 1e6, output_tokens: 1e6 }) > 0;
+}
+
+// Best-effort message from an axios/provider error
+function errorMessage(error) {
+  const data = error.response && error.response.data;
+  if (data && data.error) return typeof data.error === 'string' ? data.error : (data.error.message || JSON.stringify(data.error));
+  return error.message;
+}
+
+module.exports = {
+  getProvider, listProviders, providerNameFor, providerChain, describe, providerSettings,
+  costFor, isPaid, errorMessage
+};
@@ -0,0 +1,56 @@
+// Local Ollama server (/api/generate)
+
+const axios = require('axios');
+const { readNDJSON, bufferErrorBody } = require('./_stream');
+
+function baseUrl(settings) {
+  return (settings.url || 'http://localhost:11434').replace(/\/$/, '');
+}
+
+async function healthcheck({ model, settings }) {
+  let models;
+  try {
+    const res = await axios.get(`${baseUrl(settings)}/api/tags`, { timeout: 5000 });
+    models = (res.data.models || []).map(m => m.name || m.model || '');
+  } catch {
+    return { ok: false, msg: `Ollama not running — cannot reach ${baseUrl(settings)}/api/tags` };
+  }
+  const available = models.some(m => m === model || m.startsWith(model.split(':')[0]));
+  if (!available) return { ok: false, msg: `Model ${model} not pulled. Available: ${models.join(', ') || 'none'}` };
+  return { ok: true, msg: `Ollama is running, model ${model} is available` };
+}
+
+async function generate({ model, system, user, settings, onToken = () => {} }) {
+  let response;
+  try {
+    response = await axios.post(`${baseUrl(settings)}/api/generate`, {
+      model,
+      prompt: `${system}\n\n---\n\n${user}`,
+      stream: true
+    }, { responseType: 'stream', timeout: settings.timeoutMs || 0 });
+  } catch (error) {
+    throw await bufferErrorBody(error);
+  }
+
+  let text = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  await readNDJSON(response.data, (chunk) => {
+    if (chunk.error) throw new Error(chunk.error);
+    if (chunk.response) {
+      text += chunk.response;
+      onToken(chunk.response);
+    }
+    if (chunk.done) {
+      usage.input_tokens = chunk.prompt_eval_count || 0;
+      usage.output_tokens = chunk.eval_count || 0;
+    }
+  });
+  return { text, usage };
+}
+
+// Local inference — no per-token cost
+function estimateCost() {
+  return 0;
+}
+
+module.exports = { name: 'ollama', healthcheck, generate, estimateCost };
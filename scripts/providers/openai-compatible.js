@@ -0,0 +1,72 @@
+// OpenAI-compatible chat completions (llama.cpp server, vLLM, LM Studio, ...)
+
+const axios = require('axios');
+const { readSSE, bufferErrorBody } = require('./_stream');
+
+function baseUrl(settings) {
+  return (settings.baseUrl || 'http://localhost:8080/v1').replace(/\/$/, '');
+}
+
+function headers(settings) {
+  const key = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : null;
+  return key ? { Authorization: `Bearer ${key}` } : {};
+}
+
+async function healthcheck({ model, settings }) {
+  if (settings.apiKeyEnv && !process.env[settings.apiKeyEnv]) {
+    return { ok: false, msg: `${settings.apiKeyEnv} not set in environment` };
+  }
+  let models;
+  try {
+    const res = await axios.get(`${baseUrl(settings)}/models`, { headers: headers(settings), timeout: 5000 });
+    models = (res.data.data || []).map(m => m.id);
+  } catch (e) {
+    return { ok: false, msg: `Cannot reach ${baseUrl(settings)}/models: ${e.message}` };
+  }
+  // Single-model servers (llama.cpp) may report a path instead of the configured alias
+  if (models.length > 1 && !models.includes(model)) {
+    return { ok: false, msg: `Model ${model} not served. Available: ${models.join(', ')}` };
+  }
+  return { ok: true, msg: `${baseUrl(settings)} is up, model: ${model}` };
+}
+
+async function generate({ model, system, user, settings, onToken = () => {} }) {
+  let response;
+  try {
+    response = await axios.post(`${baseUrl(settings)}/chat/completions`, {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ],
+      max_tokens: settings.maxTokens || 16384,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { headers: headers(settings), responseType: 'stream', timeout: settings.timeoutMs || 0 });
+  } catch (error) {
+    throw await bufferErrorBody(error);
+  }
+
+  let text = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  await readSSE(response.data, (chunk) => {
+    if (chunk.error) throw new Error(chunk.error.message || String(chunk.error));
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) {
+      text += delta.content;
+      onToken(delta.content);
+    }
+    if (chunk.usage) {
+      usage.input_tokens = chunk.usage.prompt_tokens || 0;
+      usage.output_tokens = chunk.usage.completion_tokens || 0;
+    }
+  });
+  return { text, usage };
+}
+
+// Typically self-hosted — no per-token cost
+function estimateCost() {
+  return 0;
+}
+
+module.exports = { name: 'openai-compatible', healthcheck, generate, estimateCost };
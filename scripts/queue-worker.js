@@ -1,27 +1,41 @@
 #!/usr/bin/env node
 
-// AI Queue Worker for Ollama Integration
+// AI Queue Worker — pluggable AI providers (scripts/providers/)
 // SQLite as single source of truth, config-driven routing
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const axios = require('axios');
 const { spawn } = require('child_process');
 const db = require('./db');
+const { createScheduler } = require('./scheduler');
+const { getRetryPolicy, shouldRetry, backoffSeconds } = require('./retry-policy');
+const routing = require('./routing');
+const { getBudgets, budgetExceeded } = require('./budget');
+const { watchedRepos, acceptsLabels } = require('./repos');
+const github = require('./github');
+const commands = require('./commands');
+const issueStatus = require('./issue-status');
+const clarification = require('./clarification');
+const priority = require('./priority');
+const windows = require('./windows');
+const { parseDependencies } = require('./dependencies');
+const plan = require('./plan');
+const { RESULT_FILE, readResult } = require('./pipeline-result');
+const artifacts = require('./artifacts');
+const retention = require('./retention');
+const bundle = require('./bundle');
+const thumbnails = require('./thumbnails');
+const providers = require('./providers');
 
 const PIPELINES_DIR = path.join(__dirname, 'pipelines');
 const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
-const ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
-const LOCK_FILE = path.join(__dirname, '..', 'queue-worker.lock');
-const PID_FILE = path.join(__dirname, '..', 'pipeline.pid');
 const LOG_FILE = path.join(__dirname, '..', 'queue-worker.log');
 const CONFIG_FILE = path.join(__dirname, '..', 'routing.config.json');
 
-// Error class mapping from pipeline exit codes
-const ERROR_CLASSES = { 1: 'build', 2: 'test', 3: 'infra', 4: 'agent' };
-
 // Load routing config
 let config;
+let scheduler;
 function loadConfig() {
   try {
     config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
@@ -37,45 +51,68 @@ function loadConfig() {
       routing: { 'e2e': 'test', 'content': 'generate', 'coding': 'implement', '*': 'implement' }
     };
   }
+  scheduler = createScheduler(config, detectIssueType);
+  db.setQueueOrderBy(priority.orderBySql(config));
+  for (const entry of windows.invalidWindows(config)) console.warn(`⚠️ Ignoring invalid processing window ${entry} — it never matches`);
+  return config;
 }
 
-// Lock file for concurrency control
-function acquireLock() {
-  if (fs.existsSync(LOCK_FILE)) {
-    try {
-      const pid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8').trim(), 10);
-      if (!isNaN(pid)) {
-        process.kill(pid, 0);
-        return false;
-      }
-    } catch {}
-  }
-  fs.writeFileSync(LOCK_FILE, String(process.pid));
-  return true;
+function isPidAlive(pid) {
+  if (!pid) return false;
+  try { process.kill(pid, 0); return true; } catch { return false; }
 }
 
-function releaseLock() {
-  try {
-    if (fs.existsSync(LOCK_FILE)) {
-      const pid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8').trim(), 10);
-      if (pid === process.pid) fs.unlinkSync(LOCK_FILE);
-    }
-  } catch {}
+// `owner/repo#123`, or a bare `123` with the repo given separately (or left to resolveItem).
+// `123.2` is step 2 of #123's sub-tasks; local sub-tasks can also be named by their (negative) number.
+function parseItemRef(arg, repoArg) {
+  const match = String(arg || '').match(/^(?:([\w.-]+\/[\w.-]+)#)?(-?\d+)(?:\.(\d+))?$/);
+  if (!match) return null;
+  return { repo: match[1] || repoArg || null, issueNumber: parseInt(match[2], 10), subtask: match[3] ? parseInt(match[3], 10) : null };
+}
+
+function formatRef(item) {
+  return item.repo ? `${item.repo}#${db.refNumber(item)}` : `#${db.refNumber(item)}`;
+}
+
+// Find the item a CLI ref points at, optionally limited to some statuses. A bare number
+// only resolves when a single repo has a matching item.
+function resolveItem(ref, statuses) {
+  const rows = ref.subtask
+    ? db.findSubtask(ref.repo, ref.issueNumber, ref.subtask)
+    : ref.repo
+      ? [db.getItem(ref.repo, ref.issueNumber)].filter(Boolean)
+      : db.findItemsByIssueNumber(ref.issueNumber);
+  const matches = statuses ? rows.filter(r => statuses.includes(r.status)) : rows;
+  if (matches.length > 1) {
+    throw new Error(`#${ref.issueNumber} is ambiguous (${matches.map(formatRef).join(', ')}) — use owner/repo#${ref.issueNumber}`);
+  }
+  return matches[0] || null;
 }
 
 function log(msg) {
   const line = `[${new Date().toISOString()}] ${msg}`;
   console.log(line);
   fs.appendFileSync(LOG_FILE, line + '\n');
+  db.publishEvent('log.line', { line });
+}
+
+// Mirror an item's state onto its GitHub issue (status comment + label); never throws
+async function reportStatus(item) {
+  try {
+    await issueStatus.report(config, item.repo, item.issue_number);
+  } catch (e) {
+    log(`⚠️ Could not update GitHub status for ${formatRef(item)}: ${e.message}`);
+  }
 }
 
 // Detect issue type from labels using routing config
 function detectIssueType(item) {
-  const labels = db.parseLabels(item.labels).map(l => (typeof l === 'string' ? l : l.name || '').toLowerCase());
-  for (const label of labels) {
-    if (config.routing[label]) return config.routing[label];
-  }
-  return config.routing['*'] || config.defaults.pipeline;
+  return routing.detectIssueType(config, { pipeline: item.pipeline, labels: db.parseLabels(item.labels) });
+}
+
+// Sub-tasks work on their parent's branch (and worktree), one after another
+function branchFor(item) {
+  return `issue-${item.parent_issue_number || item.issue_number}`;
 }
 
 // Load prompt file for a given issue type
@@ -99,14 +136,29 @@ function loadCodingStandards() {
 }
 
 // Collect artifacts for an issue
-function collectArtifacts(issueId) {
-  const artifactDir = path.join(ARTIFACTS_DIR, String(issueId));
+function collectArtifacts(artifactDir) {
   if (!fs.existsSync(artifactDir)) return null;
   const files = fs.readdirSync(artifactDir);
   const recordings = files.filter(f => f.endsWith('.mp4'));
   const logs = files.filter(f => f.endsWith('.log') || f.endsWith('.json') || f.endsWith('.md') || f.endsWith('.txt') || f.endsWith('.patch'));
   if (recordings.length === 0 && logs.length === 0) return null;
-  return { dir: `artifacts/${issueId}`, recordings, logs };
+  return { dir: artifacts.relativeDir(artifactDir), recordings, logs };
+}
+
+// Poster and timeline frames for the dashboard's recording player (needs ffmpeg)
+async function makeThumbnails(artifactDir, recordings) {
+  if (!(await thumbnails.ffmpegAvailable())) {
+    log('⚠️ ffmpeg not found — recordings get no thumbnails');
+    return;
+  }
+  for (const filename of recordings) {
+    try {
+      await thumbnails.generateThumbnails(path.join(artifactDir, filename));
+      log(`🖼️ Thumbnails for ${filename}`);
+    } catch (e) {
+      log(`⚠️ Thumbnails for ${filename} failed: ${e.message}`);
+    }
+  }
 }
 
 // ========== Preflight Checks ==========
@@ -125,66 +177,39 @@ async function preflight(item, pipelineType, pipelineConfig) {
 
   // --- All types ---
 
-  // 1. Check stale lock file
-  if (fs.existsSync(LOCK_FILE)) {
-    try {
-      const pid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8').trim(), 10);
-      if (!isNaN(pid)) {
-        try { process.kill(pid, 0); ok('lock', `Lock held by active PID ${pid}`); }
-        catch {
-          fs.unlinkSync(LOCK_FILE);
-          fix('lock', `Removed stale lock (PID ${pid} is dead)`);
-        }
-      }
-    } catch (e) { fix('lock', `Removed unreadable lock file`); try { fs.unlinkSync(LOCK_FILE); } catch {} }
-  } else {
-    ok('lock', 'No lock file');
-  }
-
-  // 2. Check AI provider
-  const provider = (pipelineConfig.provider || config.defaults.provider || 'ollama').toLowerCase();
-  const model = pipelineConfig.model || config.defaults.model;
-
-  if (provider === 'anthropic') {
-    if (process.env.ANTHROPIC_API_KEY) {
-      ok('provider', `Anthropic API key set, model: ${model}`);
-    } else {
-      fail('provider', 'ANTHROPIC_API_KEY not set in environment');
+  // 1. Check AI provider chain (primary + fallbacks) — fails only if none is usable
+  const candidates = [];
+  for (const candidate of providers.providerChain(config, pipelineConfig)) {
+    const label = providers.describe(candidate);
+    const provider = providers.getProvider(candidate.provider);
+    if (!provider) {
+      warn('provider', `${label}: unknown provider (available: ${providers.listProviders().join(', ')})`);
+      continue;
     }
-  } else {
-    // Ollama checks
-    let ollamaModels = [];
-    try {
-      const tagsRaw = execSync('curl -s http://localhost:11434/api/tags', { encoding: 'utf8', timeout: 5000 });
-      const tags = JSON.parse(tagsRaw);
-      ollamaModels = (tags.models || []).map(m => m.name || m.model || '');
-      ok('ollama', 'Ollama is running');
-    } catch {
-      fail('ollama', 'Ollama not running — cannot reach http://localhost:11434/api/tags');
+    if (fallbackResourceBusy(item, candidate)) {
+      warn('provider', `${label}: ${candidate.provider} resource is busy in another lane`);
+      continue;
     }
-
-    // Check model
-    const modelAvailable = ollamaModels.some(m => m === model || m.startsWith(model.split(':')[0]));
-    if (modelAvailable) {
-      ok('model', `Model ${model} is available`);
-    } else {
-      fail('model', `Model ${model} not pulled. Available: ${ollamaModels.join(', ') || 'none'}`);
+    let health;
+    try {
+      health = await provider.healthcheck({ model: candidate.model, settings: providers.providerSettings(config, candidate.provider) });
+    } catch (e) {
+      health = { ok: false, msg: e.message };
     }
+    if (health.ok) { ok('provider', `${label}: ${health.msg}`); candidates.push(candidate); }
+    else warn('provider', `${label}: ${health.msg}`);
   }
+  if (candidates.length === 0) fail('provider', 'No configured provider is available');
 
-  // 3. Check disk space
+  // 2. Check disk space (watch reclaims artifact space below the same threshold)
   try {
-    const dfOut = execSync('df -k /', { encoding: 'utf8', timeout: 5000 });
-    const lines = dfOut.trim().split('\n');
-    if (lines.length >= 2) {
-      const parts = lines[1].split(/\s+/);
-      const availKB = parseInt(parts[3], 10);
-      const availGB = (availKB / 1048576).toFixed(1);
-      if (availKB < 5 * 1048576) {
-        warn('disk', `Only ${availGB}GB free (< 5GB threshold)`);
-      } else {
-        ok('disk', `${availGB}GB free`);
-      }
+    const availKB = retention.freeDiskKB();
+    const availGB = (availKB / retention.KB_PER_GB).toFixed(1);
+    const { minFreeGB } = retention.settings(config);
+    if (retention.diskLow(config, availKB)) {
+      warn('disk', `Only ${availGB}GB free (< ${minFreeGB}GB threshold)`);
+    } else {
+      ok('disk', `${availGB}GB free`);
     }
   } catch { warn('disk', 'Could not check disk space'); }
 
@@ -194,9 +219,9 @@ async function preflight(item, pipelineType, pipelineConfig) {
     const repoFull = item.repo || 'epiphanyapps/MapYourHealth';
     const [repoOwner, repoName] = repoFull.includes('/') ? repoFull.split('/') : ['epiphanyapps', repoFull];
     const worktreeBase = (config.defaults.worktreeBase || '~/Documents/worktrees').replace('~', process.env.HOME);
-    const worktreePath = path.join(worktreeBase, repoOwner, repoName, `issue-${item.issue_number}`);
+    const worktreePath = path.join(worktreeBase, repoOwner, repoName, branchFor(item));
     const mainCloneDir = path.join(process.env.HOME, 'Documents', repoName);
-    const branchName = `issue-${item.issue_number}`;
+    const branchName = branchFor(item);
 
     // Check stale worktree
     if (fs.existsSync(worktreePath)) {
@@ -256,134 +281,111 @@ async function preflight(item, pipelineType, pipelineConfig) {
   }
 
   log(`🔍 Preflight complete: ${checks.length} checks passed${warnings.length ? `, ${warnings.length} warning(s)` : ''}`);
-  return { success: true, checks, warnings };
+  return { success: true, checks, warnings, candidates };
 }
 
-// Process single item with Anthropic API (Claude Sonnet)
-async function processWithAnthropic(item, issueType) {
-  const pipelineCfg = config.pipelines[issueType] || {};
-  const model = pipelineCfg.model || config.defaults.model;
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    return { success: false, error: 'ANTHROPIC_API_KEY not set in environment', model, processed_at: new Date().toISOString() };
-  }
-
-  log(`🤖 Processing [${issueType}] with Anthropic ${model}: ${item.title}`);
-
-  let systemPrompt = loadPrompt(issueType);
+// System + user prompt for an issue
+function buildPrompt(item, issueType) {
+  let system = loadPrompt(issueType);
   if (issueType === 'implement' || issueType === 'test' || issueType === 'coding' || issueType === 'e2e') {
-    systemPrompt += loadCodingStandards();
+    system += loadCodingStandards();
   }
+  if (clarification.canAsk(config, item)) system += clarification.INSTRUCTIONS;
 
   const labels = db.parseLabels(item.labels);
-  const userPrompt = `## Issue Context
+  const user = `## Issue Context
 
 Task: ${item.title}
 ID: ${item.issue_number}
 Priority: ${item.priority}
 Description: ${item.body || 'No description provided'}
 Repository: ${item.repo || 'epiphanyapps/MapYourHealth'}
-Labels: ${labels.join(', ') || 'none'}`;
-
-  // Save prompt to artifacts (audit trail)
-  const artifactsDir = path.join(ARTIFACTS_DIR, String(item.issue_number));
-  if (!fs.existsSync(artifactsDir)) fs.mkdirSync(artifactsDir, { recursive: true });
-  fs.writeFileSync(path.join(artifactsDir, 'prompt-sent.md'), `# System Prompt\n\n${systemPrompt}\n\n---\n\n# User Prompt\n\n${userPrompt}`);
+Labels: ${labels.join(', ') || 'none'}${clarification.promptSection(item)}`;
 
-  try {
-    const startTime = Date.now();
-    const response = await axios.post('https://api.anthropic.com/v1/messages', {
-      model: model,
-      max_tokens: 16384,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }]
-    }, {
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      timeout: 120000 // 2 min timeout for API call
-    });
-
-    const elapsedMs = Date.now() - startTime;
-    const solution = response.data.content.map(c => c.text || '').join('\n');
-    const usage = response.data.usage || {};
-    const costEstimate = ((usage.input_tokens || 0) * 3 / 1e6 + (usage.output_tokens || 0) * 15 / 1e6).toFixed(4);
-
-    log(`✅ Anthropic responded in ${(elapsedMs / 1000).toFixed(1)}s — ${usage.input_tokens || '?'} in / ${usage.output_tokens || '?'} out — est. $${costEstimate}`);
-
-    // Save run metadata (audit trail)
-    fs.writeFileSync(path.join(artifactsDir, 'run-metadata.json'), JSON.stringify({
-      provider: 'anthropic', model, issueType,
-      startedAt: new Date(startTime).toISOString(),
-      elapsedMs, usage, costEstimate: `$${costEstimate}`,
-      config: pipelineCfg
-    }, null, 2));
+  return { system, user };
+}
 
-    return { success: true, solution, model, provider: 'anthropic', processed_at: new Date().toISOString() };
-  } catch (error) {
-    const errMsg = error.response?.data?.error?.message || error.message;
-    console.error('❌ Anthropic processing error:', errMsg);
-    return { success: false, error: errMsg, model, provider: 'anthropic', processed_at: new Date().toISOString() };
-  }
+// A fallback on another provider needs that provider's resource, which this lane may not hold
+function fallbackResourceBusy(item, candidate) {
+  if (!(config.resources || {})[candidate.provider]) return false;
+  if (scheduler.resourcesFor(item).includes(candidate.provider)) return false;
+  const others = db.getProcessingItems().filter(p => p.id !== item.id);
+  return !scheduler.poolFor(others).canAcquire([candidate.provider]);
 }
 
-// Process single item with Ollama
-async function processWithOllama(item, issueType) {
+// Process single item, trying each healthy provider candidate in order until one succeeds
+async function processWithProvider(item, issueType, candidates, artifactsDir) {
   const pipelineCfg = config.pipelines[issueType] || {};
-  const model = pipelineCfg.model || config.defaults.model;
-  const ollamaUrl = config.defaults.ollamaUrl;
-
-  log(`🤖 Processing [${issueType}]: ${item.title}`);
-
-  let systemPrompt = loadPrompt(issueType);
-  if (issueType === 'implement' || issueType === 'test' || issueType === 'coding' || issueType === 'e2e') {
-    systemPrompt += loadCodingStandards();
-  }
-
-  const labels = db.parseLabels(item.labels);
-  const prompt = `${systemPrompt}
-
----
-
-## Issue Context
-
-Task: ${item.title}
-ID: ${item.issue_number}
-Priority: ${item.priority}
-Description: ${item.body || 'No description provided'}
-Repository: ${item.repo || 'epiphanyapps/MapYourHealth'}
-Labels: ${labels.join(', ') || 'none'}`;
+  const primary = providers.providerChain(config, pipelineCfg)[0];
+  const { system, user } = buildPrompt(item, issueType);
 
   // Save prompt to artifacts (audit trail)
-  const artifactsDir = path.join(ARTIFACTS_DIR, String(item.issue_number));
-  if (!fs.existsSync(artifactsDir)) fs.mkdirSync(artifactsDir, { recursive: true });
-  fs.writeFileSync(path.join(artifactsDir, 'prompt-sent.md'), prompt);
-
-  try {
-    const response = await axios.post(ollamaUrl, {
-      model: model,
-      prompt: prompt,
-      stream: false
-    });
+  fs.writeFileSync(path.join(artifactsDir, 'prompt-sent.md'), `# System Prompt\n\n${system}\n\n---\n\n# User Prompt\n\n${user}`);
+
+  const attempts = [];
+  for (const candidate of candidates) {
+    const { provider: providerName, model } = candidate;
+    const provider = providers.getProvider(providerName);
+    const settings = providers.providerSettings(config, providerName);
+    const isFallback = providers.describe(candidate) !== providers.describe(primary);
+    // Another lane may have taken the fallback's resource since preflight
+    if (fallbackResourceBusy(item, candidate)) {
+      log(`⏭️ Skipping ${providers.describe(candidate)}: ${providerName} resource is busy in another lane`);
+      attempts.push({ provider: providerName, model, error: `${providerName} resource is busy in another lane` });
+      continue;
+    }
+    // Held until the item stops processing, so the scheduler counts this provider's slot
+    db.setActiveProvider(item.id, providerName);
 
-    // Save run metadata (audit trail)
-    fs.writeFileSync(path.join(artifactsDir, 'run-metadata.json'), JSON.stringify({
-      model, issueType, startedAt: new Date().toISOString(),
-      config: pipelineCfg, ollamaUrl
-    }, null, 2));
+    log(`🤖 Processing [${issueType}] with ${providerName} ${model}${isFallback ? ' (fallback)' : ''}: ${item.title}`);
 
-    return { success: true, solution: response.data.response, model, processed_at: new Date().toISOString() };
-  } catch (error) {
-    console.error('❌ Ollama processing error:', error.message);
-    return { success: false, error: error.message, model, processed_at: new Date().toISOString() };
+    // Stream tokens into a partial file so the dashboard can follow along (truncated per attempt)
+    const partialFd = fs.openSync(path.join(artifactsDir, 'ai-solution.partial.md'), 'w');
+    try {
+      const startTime = Date.now();
+      const { text, usage } = await provider.generate({
+        model, system, user, settings,
+        onToken: (chunk) => fs.writeSync(partialFd, chunk)
+      });
+      const elapsedMs = Date.now() - startTime;
+      const costUsd = providers.costFor(config, candidate, usage);
+      const costEstimate = costUsd.toFixed(4);
+
+      log(`✅ ${providerName} responded in ${(elapsedMs / 1000).toFixed(1)}s — ${usage.input_tokens || '?'} in / ${usage.output_tokens || '?'} out — est. $${costEstimate}`);
+      if (isFallback) log(`↪️ Fell back from ${providers.describe(primary)} to ${providers.describe(candidate)}`);
+
+      // Save run metadata (audit trail)
+      fs.writeFileSync(path.join(artifactsDir, 'run-metadata.json'), JSON.stringify({
+        provider: providerName, model, issueType,
+        startedAt: new Date(startTime).toISOString(),
+        elapsedMs, usage, costEstimate: `$${costEstimate}`,
+        fallback: isFallback ? { from: providers.describe(primary), attempts } : null,
+        config: pipelineCfg
+      }, null, 2));
+
+      return {
+        success: true, solution: text, model, provider: providerName, usage, costUsd,
+        fellBackFrom: isFallback ? providers.describe(primary) : null,
+        processed_at: new Date().toISOString()
+      };
+    } catch (error) {
+      const errMsg = providers.errorMessage(error);
+      console.error(`❌ ${providerName} processing error:`, errMsg);
+      attempts.push({ provider: providerName, model, error: errMsg });
+    } finally {
+      fs.closeSync(partialFd);
+    }
   }
+
+  const last = attempts[attempts.length - 1] || {};
+  const error = attempts.length > 1
+    ? `All providers failed: ${attempts.map(a => `${a.provider}/${a.model}: ${a.error}`).join('; ')}`
+    : last.error || 'No provider candidates';
+  return { success: false, error, model: last.model, provider: last.provider, processed_at: new Date().toISOString() };
 }
 
 // Execute type-specific pipeline
-async function executePipeline(type, issueId, solutionText, item) {
+async function executePipeline(type, issueId, solutionText, item, artifactsDir) {
   const pipelineCfg = config.pipelines[type] || {};
   const pipelineScript = pipelineCfg.script
     ? path.join(__dirname, '..', pipelineCfg.script)
@@ -396,10 +398,10 @@ async function executePipeline(type, issueId, solutionText, item) {
 
   log(`🔧 Executing ${type} pipeline for issue #${issueId}...`);
 
-  const artifactsDir = path.join(__dirname, '..', 'artifacts', String(issueId));
-  if (!fs.existsSync(artifactsDir)) fs.mkdirSync(artifactsDir, { recursive: true });
   const solutionFile = path.join(artifactsDir, 'ai-solution.md');
   fs.writeFileSync(solutionFile, solutionText);
+  // The complete solution supersedes the live-streamed partial
+  fs.rmSync(path.join(artifactsDir, 'ai-solution.partial.md'), { force: true });
 
   // For test (e2e) issues, extract YAML flow blocks
   let flowsDir = null;
@@ -444,257 +446,607 @@ async function executePipeline(type, issueId, solutionText, item) {
         REPO_NAME: repoName,
         REPO_FULL: repoFull,
         REPO_ROOT: path.join(worktreeBase, repoOwner, repoName),
-        WORKTREE_DIR: path.join(worktreeBase, repoOwner, repoName, `issue-${issueId}`),
-        ARTIFACTS_DIR: path.join(dashboardDir, 'artifacts', repoOwner, repoName, String(issueId)),
+        WORKTREE_DIR: path.join(worktreeBase, repoOwner, repoName, item ? branchFor(item) : `issue-${issueId}`),
+        BRANCH_NAME: item ? branchFor(item) : `issue-${issueId}`,
+        ARTIFACTS_DIR: artifactsDir,
         ISSUE_TYPE: type,
         MAIN_CLONE_DIR: process.env.HOME + '/Documents/' + repoName,
+        ...subtaskEnv(item),
       },
       stdio: ['pipe', 'pipe', 'pipe'],
       // Note: detached:true could cause issues with child processes
       // Cancel uses direct PID kill instead
     });
 
-    // Save child PID so cancel command can kill it
-    fs.writeFileSync(PID_FILE, String(proc.pid));
+    // Save child PID on the item so cancel can kill this lane's pipeline
+    if (item) db.setPipelinePid(item.id, proc.pid);
 
     let stdout = '', stderr = '';
-    proc.stdout.on('data', (data) => { const line = data.toString(); stdout += line; log(`[pipeline] ${line.trim()}`); });
+    proc.stdout.on('data', (data) => { const line = data.toString(); stdout += line; log(`[pipeline #${issueId}] ${line.trim()}`); });
     proc.stderr.on('data', (data) => { stderr += data.toString(); });
 
     proc.on('close', (code) => {
-      try { fs.unlinkSync(PID_FILE); } catch {}
-      if (code === 0) {
+      if (item) { try { db.setPipelinePid(item.id, null); } catch {} }
+      // result.json when the script wrote one, else the exit code and stdout
+      const result = readResult(artifactsDir, { type, exitCode: code, stdout });
+      if (result.data && result.success !== (code === 0)) {
+        log(`⚠️ Pipeline ${type} exited ${code} but its ${RESULT_FILE} says ${result.success ? 'success' : 'failure'} — going by ${RESULT_FILE}`);
+      }
+      if (result.success) {
         log(`✅ Pipeline ${type} completed successfully for issue #${issueId}`);
-        resolve({ executed: true, success: true, exitCode: 0, stdout, stderr });
       } else {
-        log(`❌ Pipeline ${type} failed for issue #${issueId} (exit code: ${code})`);
-        resolve({ executed: true, success: false, exitCode: code, stdout, stderr });
+        log(`❌ Pipeline ${type} failed for issue #${issueId} (exit code: ${code}${result.message ? `: ${result.message}` : ''})`);
       }
+      resolve({ executed: true, success: result.success, exitCode: code, stdout, stderr, result });
     });
 
     proc.on('error', (err) => {
       log(`❌ Pipeline ${type} error: ${err.message}`);
-      resolve({ executed: true, success: false, exitCode: 3, error: err.message });
+      resolve({ executed: true, success: false, exitCode: 3, error: err.message, result: { success: false, errorClass: 'infra', message: err.message } });
     });
   });
 }
 
-// Process next item in queue
-async function processNext() {
-  if (!acquireLock()) {
-    log('🔒 Another worker is already running (lock held). Skipping.');
-    return;
-  }
-  try { await _processNext(); } finally { releaseLock(); }
+// Sub-tasks tell the pipeline where they sit in the plan, and carry their own title and body
+// (a local sub-task has no GitHub issue to read them from)
+function subtaskEnv(item) {
+  if (!item || !item.parent_issue_number) return {};
+  return {
+    PARENT_ISSUE: String(item.parent_issue_number),
+    SUBTASK_INDEX: String(item.subtask_index),
+    SUBTASK_COUNT: String(db.getSubtasks(item.repo, item.parent_issue_number).length),
+    TASK_TITLE: item.title,
+    TASK_BODY: item.body || ''
+  };
 }
 
-async function _processNext() {
-  // Check for stale processing items
-  const staleItem = db.getProcessingItem();
-  if (staleItem) {
+// Fail processing items whose worker died (or that have been stuck for 30+ min with no worker recorded).
+// `ownIds` are items this process is running right now and must not be touched.
+function recoverStaleItems(ownIds = new Set()) {
+  for (const staleItem of db.getProcessingItems()) {
+    if (ownIds.has(staleItem.id)) continue;
     const startedMs = new Date(staleItem.started_at).getTime();
     const staleMinutes = Math.round((Date.now() - startedMs) / 60000);
-    if (staleMinutes >= 30) {
-      log(`⚠️ Recovering stale processing item #${staleItem.issue_number} (started ${staleMinutes} min ago)`);
-      db.failItem(staleItem.issue_number, { error: `Worker timeout/crash recovery (stale for ${staleMinutes} min)`, errorClass: 'infra' });
-      // Record in runs table too
-      try {
-        const runId = db.recordRun({
-          issue_id: staleItem.issue_number, title: staleItem.title, repo: staleItem.repo,
-          type: detectIssueType(staleItem), labels: staleItem.labels,
-          priority: staleItem.priority, status: 'failed', started_at: staleItem.started_at
-        });
-        if (runId) db.failRun(runId, { error: 'Worker timeout/crash recovery', error_class: 'infra' });
-      } catch (e) { log(`⚠️ DB stale recovery record failed: ${e.message}`); }
-      db.generateCacheFile();
-    } else {
-      log('⏳ Already processing an item');
-      return;
+    const workerPid = staleItem.worker_pid;
+    if (workerPid && (workerPid === process.pid || isPidAlive(workerPid))) continue;
+    if (!workerPid && staleMinutes < 30) continue;
+
+    const reason = workerPid ? `worker PID ${workerPid} is gone` : `stale for ${staleMinutes} min`;
+    log(`⚠️ Recovering processing item #${staleItem.issue_number} (${reason})`);
+    if (isPidAlive(staleItem.pipeline_pid)) {
+      try { process.kill(staleItem.pipeline_pid, 'SIGTERM'); } catch {}
     }
+    // Record in runs table too
+    const issueType = detectIssueType(staleItem);
+    let runId;
+    try {
+      runId = db.recordRun({
+        issue_id: staleItem.issue_number, title: staleItem.title, repo: staleItem.repo,
+        type: issueType, labels: staleItem.labels,
+        priority: staleItem.priority, status: 'failed', started_at: staleItem.started_at,
+        retry_count: staleItem.retry_count
+      });
+    } catch (e) { log(`⚠️ DB stale recovery record failed: ${e.message}`); }
+    failOrRetry(staleItem, runId, issueType, { error: `Worker timeout/crash recovery (${reason})`, errorClass: 'infra' });
+    db.generateCacheFile();
+    reportStatus(staleItem);
+    if (staleItem.parent_issue_number) settleSubtask(staleItem);
+  }
+}
+
+// Requeue with backoff if the pipeline's retry policy covers this error class, else fail.
+// Returns true when the item was requeued.
+function failOrRetry(item, runId, issueType, { error, errorClass }) {
+  const policy = getRetryPolicy(config, issueType);
+  const retryCount = db.getRetryCount(item.repo, item.issue_number);
+  if (shouldRetry(policy, errorClass, retryCount)) {
+    const delaySeconds = backoffSeconds(policy, retryCount);
+    const attempt = `attempt ${retryCount + 2}/${policy.maxRetries + 1}`;
+    log(`🔄 Retrying ${errorClass} failure for ${formatRef(item)} in ${delaySeconds}s (${attempt})`);
+    db.requeueItem(item.repo, item.issue_number, { delaySeconds, error, errorClass });
+    if (runId) { try { db.failRun(runId, { error: `${error} [retrying in ${delaySeconds}s, ${attempt}]`, error_class: errorClass }); } catch (e) {} }
+    return true;
   }
+  db.failItem(item.repo, item.issue_number, { error, errorClass });
+  if (runId) { try { db.failRun(runId, { error, error_class: errorClass }); } catch (e) {} }
+  return false;
+}
+
+// Why paid pipelines are paused (budget cap reached), or null
+function budgetPause() {
+  return budgetExceeded(getBudgets(config), db.getSpend());
+}
+
+function isPaidItem(item) {
+  const pipelineCfg = config.pipelines[detectIssueType(item)] || {};
+  return providers.isPaid(config, providers.providerChain(config, pipelineCfg)[0]);
+}
+
+// Whether the item's pipeline is inside its processing windows (or the item was sent with "run now")
+function inWindow(item, now = new Date()) {
+  return !!item.run_now || windows.isOpen(config, detectIssueType(item), now);
+}
 
-  // Dequeue next item
-  const item = db.dequeueNext();
+// Claim the next queued item whose pipeline resources are free
+function claimNext() {
+  const paused = budgetPause();
+  const now = new Date();
+  const item = db.dequeueNext((candidate, processing) =>
+    scheduler.canRun(candidate, processing) && !(paused && isPaidItem(candidate)) && inWindow(candidate, now));
+  if (item) db.generateCacheFile();
+  return item;
+}
+
+// "test until 22:00" for each pipeline with queued items waiting on a window
+function closedWindows(queued) {
+  const waiting = new Set(queued.filter(item => !inWindow(item)).map(detectIssueType));
+  return [...waiting].sort().map(pipeline => {
+    const opens = windows.nextOpen(config, pipeline);
+    return `${pipeline} until ${opens ? opens.toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'further notice'}`;
+  });
+}
+
+// Process next runnable item in queue (one-shot)
+async function processNext() {
+  recoverStaleItems();
+  const item = claimNext();
   if (!item) {
-    log('📭 Queue is empty');
+    const processing = db.getProcessingItems();
+    const queued = db.getQueuedItems();
+    const paused = budgetPause();
+    if (queued.length === 0) log('📭 Queue is empty');
+    else if (paused && queued.every(isPaidItem)) log(`💸 Paid pipelines paused — ${paused}`);
+    else if (queued.every(item => !inWindow(item))) log(`🌙 Outside processing windows — ${closedWindows(queued).join(', ')}`);
+    else if (queued.every(item => db.getBlockers(item.repo, item.issue_number).length > 0)) {
+      log(`⛓️ Every queued item is waiting on a dependency (check-dependencies looks for closed issues)`);
+    }
+    else log(`⏳ No free lane — ${processing.length} item(s) processing, resources busy`);
     return;
   }
+  await runItem(item);
+}
 
-  db.generateCacheFile();
+// Run a claimed item, reporting on its GitHub issue when it starts and however it ends
+async function runItem(item) {
+  try {
+    await executeItem(item);
+  } finally {
+    await reportStatus(item);
+  }
+}
 
+async function executeItem(item) {
   const issueType = detectIssueType(item);
   const pipelineCfg = config.pipelines[issueType] || {};
   const model = pipelineCfg.model || config.defaults.model;
   const startedAt = new Date().toISOString();
 
+  // Already split (e.g. retried after a step failed or its pull request couldn't be opened) —
+  // don't plan it twice; failed steps go back in the queue
+  const subtasks = issueType === 'plan' ? db.getSubtasks(item.repo, item.issue_number) : [];
+  if (subtasks.length > 0) {
+    log(`🗂️ ${formatRef(item)} already has sub-tasks — back to waiting on them`);
+    db.planItem(item.repo, item.issue_number, []);
+    for (const child of subtasks.filter(c => c.status === 'failed')) db.requeueItem(child.repo, child.issue_number);
+    await settlePlan(db.getItem(item.repo, item.issue_number));
+    db.generateCacheFile();
+    return;
+  }
+
   // Record in runs table
   let runId;
   try {
     runId = db.recordRun({
       issue_id: item.issue_number, title: item.title, repo: item.repo,
       type: issueType, labels: item.labels, priority: item.priority,
-      status: 'processing', started_at: startedAt, github_url: item.url
+      status: 'processing', started_at: startedAt, github_url: item.url,
+      retry_count: item.retry_count
     });
   } catch (e) { log(`⚠️ DB recordRun failed: ${e.message}`); }
 
-  log(`▶️  Started processing: ${item.title}`);
+  // Everything this run writes goes in its own folder (named by time if the run wasn't recorded)
+  const artifactsDir = artifacts.runDir(item.repo, item.issue_number, runId || Date.now());
+  fs.mkdirSync(artifactsDir, { recursive: true });
+  if (runId) { try { db.updateRun(runId, { artifacts_path: artifacts.relativeDir(artifactsDir) }); } catch (e) {} }
+
+  log(`▶️  Started processing #${db.refNumber(item)} [${issueType}] (resources: ${scheduler.resourcesFor(item).join(', ') || 'none'}): ${item.title}`);
+  await reportStatus(item);
 
-  // Run preflight checks before Ollama call
-  const pipelineCfg2 = config.pipelines[issueType] || {};
+  // Run preflight checks before the provider call
+  let preflightResult;
   try {
-    await preflight(item, issueType, pipelineCfg2);
+    preflightResult = await preflight(item, issueType, pipelineCfg);
   } catch (preflightError) {
     log(`❌ Preflight failed for #${item.issue_number}: ${preflightError.message}`);
-    db.failItem(item.issue_number, { error: preflightError.message, errorClass: 'infra' });
-    if (runId) { try { db.failRun(runId, { error: preflightError.message, error_class: 'infra' }); } catch (e) {} }
+    failOrRetry(item, runId, issueType, { error: preflightError.message, errorClass: 'infra' });
+    if (item.parent_issue_number) await settleSubtask(item);
     db.generateCacheFile();
     return;
   }
 
-  // Process with configured provider
-  const provider = (pipelineCfg2.provider || config.defaults.provider || 'ollama').toLowerCase();
-  log(`📡 Using provider: ${provider}`);
-  const result = provider === 'anthropic'
-    ? await processWithAnthropic(item, issueType)
-    : await processWithOllama(item, issueType);
+  // Process with the first healthy provider candidate, falling back down the chain on error
+  log(`📡 Provider candidates: ${preflightResult.candidates.map(providers.describe).join(' → ')}`);
+  const result = await processWithProvider(item, issueType, preflightResult.candidates, artifactsDir);
   const processingTimeMs = Date.now() - new Date(startedAt).getTime();
 
+  // Record which provider/model actually produced the solution, and what it cost
+  if (result.success && runId) {
+    try {
+      db.updateRun(runId, {
+        model: result.model, provider: result.provider, fallback_from: result.fellBackFrom,
+        input_tokens: result.usage.input_tokens || 0, output_tokens: result.usage.output_tokens || 0,
+        cost_usd: result.costUsd
+      });
+    } catch (e) {}
+  }
+
   if (result.success) {
+    // The model asked questions instead of solving — wait for the issue to answer them
+    const questions = clarification.canAsk(config, item) ? clarification.parseQuestions(result.solution) : null;
+    if (questions) {
+      await askForClarification(item, runId, questions);
+      db.generateCacheFile();
+      return;
+    }
+
+    // A plan is a list of sub-tasks to queue, not something to run a pipeline on
+    if (issueType === 'plan') {
+      await planSubtasks(item, runId, result, processingTimeMs, artifactsDir);
+      db.generateCacheFile();
+      return;
+    }
+
     // Execute pipeline
-    const pipelineResult = await executePipeline(issueType, item.issue_number, result.solution, item);
+    const pipelineResult = await executePipeline(issueType, item.issue_number, result.solution, item, artifactsDir);
+
+    // Cancelled from another process while the pipeline ran — keep the cancelled status
+    if ((db.getItemById(item.id) || {}).status !== 'processing') {
+      log(`🛑 #${item.issue_number} was cancelled during its pipeline — discarding result`);
+      if (runId) { try { db.failRun(runId, { error: 'Cancelled by user' }); } catch (e) {} }
+      db.generateCacheFile();
+      return;
+    }
+
+    // What the script reported in result.json, or what its exit code and stdout imply
+    const outcome = pipelineResult.result || {};
+    if (runId && outcome.data) {
+      try {
+        db.updateRun(runId, { branch: outcome.branch, commit_sha: outcome.commitSha, pipeline_result: JSON.stringify(outcome.data) });
+      } catch (e) {}
+    }
 
     if (pipelineResult.executed && !pipelineResult.success) {
-      const exitCode = pipelineResult.exitCode || 1;
-      const errorClass = ERROR_CLASSES[exitCode] || 'unknown';
-      const errorMsg = `Pipeline failed (exit code: ${exitCode}, class: ${errorClass}). Check artifacts/${item.issue_number}/pipeline.log`;
+      const exitCode = pipelineResult.exitCode ?? 1;
+      const errorClass = outcome.errorClass || 'unknown';
+      const errorMsg = outcome.message
+        ? `Pipeline failed (class: ${errorClass}): ${outcome.message}. Check ${artifacts.relativeDir(artifactsDir)}/pipeline.log`
+        : `Pipeline failed (exit code: ${exitCode}, class: ${errorClass}). Check ${artifacts.relativeDir(artifactsDir)}/pipeline.log`;
 
       log(`❌ Pipeline failed: ${errorClass} (exit ${exitCode})`);
-
-      // Auto-retry once for infra failures
-      if (errorClass === 'infra' && db.getRetryCount(item.issue_number) < 1) {
-        log(`🔄 Auto-retrying infra failure for #${item.issue_number}`);
-        db.requeueItem(item.issue_number);
-        if (runId) { try { db.failRun(runId, { error: errorMsg + ' [auto-retrying]', error_class: errorClass }); } catch (e) {} }
-      } else {
-        db.failItem(item.issue_number, { error: errorMsg, errorClass });
-        if (runId) { try { db.failRun(runId, { error: errorMsg, error_class: errorClass }); } catch (e) {} }
+      failOrRetry(item, runId, issueType, { error: errorMsg, errorClass });
+    } else if (outcome.prUrl) {
+      db.prOpenItem(item.repo, item.issue_number, { prUrl: outcome.prUrl, prNumber: outcome.prNumber });
+      log(`🔀 PR Open: ${item.title} → ${outcome.prUrl}`);
+      if (runId) {
+        try { db.updateRun(runId, { status: 'pr_open', pr_url: outcome.prUrl }); } catch (e) {}
+        try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
       }
     } else {
-      // Success — check if implement type to set pr_open
-      if (issueType === 'implement' || issueType === 'coding') {
-        // Parse PR URL from pipeline stdout
-        const prUrlMatch = (pipelineResult.stdout || '').match(/https:\/\/github\.com\/[^\s]+\/pull\/(\d+)/);
-        if (prUrlMatch) {
-          const prUrl = prUrlMatch[0];
-          const prNumber = parseInt(prUrlMatch[1], 10);
-          db.prOpenItem(item.issue_number, { prUrl, prNumber });
-          log(`🔀 PR Open: ${item.title} → ${prUrl}`);
-          if (runId) {
-            try { db.updateRun(runId, { status: 'pr_open', pr_url: prUrl }); } catch (e) {}
-            try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
-          }
-        } else {
-          // No PR URL found — fall back to completed
-          db.completeItem(item.issue_number);
-          log(`✅ Completed (no PR detected): ${item.title}`);
-          if (runId) {
-            try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
-          }
-        }
-      } else {
-        // test/generate types → completed
-        db.completeItem(item.issue_number);
-        log(`✅ Completed: ${item.title}`);
-        if (runId) {
-          try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
-        }
+      // No PR (test/generate types, sub-tasks, or an implement run that didn't open one) → completed
+      db.completeItem(item.repo, item.issue_number);
+      if (outcome.message) log(`✅ Completed: ${item.title} — ${outcome.message}`);
+      else if (issueType === 'implement' || issueType === 'coding') log(`✅ Completed (no PR detected): ${item.title}`);
+      else log(`✅ Completed: ${item.title}`);
+      if (runId) {
+        try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
       }
     }
 
     // Collect and record artifacts
     if (runId) {
-      const artifacts = collectArtifacts(String(item.issue_number));
-      if (artifacts) {
-        log(`📹 Artifacts: ${artifacts.recordings.length} recordings, ${artifacts.logs.length} logs`);
-        const artifactDir = path.join(ARTIFACTS_DIR, String(item.issue_number));
-        [...artifacts.recordings, ...artifacts.logs].forEach(filename => {
+      const collected = collectArtifacts(artifactsDir);
+      if (collected) {
+        log(`📹 Artifacts: ${collected.recordings.length} recordings, ${collected.logs.length} logs`);
+        [...collected.recordings, ...collected.logs].forEach(filename => {
           try {
-            const filePath = path.join(artifactDir, filename);
+            const filePath = path.join(artifactsDir, filename);
             const stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
             db.addArtifact(runId, { filename, type: filename.endsWith('.mp4') ? 'recording' : 'log', path: filePath, size_bytes: stats ? stats.size : null });
           } catch (e) {}
         });
+        if (collected.recordings.length > 0) await makeThumbnails(artifactsDir, collected.recordings);
       }
     }
   } else {
-    // Ollama call itself failed — infra failure
-    db.failItem(item.issue_number, { error: result.error, errorClass: 'infra' });
+    // Provider call itself failed — infra failure
     log(`❌ Failed: ${item.title} - ${result.error}`);
-    if (runId) { try { db.failRun(runId, { error: result.error, error_class: 'infra' }); } catch (e) {} }
+    failOrRetry(item, runId, issueType, { error: result.error, errorClass: 'infra' });
   }
 
+  if (item.parent_issue_number) await settleSubtask(item);
   db.generateCacheFile();
 }
 
-// Load open issues from GitHub and enqueue
-function loadFromGitHub() {
-  const { execSync } = require('child_process');
-  const REPO = 'epiphanyapps/MapYourHealth';
+// Queue the sub-tasks from a plan reply and park the parent in `planned` until they're done
+async function planSubtasks(item, runId, result, processingTimeMs, artifactsDir) {
+  fs.writeFileSync(path.join(artifactsDir, 'plan.md'), result.solution);
+  fs.rmSync(path.join(artifactsDir, 'ai-solution.partial.md'), { force: true });
+
+  const cfg = plan.settings(config);
+  const tasks = plan.parseSubtasks(result.solution);
+  if (!tasks || tasks.length > cfg.maxSubtasks) {
+    const error = tasks
+      ? `Plan has ${tasks.length} sub-tasks, more than planning.maxSubtasks (${cfg.maxSubtasks})`
+      : 'Plan reply did not contain a JSON list of sub-tasks';
+    log(`❌ ${error}: ${item.title}`);
+    failOrRetry(item, runId, 'plan', { error, errorClass: 'agent' });
+    return;
+  }
+
+  // GitHub sub-issues when configured; once creating one fails, the rest stay local
+  let onGitHub = cfg.createSubIssues && !!item.repo;
+  const children = [];
+  for (const [i, task] of tasks.entries()) {
+    const child = { title: task.title, body: plan.subtaskBody(item, tasks, i), pipeline: plan.childPipeline(config, task.pipeline) };
+    if (onGitHub) {
+      // The issue states the ordering too, so re-reading its dependencies on edit keeps it
+      const previous = children[i - 1];
+      const body = plan.subtaskBody(item, tasks, i, previous && previous.issueNumber);
+      try {
+        const issue = await github.createIssue(item.repo, { title: task.title, body });
+        Object.assign(child, { issueNumber: issue.number, url: issue.html_url, body });
+        try {
+          await github.addSubIssue(item.repo, item.issue_number, issue.id);
+        } catch (e) {
+          log(`⚠️ Created ${item.repo}#${issue.number} but could not link it as a sub-issue of ${formatRef(item)}: ${e.message}`);
+        }
+      } catch (e) {
+        log(`⚠️ Could not create a GitHub sub-issue for step ${i + 1} of ${formatRef(item)} — keeping the rest in the queue only: ${e.message}`);
+        onGitHub = false;
+      }
+    }
+    children.push(child);
+  }
+
+  db.planItem(item.repo, item.issue_number, children);
+  if (runId) {
+    try { db.completeRun(runId, { solution: result.solution, model: result.model, processing_time_ms: processingTimeMs }); } catch (e) {}
+  }
+  const queued = db.getSubtasks(item.repo, item.issue_number);
+  log(`🗂️ Split ${formatRef(item)} into ${queued.length} sub-task(s): ${queued.map(c => `${formatRef(c)} [${c.pipeline}]`).join(' → ')}`);
 
-  let issues;
+  if (!item.repo) return;
   try {
-    const raw = execSync(
-      `gh issue list --repo ${REPO} --state open --json number,title,body,labels,createdAt --limit 50`,
-      { encoding: 'utf8' }
-    );
-    issues = JSON.parse(raw);
-  } catch (err) {
-    log(`❌ Failed to fetch issues from GitHub: ${err.message}`);
+    await github.postComment(item.repo, item.issue_number, plan.formatPlanComment(queued));
+  } catch (e) {
+    log(`⚠️ Could not post the plan on ${formatRef(item)}: ${e.message}`);
+  }
+}
+
+// A finished sub-task lets the next step start and the last one settles the parent;
+// a step that failed for good (not requeued for a retry) fails the parent
+async function settleSubtask(item) {
+  const child = db.getItemById(item.id);
+  if (!child) return;
+  const parent = db.getItem(child.repo, child.parent_issue_number);
+  if (child.status === 'failed') {
+    if (parent) await failPlan(parent, child);
+    return;
+  }
+  if (!plan.DONE_STATUSES.includes(child.status)) return;
+  db.resolveDependency(child.repo, child.issue_number);
+  if (parent) await settlePlan(parent);
+}
+
+// Fail a planned parent, naming the step that failed. Retrying that step (or the parent)
+// puts the parent back to waiting on its steps.
+async function failPlan(parent, child) {
+  if (parent.status !== 'planned') return;
+  const error = `Step ${child.subtask_index} (${formatRef(child)}: ${child.title}) failed: ${child.error || 'no error recorded'}`;
+  db.failItem(parent.repo, parent.issue_number, { error, errorClass: child.error_class });
+  log(`❌ ${formatRef(parent)}: ${error}`);
+  db.generateCacheFile();
+  await reportStatus(parent);
+}
+
+// Once every sub-task is done, open one pull request for the parent's branch (if any step
+// was a code change) or complete the parent
+async function settlePlan(parent) {
+  if (parent.status !== 'planned') return;
+  const children = db.getSubtasks(parent.repo, parent.issue_number);
+  const done = children.filter(c => plan.DONE_STATUSES.includes(c.status)).length;
+  if (done < children.length) {
+    log(`🗂️ ${formatRef(parent)}: ${done}/${children.length} sub-tasks done`);
     return;
   }
 
-  const existing = db.allIssueNumbers();
+  const changesCode = children.some(c => ['implement', 'coding'].includes(detectIssueType(c)));
+  if (changesCode && parent.repo) {
+    try {
+      const pr = await github.createPull(parent.repo, {
+        title: `Fix #${parent.issue_number}: ${parent.title}`,
+        head: branchFor(parent),
+        base: ((config.repos || {})[parent.repo] || {}).defaultBranch || 'main',
+        body: plan.pullRequestBody(parent, children)
+      });
+      db.prOpenItem(parent.repo, parent.issue_number, { prUrl: pr.html_url, prNumber: pr.number });
+      log(`🔀 PR Open: ${parent.title} → ${pr.html_url} (${children.length} sub-tasks)`);
+    } catch (e) {
+      const error = `All ${children.length} sub-tasks are done but the pull request could not be opened: ${e.message}`;
+      db.failItem(parent.repo, parent.issue_number, { error, errorClass: 'infra' });
+      log(`❌ ${formatRef(parent)}: ${error}`);
+    }
+  } else {
+    db.completeItem(parent.repo, parent.issue_number);
+    log(`✅ Completed: ${parent.title} (all ${children.length} sub-tasks done)`);
+  }
+  db.generateCacheFile();
+  await reportStatus(parent);
+}
+
+async function askForClarification(item, runId, questions) {
+  const error = `Waiting for answers to ${questions.length} clarification question(s)`;
+  db.askClarification(item.repo, item.issue_number, { questions, error });
+  if (runId) { try { db.needsInputRun(runId, { error }); } catch (e) {} }
+  log(`❓ ${formatRef(item)} needs clarification: ${questions.join(' / ')}`);
+  if (!item.repo) return;
+  try {
+    const comment = await github.postComment(item.repo, item.issue_number, clarification.formatQuestionsComment(questions));
+    db.setClarificationCommentId(item.repo, item.issue_number, comment.id);
+  } catch (e) {
+    log(`⚠️ Could not post clarification questions on ${formatRef(item)}: ${e.message}`);
+  }
+}
+
+// Requeue a needs-input item if its open questions have been answered on the issue.
+// The webhook passes the issue and the new comment; otherwise both are fetched.
+async function checkForAnswer(item, { issue, comments } = {}) {
+  const round = clarification.openRound(item);
+  if (!round || !item.repo) return false;
+  issue = issue || await github.getIssue(item.repo, item.issue_number);
+  comments = comments || await github.listIssueComments(item.repo, item.issue_number);
+  const answers = comments.filter(c => clarification.isAnswer(config, round, issue.user && issue.user.login, c));
+  if (answers.length === 0) return false;
+
+  const answeredBy = [...new Set(answers.map(c => c.user.login))].join(', ');
+  const answer = answers.map(c => c.body.trim()).join('\n\n');
+  if (!db.answerClarification(item.repo, item.issue_number, { answer, answeredBy })) return false;
+  db.generateCacheFile();
+  log(`💬 ${formatRef(item)} answered by ${answeredBy} — back in the queue`);
+  await reportStatus(item);
+  return true;
+}
+
+// Look for replies on every item waiting for clarification
+async function checkClarifications() {
+  for (const item of db.getItemsByStatus('needs-input')) {
+    try {
+      await checkForAnswer(item);
+    } catch (e) {
+      log(`⚠️ Failed to check ${formatRef(item)} for answers: ${e.message}`);
+    }
+  }
+}
+
+// Queue a GitHub issue (REST, `gh issue view` or webhook shape); false if already tracked.
+// Without an explicit level the priority comes from the config's label rules.
+function enqueueIssue(repo, issue, { priority: level } = {}) {
+  const labels = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name || '');
+  const added = db.enqueue({
+    issue_number: issue.number,
+    repo,
+    title: issue.title,
+    body: issue.body || '',
+    labels,
+    priority: level || priority.priorityFor(config, labels),
+    url: issue.html_url || `https://github.com/${repo}/issues/${issue.number}`
+  });
+  if (added) updateDependencies(repo, issue);
+  return added;
+}
+
+// (Re)read "depends on #12" style references from the issue body
+function updateDependencies(repo, issue) {
+  const deps = parseDependencies(issue.body, repo, issue.number);
+  db.setDependencies(repo, issue.number, deps);
+  if (deps.length > 0) log(`⛓️ ${repo}#${issue.number} depends on ${deps.map(d => `${d.repo}#${d.issueNumber}`).join(', ')}`);
+  return deps;
+}
+
+// Dependencies are satisfied by a merged queue item or, for everything else, a closed issue
+async function checkDependencies() {
+  for (const target of db.getOpenDependencyTargets()) {
+    try {
+      const issue = await github.getIssue(target.repo, target.issueNumber);
+      if (issue.state !== 'closed') continue;
+      const released = db.resolveDependency(target.repo, target.issueNumber);
+      log(`🔓 ${target.repo}#${target.issueNumber} is closed — ${released} item(s) no longer wait on it`);
+    } catch (e) {
+      log(`⚠️ Failed to check dependency ${target.repo}#${target.issueNumber}: ${e.message}`);
+    }
+  }
+  db.generateCacheFile();
+}
+
+// Load open issues from every watched repo and enqueue the ones its label filters accept
+async function loadFromGitHub() {
+  const repos = watchedRepos(config);
+  if (repos.length === 0) {
+    log('⚠️ No watched repos — list them in the `repos` section of routing.config.json');
+    return;
+  }
+
+  const existing = db.allItemKeys();
   let added = 0;
 
-  for (const issue of issues) {
-    if (existing.has(issue.number)) continue;
-    const labelNames = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name || '');
-    db.enqueue({
-      issue_number: issue.number,
-      repo: REPO,
-      title: issue.title,
-      body: issue.body || '',
-      labels: labelNames,
-      priority: 'medium',
-      url: `https://github.com/${REPO}/issues/${issue.number}`
-    });
-    added++;
+  for (const repo of repos) {
+    let issues;
+    try {
+      issues = await github.listOpenIssues(repo.name, repo.maxIssues);
+    } catch (err) {
+      log(`❌ Failed to fetch issues from ${repo.name}: ${err.message}`);
+      continue;
+    }
+
+    let repoAdded = 0, tracked = 0, filtered = 0;
+    for (const issue of issues) {
+      if (existing.has(db.itemKey(repo.name, issue.number))) { tracked++; continue; }
+      const labelNames = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name || '');
+      if (!acceptsLabels(repo, labelNames)) { filtered++; continue; }
+      if (enqueueIssue(repo.name, issue)) repoAdded++;
+    }
+    added += repoAdded;
+    log(`📥 ${repo.name}: ${repoAdded} new, ${tracked} already tracked, ${filtered} filtered out by labels (${issues.length} open)`);
   }
 
   db.generateCacheFile();
-  log(`📥 Loaded ${added} new issue(s) from GitHub (${issues.length} total open, ${existing.size} already tracked)`);
+  log(`📥 Loaded ${added} new issue(s) from ${repos.length} watched repo(s)`);
+}
+
+// Put a failed / needs-input item back in the queue
+async function retryItem(item) {
+  db.requeueItem(item.repo, item.issue_number);
+  // A retried step's parent, failed along with it, waits on its steps again
+  const parent = item.parent_issue_number ? db.getItem(item.repo, item.parent_issue_number) : null;
+  if (parent && parent.status === 'failed') db.planItem(parent.repo, parent.issue_number, []);
+  db.generateCacheFile();
+  log(`🔄 Moved issue ${formatRef(item)} back to queue`);
+  await reportStatus(item);
+  if (parent && parent.status === 'failed') await reportStatus(parent);
+}
+
+// Stop a processing item: kill its pipeline child and mark it failed
+async function cancelItem(item) {
+  let killed = false;
+  if (isPidAlive(item.pipeline_pid)) {
+    try { process.kill(item.pipeline_pid, 'SIGTERM'); killed = true; } catch {}
+  }
+  db.failItem(item.repo, item.issue_number, { error: 'Cancelled by user' });
+  db.generateCacheFile();
+  log(`🛑 Cancelled issue ${formatRef(item)}: ${item.title}${killed ? ' (process killed)' : ''}`);
+  await reportStatus(item);
+  if (item.parent_issue_number) await settleSubtask(item);
 }
 
 // Check open PRs for merge status
 async function checkPRs() {
-  const { execSync } = require('child_process');
   const openPRs = db.getItemsByStatus('pr_open');
   if (openPRs.length === 0) return;
   log(`🔍 Checking ${openPRs.length} open PR(s) for merge status...`);
   for (const item of openPRs) {
     if (!item.pr_number || !item.repo) continue;
     try {
-      const state = execSync(
-        `gh pr view ${item.pr_number} --repo ${item.repo} --json state -q .state`,
-        { encoding: 'utf8', timeout: 15000 }
-      ).trim();
-      if (state === 'MERGED') {
-        db.mergeItem(item.issue_number);
+      const pr = await github.getPull(item.repo, item.pr_number);
+      if (pr.merged) {
+        db.mergeItem(item.repo, item.issue_number);
         log(`🎉 PR #${item.pr_number} merged → issue #${item.issue_number} marked as merged`);
-      } else if (state === 'CLOSED') {
-        db.failItem(item.issue_number, { error: 'PR was closed without merging', errorClass: 'review' });
+      } else if (pr.state === 'closed') {
+        db.failItem(item.repo, item.issue_number, { error: 'PR was closed without merging', errorClass: 'review' });
         log(`❌ PR #${item.pr_number} closed → issue #${item.issue_number} marked as failed`);
+      } else {
+        continue;
       }
+      await reportStatus(item);
     } catch (e) {
       log(`⚠️ Failed to check PR #${item.pr_number}: ${e.message}`);
     }
@@ -702,35 +1054,121 @@ async function checkPRs() {
   db.generateCacheFile();
 }
 
-// Watch mode
+// Watch mode — keeps every free lane busy
 async function watch(intervalMs = 30000) {
   log(`👀 Watching queue (checking every ${intervalMs / 1000}s)...`);
   log('   Press Ctrl+C to stop\n');
 
+  const active = new Map(); // queue item id → in-flight runItem() promise
+
+  // Start runnable items until no resource has a free slot
+  const fill = () => {
+    recoverStaleItems(new Set(active.keys()));
+    let item;
+    while ((item = claimNext())) {
+      const claimed = item;
+      log(`\n📥 Lane opened for #${claimed.issue_number} (${active.size + 1} running)`);
+      const run = runItem(claimed)
+        .catch(e => log(`❌ Run for #${claimed.issue_number} crashed: ${e.message}`))
+        .finally(() => {
+          active.delete(claimed.id);
+          setImmediate(fill);
+        });
+      active.set(claimed.id, run);
+    }
+  };
+
   let tickCount = 0;
+  let lastPause = null;
+  let lastClosed = '';
   const tick = async () => {
     tickCount++;
     // Every 10 ticks (~5 min at 30s interval), check PR merge status
     if (tickCount % 10 === 0) {
       try { await checkPRs(); } catch (e) { log(`⚠️ PR check error: ${e.message}`); }
+      // ...and whether issues that queued items depend on have been closed
+      try { await checkDependencies(); } catch (e) { log(`⚠️ Dependency check error: ${e.message}`); }
+      // ...and whether artifacts need pruning to free disk
+      try { reclaimDisk(); } catch (e) { log(`⚠️ Artifact gc error: ${e.message}`); }
     }
+    // `/ai` comment commands, when polling is on (webhooks deliver them without it)
+    const commandsCfg = config.commands || {};
+    if (commandsCfg.poll && tickCount % (commandsCfg.pollEveryTicks || 2) === 0) {
+      try { await commands.pollCommands(config); } catch (e) { log(`⚠️ Command poll error: ${e.message}`); }
+    }
+    // Replies to clarification questions
+    if (tickCount % clarification.settings(config).checkEveryTicks === 0) {
+      try { await checkClarifications(); } catch (e) { log(`⚠️ Clarification check error: ${e.message}`); }
+    }
+    // Announce budget pauses once, not every tick
+    const paused = budgetPause();
+    if (paused !== lastPause) {
+      log(paused ? `💸 Paid pipelines paused — ${paused}` : '💸 Budget available again — paid pipelines resumed');
+      lastPause = paused;
+    }
+    // Likewise pipelines held back by their processing windows
     const queued = db.getQueuedItems();
-    const processing = db.getProcessingItem();
-    if (queued.length > 0 && !processing) {
-      log(`\n📥 Found ${queued.length} item(s) in queue. Processing...`);
-      await processNext();
-      const remaining = db.getQueuedItems();
-      if (remaining.length > 0 && !db.getProcessingItem()) {
-        setImmediate(tick);
-        return;
-      }
+    const closed = closedWindows(queued).join(', ');
+    if (closed !== lastClosed) {
+      log(closed ? `🌙 Waiting for processing windows — ${closed}` : '🌅 Processing windows open for everything queued');
+      lastClosed = closed;
     }
+    if (queued.length > 0) fill();
   };
 
   await tick();
   setInterval(tick, intervalMs);
 }
 
+// Apply artifact retention when free disk drops below retention.minFreeGB
+function reclaimDisk() {
+  const freeKB = retention.freeDiskKB();
+  if (!retention.diskLow(config, freeKB)) return;
+  log(`🧹 Only ${(freeKB / retention.KB_PER_GB).toFixed(1)}GB free — applying artifact retention`);
+  log(`🧹 ${retention.describe(retention.collectGarbage(config))}`);
+}
+
+// Delete the artifacts of items clear-history / cleanup just removed (merged ones stay while
+// retention.keepMerged is on; gc treats their folders like any other issue's from then on)
+function removeClearedArtifacts(cleared) {
+  const report = retention.removeItemArtifacts(config, cleared);
+  log(`🧹 ${retention.describe(report)}`);
+  if (report.kept > 0) log(`   Kept the artifacts of ${report.kept} merged item(s) (retention.keepMerged)`);
+}
+
+// ========== Audit ==========
+
+// Commands that change the queue, runs or artifacts; each one gets an audit_log entry
+const AUDITED_ACTIONS = [
+  'process', 'load-github', 'add-demo', 'add-issue', 'cleanup', 'remove', 'retry', 'cancel', 'set-priority', 'reorder',
+  'run-now', 'clear-all', 'clear-history', 'gc', 'import-run'
+];
+
+// Who is running this command: the dashboard passes its signed-in user (app/api/queue-action),
+// otherwise it is whoever runs the CLI
+function currentActor() {
+  if (process.env.QUEUE_ACTOR) {
+    return { actor: process.env.QUEUE_ACTOR, role: process.env.QUEUE_ACTOR_ROLE || null, source: 'dashboard' };
+  }
+  let user = 'unknown';
+  try { user = os.userInfo().username; } catch (e) {}
+  return { actor: user, role: null, source: 'cli' };
+}
+
+// Record the command now and its outcome when the process exits, whichever way it does
+function auditCommand(action, args) {
+  let id;
+  try {
+    id = db.recordAudit({ ...currentActor(), action, target: args.join(' ') || null });
+  } catch (e) {
+    console.warn('⚠️ Audit log unavailable:', e.message);
+    return;
+  }
+  process.on('exit', (code) => {
+    try { db.finishAudit(id, code === 0 ? 'ok' : 'failed'); } catch (e) {}
+  });
+}
+
 // Main command handler
 async function main() {
   const action = process.argv[2];
@@ -738,6 +1176,7 @@ async function main() {
   // Initialize
   try { db.initDB(); } catch (e) { console.warn('⚠️ DB init failed:', e.message); }
   loadConfig();
+  if (AUDITED_ACTIONS.includes(action) && !process.argv.includes('--dry-run')) auditCommand(action, process.argv.slice(3));
 
   // Migrate existing JSON data on first run
   try { db.migrateFromJSON(); } catch (e) { console.warn('⚠️ Migration failed:', e.message); }
@@ -753,27 +1192,26 @@ async function main() {
         break;
       case 'add-demo':
       case 'load-github':
-        loadFromGitHub();
+        await loadFromGitHub();
         break;
       case 'cleanup':
         const cleared = db.clearHistory();
         db.generateCacheFile();
-        log(`🧹 Cleared ${cleared} completed/failed items`);
+        log(`🧹 Cleared ${cleared.length} completed/failed items`);
+        removeClearedArtifacts(cleared);
         break;
       case 'remove': {
-        const issueNum = parseInt(process.argv[3]);
-        if (!issueNum) { log('❌ Usage: node queue-worker.js remove <issueNumber>'); process.exit(1); }
-        const processing = db.getProcessingItem();
-        if (processing && processing.issue_number === issueNum) {
-          log(`❌ Cannot remove issue #${issueNum} — currently processing`);
+        const ref = parseItemRef(process.argv[3]);
+        if (!ref) { log('❌ Usage: node queue-worker.js remove <[owner/repo#]issueNumber>'); process.exit(1); }
+        const item = resolveItem(ref, ['queued', 'processing']);
+        if (!item) { log(`⚠️ Issue ${process.argv[3]} not found in queue`); break; }
+        if (item.status === 'processing') {
+          log(`❌ Cannot remove issue ${formatRef(item)} — currently processing`);
           process.exit(1);
         }
-        if (db.removeItem(issueNum)) {
-          db.generateCacheFile();
-          log(`🗑️ Removed issue #${issueNum} from queue`);
-        } else {
-          log(`⚠️ Issue #${issueNum} not found in queue`);
-        }
+        db.removeItem(item.repo, item.issue_number);
+        db.generateCacheFile();
+        log(`🗑️ Removed issue ${formatRef(item)} from queue`);
         break;
       }
       case 'clear-all': {
@@ -783,95 +1221,183 @@ async function main() {
         break;
       }
       case 'clear-history': {
-        const count = db.clearHistory();
+        const cleared = db.clearHistory();
         db.generateCacheFile();
-        log(`🗑️ Cleared ${count} history items`);
+        log(`🗑️ Cleared ${cleared.length} history items`);
+        removeClearedArtifacts(cleared);
+        break;
+      }
+      case 'export-run': {
+        const runId = parseInt(process.argv[3], 10);
+        if (!runId) { log('❌ Usage: node queue-worker.js export-run <runId> [out.tar.gz]'); process.exit(1); }
+        const exported = bundle.exportRun(runId, process.argv[4] || `run-${runId}.tar.gz`);
+        log(`📦 Exported run ${runId} (${exported.files} file(s), ${retention.formatBytes(exported.bytes)}) to ${exported.file}`);
+        break;
+      }
+      case 'import-run': {
+        if (!process.argv[3]) { log('❌ Usage: node queue-worker.js import-run <bundle.tar.gz>'); process.exit(1); }
+        const imported = bundle.importRun(process.argv[3]);
+        log(`📥 Imported ${imported.from} as run ${imported.runId} (${imported.files} file(s) in ${imported.dir})`);
+        break;
+      }
+      case 'gc': {
+        const report = retention.collectGarbage(config, { dryRun: process.argv.includes('--dry-run') });
+        log(`🧹 ${retention.describe(report)}`);
+        if (report.kept > 0) log(`   Kept ${report.kept} merged or in-progress issue folder(s) untouched`);
+        if (report.legacy > 0) log(`   ⚠️ ${report.legacy} folder(s) in the old layout skipped — run: node scripts/migrate-artifacts.js`);
         break;
       }
       case 'retry': {
-        const retryNum = parseInt(process.argv[3]);
-        if (!retryNum) { log('❌ Usage: node queue-worker.js retry <issueNumber>'); process.exit(1); }
-        const item = db.getItemByIssueNumber(retryNum);
-        if (!item || (item.status !== 'failed' && item.status !== 'needs-input')) {
-          log(`⚠️ Issue #${retryNum} not found in failed/needs-input list`);
+        const ref = parseItemRef(process.argv[3]);
+        if (!ref) { log('❌ Usage: node queue-worker.js retry <[owner/repo#]issueNumber>'); process.exit(1); }
+        const item = resolveItem(ref, ['failed', 'needs-input']);
+        if (!item) {
+          log(`⚠️ Issue ${process.argv[3]} not found in failed/needs-input list`);
+          process.exit(1);
+        }
+        await retryItem(item);
+        break;
+      }
+      case 'set-priority': {
+        const ref = parseItemRef(process.argv[3]);
+        const level = (process.argv[4] || '').toLowerCase();
+        if (!ref || !priority.isLevel(level)) {
+          log(`❌ Usage: node queue-worker.js set-priority <[owner/repo#]issueNumber> <${Object.keys(priority.LEVELS).join('|')}>`);
           process.exit(1);
         }
-        db.requeueItem(retryNum);
+        const item = resolveItem(ref);
+        if (!item) { log(`⚠️ Issue ${process.argv[3]} is not tracked`); process.exit(1); }
+        db.setItemPriority(item.repo, item.issue_number, level);
+        db.generateCacheFile();
+        log(`🔢 Priority of ${formatRef(item)} set to ${level}`);
+        break;
+      }
+      case 'reorder': {
+        // Queued items to run first, in order; no refs clears the manual order
+        const refs = process.argv.slice(3).map(arg => parseItemRef(arg));
+        if (refs.some(ref => !ref)) { log('❌ Usage: node queue-worker.js reorder [<[owner/repo#]issueNumber> ...]'); process.exit(1); }
+        const items = refs.map(ref => resolveItem(ref, ['queued']));
+        const missing = process.argv.slice(3).filter((arg, i) => !items[i]);
+        if (missing.length > 0) { log(`⚠️ Not queued: ${missing.join(', ')}`); process.exit(1); }
+        const placed = db.setQueueOrder(items.map(item => ({ repo: item.repo, issueNumber: item.issue_number })));
+        db.generateCacheFile();
+        log(placed > 0 ? `↕️ Pinned ${placed} item(s) to the front of the queue` : '↕️ Manual order cleared — queue runs by priority');
+        break;
+      }
+      case 'run-now': {
+        const ref = parseItemRef(process.argv[3]);
+        if (!ref) { log('❌ Usage: node queue-worker.js run-now <[owner/repo#]issueNumber>'); process.exit(1); }
+        const item = resolveItem(ref, ['queued']);
+        if (!item) { log(`⚠️ Issue ${process.argv[3]} is not queued`); process.exit(1); }
+        db.setRunNow(item.repo, item.issue_number);
         db.generateCacheFile();
-        log(`🔄 Moved issue #${retryNum} back to queue`);
+        log(`⏩ ${formatRef(item)} will start on the next free lane, ignoring processing windows`);
         break;
       }
       case 'check-prs':
         await checkPRs();
         break;
+      case 'check-dependencies':
+        await checkDependencies();
+        break;
+      case 'check-clarifications':
+        await checkClarifications();
+        break;
+      case 'poll-commands':
+        await commands.pollCommands(config);
+        break;
       case 'status': {
         const queued = db.getQueuedItems();
-        const processing = db.getProcessingItem();
+        const processing = db.getProcessingItems();
         const completed = db.getItemsByStatus('completed');
         const failed = db.getItemsByStatus('failed');
         const prOpen = db.getItemsByStatus('pr_open');
         const merged = db.getItemsByStatus('merged');
+        const planned = db.getItemsByStatus('planned');
         log('📊 Queue Status:');
         log(`  Queued: ${queued.length}`);
-        log(`  Processing: ${processing ? 1 : 0}`);
+        for (const q of queued) {
+          const blockers = db.getBlockers(q.repo, q.issue_number);
+          const held = (blockers.length > 0 ? ` (blocked by ${blockers.map(b => b.ref).join(', ')})` : '') +
+            (inWindow(q) ? '' : ' (outside processing window)');
+          log(`    ${q.queue_position ? `${q.queue_position}. ` : ''}${formatRef(q)} [${q.priority}] ${q.title}${held}`);
+        }
+        log(`  Processing: ${processing.length}`);
+        for (const p of processing) {
+          log(`    ${formatRef(p)} [${detectIssueType(p)}] ${p.title} (resources: ${scheduler.resourcesFor(p).join(', ') || 'none'})`);
+        }
+        const lanes = scheduler.poolFor(processing).snapshot();
+        if (Object.keys(lanes).length > 0) {
+          log(`  Resources: ${Object.entries(lanes).map(([name, l]) => `${name} ${l.used}/${l.slots}`).join(', ')}`);
+        }
+        log(`  Planned: ${planned.length}`);
+        for (const p of planned) {
+          const subtasks = db.getSubtasks(p.repo, p.issue_number);
+          const done = subtasks.filter(c => plan.DONE_STATUSES.includes(c.status)).length;
+          log(`    ${formatRef(p)} ${p.title} (${done}/${subtasks.length} sub-tasks done)`);
+        }
         log(`  PR Open: ${prOpen.length}`);
         log(`  Merged: ${merged.length}`);
         log(`  Completed: ${completed.length}`);
         log(`  Failed: ${failed.length}`);
+        const spend = db.getSpend();
+        const budgets = getBudgets(config);
+        const cap = (limit) => limit !== null ? ` / $${limit.toFixed(2)}` : '';
+        log(`  Spend: $${spend.today.toFixed(2)}${cap(budgets.dailyUsd)} today, $${spend.month.toFixed(2)}${cap(budgets.monthlyUsd)} this month`);
+        const paused = budgetPause();
+        if (paused) log(`  💸 Paid pipelines paused — ${paused}`);
         break;
       }
       case 'cancel': {
-        const processing = db.getProcessingItem();
-        if (!processing) { log('⚠️ Nothing is currently processing'); process.exit(0); }
-        // Kill the pipeline child process
-        let killed = false;
-        try {
-          const pid = parseInt(fs.readFileSync(PID_FILE, 'utf8').trim(), 10);
-          if (!isNaN(pid)) {
-            // Kill the process group (negative PID) to get all children
-            process.kill(pid, 'SIGTERM');
-            killed = true;
-            try { fs.unlinkSync(PID_FILE); } catch {}
-          }
-        } catch {}
-        // Move processing item to failed
-        db.failItem(processing.issue_number, { error: 'Cancelled by user' });
-        db.generateCacheFile();
-        releaseLock();
-        log(`🛑 Cancelled issue #${processing.issue_number}: ${processing.title}${killed ? ' (process killed)' : ''}`);
+        const processing = db.getProcessingItems();
+        if (processing.length === 0) { log('⚠️ Nothing is currently processing'); process.exit(0); }
+        const ref = process.argv[3] ? parseItemRef(process.argv[3]) : null;
+        if (process.argv[3] && !ref) { log('❌ Usage: node queue-worker.js cancel [[owner/repo#]issueNumber]'); process.exit(1); }
+        const target = ref
+          ? resolveItem(ref, ['processing'])
+          : (processing.length === 1 ? processing[0] : null);
+        if (!target) {
+          log(ref
+            ? `⚠️ Issue ${process.argv[3]} is not currently processing`
+            : `⚠️ ${processing.length} items are processing — specify one: cancel <[owner/repo#]issueNumber>`);
+          process.exit(1);
+        }
+        await cancelItem(target);
         break;
       }
       case 'add-issue': {
-        const issueNum = parseInt(process.argv[3]);
-        if (!issueNum) { log('❌ Usage: node queue-worker.js add-issue <issueNumber> [repo]'); process.exit(1); }
-        const existing = db.allIssueNumbers();
-        if (existing.has(issueNum)) { log(`⚠️ Issue #${issueNum} is already tracked`); process.exit(0); }
-        const { execSync: execS } = require('child_process');
-        const REPO = process.argv[4] || 'epiphanyapps/MapYourHealth';
+        // A bare number defaults to the first watched repo
+        const ref = parseItemRef(process.argv[3], process.argv[4] || (watchedRepos(config)[0] || {}).name);
+        if (!ref || !ref.repo || ref.subtask || db.isLocalIssue(ref.issueNumber)) {
+          log('❌ Usage: node queue-worker.js add-issue <owner/repo#issueNumber | issueNumber [repo]>');
+          process.exit(1);
+        }
+        const { repo: REPO, issueNumber: issueNum } = ref;
+        if (db.getItem(REPO, issueNum)) { log(`⚠️ Issue ${REPO}#${issueNum} is already tracked`); process.exit(0); }
         try {
-          const raw = execS(`gh issue view ${issueNum} --repo ${REPO} --json number,title,body,labels,createdAt`, { encoding: 'utf8' });
-          const issue = JSON.parse(raw);
-          const labelNames = (issue.labels || []).map(l => typeof l === 'string' ? l : l.name || '');
-          db.enqueue({
-            issue_number: issue.number,
-            repo: REPO,
-            title: issue.title,
-            body: issue.body || '',
-            labels: labelNames,
-            priority: 'medium',
-            url: `https://github.com/${REPO}/issues/${issue.number}`
-          });
+          const issue = await github.getIssue(REPO, issueNum);
+          enqueueIssue(REPO, issue);
           db.generateCacheFile();
-          log(`✅ Added issue #${issueNum} to queue: ${issue.title}`);
+          log(`✅ Added issue ${REPO}#${issueNum} to queue: ${issue.title}`);
         } catch (err) {
-          log(`❌ Failed to fetch issue #${issueNum}: ${err.message}`);
+          log(`❌ Failed to fetch issue ${REPO}#${issueNum}: ${err.message}`);
           process.exit(1);
         }
         break;
       }
+      case 'audit': {
+        const entries = db.getAuditLog({ limit: parseInt(process.argv[3], 10) || 20 });
+        log(`🔏 Last ${entries.length} audited action(s):`);
+        for (const e of entries) {
+          const who = e.role ? `${e.actor} (${e.role})` : e.actor;
+          log(`  ${e.created_at}  ${who} via ${e.source}: ${e.action}${e.target ? ` ${e.target}` : ''} — ${e.outcome || 'running'}`);
+        }
+        break;
+      }
       default:
         log('Usage: node queue-worker.js <action>');
-        log('Actions: process | watch [intervalMs] | load-github | add-issue <num> | add-demo | cleanup | status | check-prs | remove <issueNumber> | retry <issueNumber> | clear-all | clear-history');
+        log('Actions: process | watch [intervalMs] | load-github | add-issue <ref> [repo] | add-demo | cleanup | status | set-priority <ref> <level> | reorder [ref...] | run-now <ref> | check-prs | check-dependencies | check-clarifications | poll-commands | remove <ref> | retry <ref> | cancel [ref] | clear-all | clear-history | gc [--dry-run] | export-run <runId> [out] | import-run <bundle> | audit [n]');
+        log('  <ref> is owner/repo#123, or a bare 123 when only one repo has that issue number; 123.2 is step 2 of a planned #123');
     }
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -879,6 +1405,12 @@ async function main() {
   }
 }
 
+// Queue operations shared with scripts/webhook.js and scripts/commands.js
+// (assigned before main() runs so commands can use them during a CLI invocation)
+module.exports = {
+  loadConfig, log, formatRef, enqueueIssue, updateDependencies, retryItem, cancelItem, reportStatus, checkForAnswer
+};
+
 if (require.main === module) {
   main();
 }
@@ -0,0 +1,37 @@
+// Watched repos from routing.config.json `repos`
+// Each entry may set `watch: false` (keep its setup config but don't load issues),
+// `includeLabels` / `excludeLabels` (patterns, `*` wildcard, case-insensitive) and
+// `maxIssues` (cap on open issues fetched per load, default 500).
+
+const DEFAULT_MAX_ISSUES = 500;
+
+function watchedRepos(config) {
+  return Object.entries(config.repos || {})
+    .filter(([, repoCfg]) => repoCfg.watch !== false)
+    .map(([name, repoCfg]) => ({
+      name,
+      includeLabels: repoCfg.includeLabels || [],
+      excludeLabels: repoCfg.excludeLabels || [],
+      maxIssues: repoCfg.maxIssues || DEFAULT_MAX_ISSUES
+    }));
+}
+
+function labelPattern(pattern) {
+  const escaped = pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesAny(labels, patterns) {
+  const regexes = patterns.map(labelPattern);
+  return labels.some(label => regexes.some(re => re.test(label.toLowerCase())));
+}
+
+// Include filter: at least one label must match (no filter = everything);
+// exclude filter: any matching label drops the issue
+function acceptsLabels(repo, labels) {
+  if (repo.includeLabels.length > 0 && !matchesAny(labels, repo.includeLabels)) return false;
+  if (repo.excludeLabels.length > 0 && matchesAny(labels, repo.excludeLabels)) return false;
+  return true;
+}
+
+module.exports = { watchedRepos, acceptsLabels };
@@ -0,0 +1,145 @@
+// Artifact retention. `gc` applies routing.config.json `retention` to artifacts/ — keep the
+// newest `keepRuns` run folders per issue, delete recordings older than `recordingMaxAgeDays`,
+// leave merged items alone — deleting each file together with its row in the artifacts table.
+// A deleted recording takes its thumbnails with it. `watch` runs it on its own once free disk
+// drops below `minFreeGB`.
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const db = require('./db');
+const artifacts = require('./artifacts');
+const thumbnails = require('./thumbnails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KB_PER_GB = 1048576;
+
+// `null` for keepRuns / recordingMaxAgeDays keeps everything
+function settings(config) {
+  const cfg = config.retention || {};
+  return {
+    keepRuns: cfg.keepRuns === undefined ? 5 : cfg.keepRuns,
+    recordingMaxAgeDays: cfg.recordingMaxAgeDays === undefined ? 14 : cfg.recordingMaxAgeDays,
+    keepMerged: cfg.keepMerged !== false,
+    minFreeGB: cfg.minFreeGB || 5
+  };
+}
+
+// Free space on the disk holding artifacts/, in KB
+function freeDiskKB() {
+  const dir = fs.existsSync(artifacts.ROOT) ? artifacts.ROOT : path.dirname(artifacts.ROOT);
+  const lines = execSync(`df -Pk "${dir}"`, { encoding: 'utf8', timeout: 5000 }).trim().split('\n');
+  return parseInt(lines[lines.length - 1].split(/\s+/)[3], 10);
+}
+
+function diskLow(config, freeKB) {
+  return freeKB < settings(config).minFreeGB * KB_PER_GB;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) { value /= 1024; unit++; }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function sizeOf(target) {
+  const stat = fs.lstatSync(target);
+  if (!stat.isDirectory()) return stat.size;
+  return fs.readdirSync(target).reduce((sum, entry) => sum + sizeOf(path.join(target, entry)), 0);
+}
+
+function emptyReport(dryRun) {
+  return { dryRun, runs: 0, recordings: 0, rows: 0, bytes: 0, kept: 0, legacy: 0 };
+}
+
+// Delete a file or folder and its artifacts rows (with dryRun, only count it)
+function remove(target, report) {
+  report.bytes += sizeOf(target);
+  report.rows += db.deleteArtifacts(target, { dryRun: report.dryRun });
+  if (!report.dryRun) fs.rmSync(target, { recursive: true, force: true });
+}
+
+function removeRun(run, report) {
+  remove(run.dir, report);
+  report.runs++;
+  if (!report.dryRun) db.updateRun(run.runId, { artifacts_path: null });
+}
+
+// The issue folder goes once its last run has
+function removeIfEmpty(dir, report) {
+  if (!report.dryRun && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+// Rows left behind by files deleted some other way, or by runs that no longer exist
+function pruneRows(report) {
+  report.rows += db.pruneArtifacts(file => fs.existsSync(file), { dryRun: report.dryRun });
+}
+
+// Apply the retention rules to every issue folder. Merged items (unless keepMerged is off) and
+// items being processed are skipped; folders in the old layout are only counted.
+function collectGarbage(config, { dryRun = false } = {}) {
+  const cfg = settings(config);
+  const report = emptyReport(dryRun);
+  const untouchable = [...db.getProcessingItems(), ...(cfg.keepMerged ? db.getItemsByStatus('merged', -1) : [])];
+  const keep = new Set(untouchable.map(item => artifacts.issueDir(item.repo, item.issue_number)));
+  const cutoff = cfg.recordingMaxAgeDays == null ? null : Date.now() - cfg.recordingMaxAgeDays * DAY_MS;
+
+  for (const folder of artifacts.issueFolders()) {
+    if (keep.has(folder.dir)) {
+      report.kept++;
+      continue;
+    }
+    artifacts.runFolders(folder.dir).forEach((run, i) => {
+      if (cfg.keepRuns != null && i >= cfg.keepRuns) {
+        removeRun(run, report);
+        return;
+      }
+      if (cutoff == null) return;
+      for (const file of fs.readdirSync(run.dir).filter(f => f.endsWith('.mp4'))) {
+        const filePath = path.join(run.dir, file);
+        if (fs.statSync(filePath).mtimeMs >= cutoff) continue;
+        remove(filePath, report);
+        const thumbs = thumbnails.thumbsDir(filePath);
+        if (fs.existsSync(thumbs)) {
+          remove(thumbs, report);
+          removeIfEmpty(path.dirname(thumbs), report);
+        }
+        report.recordings++;
+      }
+    });
+    removeIfEmpty(folder.dir, report);
+  }
+  pruneRows(report);
+  report.legacy = artifacts.legacyFolders().length;
+  return report;
+}
+
+// Everything recorded for these items (clear-history), except merged items' while keepMerged is on
+function removeItemArtifacts(config, items) {
+  const cfg = settings(config);
+  const report = emptyReport(false);
+  for (const item of items) {
+    if (cfg.keepMerged && item.status === 'merged') {
+      report.kept++;
+      continue;
+    }
+    const dir = artifacts.issueDir(item.repo, item.issue_number);
+    for (const run of artifacts.runFolders(dir)) removeRun(run, report);
+    removeIfEmpty(dir, report);
+  }
+  pruneRows(report);
+  return report;
+}
+
+function describe(report) {
+  const parts = [
+    `${report.runs} run folder${report.runs === 1 ? '' : 's'}`,
+    `${report.recordings} recording${report.recordings === 1 ? '' : 's'}`,
+    `${report.rows} artifact row${report.rows === 1 ? '' : 's'}`
+  ];
+  return `${report.dryRun ? 'Would delete' : 'Deleted'} ${parts.join(', ')} — ${formatBytes(report.bytes)} ${report.dryRun ? 'to reclaim' : 'reclaimed'}`;
+}
+
+module.exports = { settings, freeDiskKB, diskLow, formatBytes, collectGarbage, removeItemArtifacts, describe, KB_PER_GB };
@@ -0,0 +1,27 @@
+// Retry policy from routing.config.json
+// Pipelines declare `maxRetries` and `retryOn` (error classes); the delay before each
+// retry grows exponentially per `retryBackoff` (pipeline-level, else defaults).
+
+const DEFAULT_BACKOFF = { baseSeconds: 60, factor: 4, maxSeconds: 3600 };
+
+function getRetryPolicy(config, type) {
+  const defaults = config.defaults || {};
+  const pipelineCfg = (config.pipelines || {})[type] || {};
+  const maxRetries = pipelineCfg.maxRetries ?? defaults.maxRetries ?? 0;
+  const retryOn = pipelineCfg.retryOn || defaults.retryOn || ['infra'];
+  const backoff = { ...DEFAULT_BACKOFF, ...(defaults.retryBackoff || {}), ...(pipelineCfg.retryBackoff || {}) };
+  return { maxRetries, retryOn, backoff };
+}
+
+// retryCount = retries already used for this item
+function shouldRetry(policy, errorClass, retryCount) {
+  return policy.retryOn.includes(errorClass) && retryCount < policy.maxRetries;
+}
+
+// Delay before retry number retryCount + 1
+function backoffSeconds(policy, retryCount) {
+  const { baseSeconds, factor, maxSeconds } = policy.backoff;
+  return Math.min(maxSeconds, Math.round(baseSeconds * Math.pow(factor, retryCount)));
+}
+
+module.exports = { getRetryPolicy, shouldRetry, backoffSeconds };
@@ -0,0 +1,15 @@
+// Label routing from routing.config.json: which pipeline an item runs. Shared by the worker and
+// the dashboard's queue view so both name the same pipeline.
+
+// `item.labels` is the parsed label list (names or GitHub label objects)
+function detectIssueType(config, item) {
+  // Set with `/ai pipeline <name>`
+  if (item.pipeline && config.pipelines[item.pipeline]) return item.pipeline;
+  const labels = item.labels.map(l => (typeof l === 'string' ? l : l.name || '').toLowerCase());
+  for (const label of labels) {
+    if (config.routing[label]) return config.routing[label];
+  }
+  return config.routing['*'] || config.defaults.pipeline;
+}
+
+module.exports = { detectIssueType };
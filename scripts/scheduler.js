@@ -0,0 +1,68 @@
+// Resource-aware lane scheduling
+// Each pipeline declares the `resources` it needs in routing.config.json. An item may
+// start only when every one of those resources has a free slot; slot counts come from
+// the top-level `resources` section (1 slot per resource if not listed). A processing item
+// that fell back to a provider listed in `resources` also holds that provider's slot.
+
+// Counting semaphore per named resource
+function createResourcePool(capacities = {}) {
+  const held = {};
+
+  function capacity(name) {
+    const cap = capacities[name];
+    if (typeof cap === 'number') return cap;
+    if (cap && typeof cap.slots === 'number') return cap.slots;
+    return 1;
+  }
+
+  return {
+    capacity,
+    canAcquire(resources) {
+      return resources.every(r => (held[r] || 0) < capacity(r));
+    },
+    acquire(resources) {
+      for (const r of resources) held[r] = (held[r] || 0) + 1;
+    },
+    release(resources) {
+      for (const r of resources) held[r] = Math.max(0, (held[r] || 0) - 1);
+    },
+    snapshot() {
+      const names = new Set([...Object.keys(capacities), ...Object.keys(held)]);
+      const out = {};
+      for (const name of names) out[name] = { used: held[name] || 0, slots: capacity(name) };
+      return out;
+    },
+  };
+}
+
+// detectType(item) maps a queue row to its pipeline name
+function createScheduler(config, detectType) {
+  const capacities = config.resources || {};
+  const maxConcurrent = (config.defaults && config.defaults.maxConcurrent) || Infinity;
+
+  // The pipeline's declared resources, plus the resource of the provider the item is running
+  // on (queue_items.active_provider) while it processes
+  function resourcesFor(item) {
+    const pipelineCfg = config.pipelines[detectType(item)] || {};
+    const declared = Array.isArray(pipelineCfg.resources) ? pipelineCfg.resources : [];
+    const active = item.status === 'processing' ? item.active_provider : null;
+    return active && capacities[active] && !declared.includes(active) ? [...declared, active] : declared;
+  }
+
+  // Pool with a slot taken for every item that is already processing
+  function poolFor(processingItems) {
+    const pool = createResourcePool(capacities);
+    for (const p of processingItems) pool.acquire(resourcesFor(p));
+    return pool;
+  }
+
+  // Signature matches the db.dequeueNext() filter
+  function canRun(item, processingItems) {
+    if (processingItems.length >= maxConcurrent) return false;
+    return poolFor(processingItems).canAcquire(resourcesFor(item));
+  }
+
+  return { resourcesFor, poolFor, canRun, maxConcurrent };
+}
+
+module.exports = { createResourcePool, createScheduler };
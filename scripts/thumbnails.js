@@ -0,0 +1,107 @@
+// Recording thumbnails: a poster frame and a timeline of evenly spaced frames for each screen
+// recording, written next to it as thumbs/<recording>/poster.jpg and frame-<ms>.jpg (<ms> is the
+// frame's offset into the video, so the dashboard can seek to it). Made with ffmpeg/ffprobe
+// after each run; without ffmpeg on PATH recordings simply have none. To backfill:
+//
+//   node scripts/thumbnails.js [dir]     (default: all of artifacts/)
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const artifacts = require('./artifacts');
+
+const execFileAsync = promisify(execFile);
+
+const RECORDING = /\.(mp4|webm|mov)$/i;
+const TIMELINE_FRAMES = 8;
+const POSTER_WIDTH = 480;
+const FRAME_WIDTH = 160;
+const FFMPEG_TIMEOUT_MS = 60000;
+
+function thumbsDir(videoPath) {
+  return path.join(path.dirname(videoPath), 'thumbs', path.basename(videoPath, path.extname(videoPath)));
+}
+
+async function ffmpegAvailable() {
+  try {
+    await execFileAsync('ffmpeg', ['-version'], { timeout: 10000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function durationSeconds(videoPath) {
+  const { stdout } = await execFileAsync('ffprobe', [
+    '-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', videoPath
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+  const seconds = parseFloat(stdout);
+  if (!(seconds > 0)) throw new Error(`ffprobe found no duration in ${path.basename(videoPath)}`);
+  return seconds;
+}
+
+async function grabFrame(videoPath, seconds, width, out) {
+  await execFileAsync('ffmpeg', [
+    '-v', 'error', '-y', '-ss', seconds.toFixed(3), '-i', videoPath, '-frames:v', '1', '-vf', `scale=${width}:-2`, out
+  ], { timeout: FFMPEG_TIMEOUT_MS });
+}
+
+// Poster + timeline for one recording. Built in a temp folder and renamed into place, so a
+// half-finished set is never served. Returns the folder, or null when it already existed.
+async function generateThumbnails(videoPath, { force = false } = {}) {
+  const dir = thumbsDir(videoPath);
+  if (!force && fs.existsSync(path.join(dir, 'poster.jpg'))) return null;
+  const seconds = await durationSeconds(videoPath);
+  const tmp = `${dir}.tmp`;
+  fs.rmSync(tmp, { recursive: true, force: true });
+  fs.mkdirSync(tmp, { recursive: true });
+  try {
+    await grabFrame(videoPath, Math.min(1, seconds / 2), POSTER_WIDTH, path.join(tmp, 'poster.jpg'));
+    for (let i = 0; i < TIMELINE_FRAMES; i++) {
+      const at = (seconds * (i + 0.5)) / TIMELINE_FRAMES;
+      await grabFrame(videoPath, at, FRAME_WIDTH, path.join(tmp, `frame-${String(Math.round(at * 1000)).padStart(7, '0')}.jpg`));
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tmp, dir);
+  } catch (e) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw e;
+  }
+  return dir;
+}
+
+// Recordings under `dir` (thumbs/ folders skipped)
+function findRecordings(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'thumbs' ? [] : findRecordings(full);
+    return RECORDING.test(entry.name) ? [full] : [];
+  });
+}
+
+module.exports = { RECORDING, thumbsDir, ffmpegAvailable, generateThumbnails, findRecordings };
+
+// CLI: node scripts/thumbnails.js [dir]
+if (require.main === module) {
+  (async () => {
+    if (!(await ffmpegAvailable())) {
+      console.error('❌ ffmpeg not found on PATH');
+      process.exit(1);
+    }
+    const root = path.resolve(process.argv[2] || artifacts.ROOT);
+    let made = 0;
+    for (const recording of findRecordings(root)) {
+      try {
+        if (await generateThumbnails(recording)) {
+          made++;
+          console.log(`🖼️ ${path.relative(process.cwd(), recording)}`);
+        }
+      } catch (e) {
+        console.error(`⚠️ ${path.relative(process.cwd(), recording)}: ${e.message}`);
+      }
+    }
+    console.log(`✅ Thumbnails made for ${made} recording(s)`);
+  })();
+}
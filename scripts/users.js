@@ -0,0 +1,128 @@
+// Dashboard accounts for password sign-in. lib/auth.ts reads the same file: routing.config.json
+// `auth.usersFile`, users.json by default (kept out of git). Passwords are stored as scrypt hashes.
+//
+//   node scripts/users.js add <username> <viewer|operator|admin>   (asks for the password)
+//   node scripts/users.js passwd <username>
+//   node scripts/users.js role <username> <viewer|operator|admin>
+//   node scripts/users.js remove <username>
+//   node scripts/users.js list
+//
+// The password is read from stdin, so `echo "$PW" | node scripts/users.js add ci operator` works too.
+// Role changes and removals apply to signed-in users on their next request.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const ROOT = path.join(__dirname, '..');
+const ROLES = ['viewer', 'operator', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+
+function usersFile() {
+  let config = {};
+  try { config = JSON.parse(fs.readFileSync(path.join(ROOT, 'routing.config.json'), 'utf8')); } catch (e) {}
+  return path.join(ROOT, (config.auth || {}).usersFile || 'users.json');
+}
+
+function readUsers(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8')).users || [];
+}
+
+// Written whole and renamed into place, readable by the owner only
+function writeUsers(file, users) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// `scrypt$<salt>$<hash>`, checked by passwordMatches() in lib/auth.ts
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('base64')}$${crypto.scryptSync(password, salt, 64).toString('base64')}`;
+}
+
+// One line from stdin; not echoed when typed at a terminal
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !!process.stdin.isTTY });
+    if (process.stdin.isTTY) {
+      process.stdout.write(prompt);
+      rl._writeToOutput = () => {};
+    }
+    let answer = '';
+    rl.once('line', (line) => { answer = line; rl.close(); });
+    rl.once('close', () => {
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function newPassword(username) {
+  const password = await readPassword(`Password for ${username}: `);
+  if (password.length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  return hashPassword(password);
+}
+
+function findUser(users, username) {
+  const user = users.find(u => u.username === username);
+  if (!user) throw new Error(`No user ${username}`);
+  return user;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  const file = usersFile();
+  const users = readUsers(file);
+
+  switch (command) {
+    case 'add': {
+      if (!username || !/^[\w.@-]+$/.test(username)) throw new Error('Usage: node scripts/users.js add <username> <role>');
+      checkRole(role);
+      if (users.some(u => u.username === username)) throw new Error(`${username} already exists — use passwd or role`);
+      users.push({ username, role, password: await newPassword(username) });
+      writeUsers(file, users);
+      console.log(`✅ Added ${username} (${role}) to ${path.relative(process.cwd(), file)}`);
+      break;
+    }
+    case 'passwd': {
+      const user = findUser(users, username);
+      user.password = await newPassword(username);
+      writeUsers(file, users);
+      console.log(`🔑 Password changed for ${username}`);
+      break;
+    }
+    case 'role': {
+      const user = findUser(users, username);
+      checkRole(role);
+      user.role = role;
+      writeUsers(file, users);
+      console.log(`✅ ${username} is now ${role}`);
+      break;
+    }
+    case 'remove': {
+      findUser(users, username);
+      writeUsers(file, users.filter(u => u.username !== username));
+      console.log(`🗑️ Removed ${username}`);
+      break;
+    }
+    case 'list':
+      if (users.length === 0) console.log(`No users in ${path.relative(process.cwd(), file)}`);
+      for (const u of users) console.log(`  ${u.username.padEnd(20)} ${u.role}`);
+      break;
+    default:
+      console.log('Usage: node scripts/users.js <add <username> <role> | passwd <username> | role <username> <role> | remove <username> | list>');
+      console.log(`  roles: ${ROLES.join(', ')}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+// GitHub webhook handling — called by app/api/webhooks/github once the signature checks out.
+// Events are applied to the queue with the same operations the worker CLI uses.
+//
+//   node scripts/webhook.js handle <event> [payload.json]   (payload on stdin when no file)
+//   node scripts/webhook.js send <fixture.json> [url]       (sign a fixture and POST it to the route)
+//
+// Fixtures live in scripts/fixtures/webhooks/ and are named <event>.<action>[.variant].json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const worker = require('./queue-worker');
+const commands = require('./commands');
+const issueStatus = require('./issue-status');
+const { watchedRepos, acceptsLabels } = require('./repos');
+const { priorityFor } = require('./priority');
+
+const DEFAULT_URL = 'http://localhost:3001/api/webhooks/github';
+
+// Labels that ask for AI work when added to an issue
+const TRIGGER_LABEL = /^ai:/i;
+
+const labelNames = (labels) => (labels || []).map(l => typeof l === 'string' ? l : l.name || '');
+
+function onIssueLabeled(config, payload) {
+  const repoName = payload.repository.full_name;
+  const issue = payload.issue;
+  const added = (payload.label && payload.label.name) || '';
+  if (issueStatus.statusLabels(config).includes(added.toLowerCase())) return { result: 'ignored', reason: `${added} is a status label` };
+
+  const repo = watchedRepos(config).find(r => r.name.toLowerCase() === repoName.toLowerCase());
+  if (!repo) return { result: 'ignored', reason: `${repoName} is not a watched repo` };
+
+  const labels = labelNames(issue.labels);
+  if (db.getItem(repo.name, issue.number)) {
+    // A queued item is routed and prioritised by its labels, so pick up e.g. a switch to ai:test or a new p0
+    const updated = db.setItemLabels(repo.name, issue.number, labels, { rulePriority: priorityFor(config, labels) });
+    if (updated) db.generateCacheFile();
+    return { result: updated ? 'labels-updated' : 'already-tracked' };
+  }
+  if (!TRIGGER_LABEL.test(added)) return { result: 'ignored', reason: `label ${added} is not an ai:* label` };
+  if (!acceptsLabels(repo, labels)) return { result: 'ignored', reason: 'filtered out by the repo\'s label filters' };
+
+  worker.enqueueIssue(repo.name, issue);
+  db.generateCacheFile();
+  worker.log(`📥 Webhook: queued ${repo.name}#${issue.number} (labeled ${added})`);
+  return { result: 'enqueued' };
+}
+
+function onIssueClosed(payload) {
+  const repoName = payload.repository.full_name;
+  // Items that depend on this issue can go now, whether or not it is tracked itself
+  const unblocked = db.resolveDependency(repoName, payload.issue.number);
+  if (unblocked) worker.log(`🔓 Webhook: ${repoName}#${payload.issue.number} closed — ${unblocked} item(s) no longer wait on it`);
+
+  const item = db.getItem(repoName, payload.issue.number);
+  let outcome;
+  if (!item) outcome = { result: 'ignored', reason: 'not tracked' };
+  else if (item.status !== 'queued') outcome = { result: 'ignored', reason: `item is ${item.status}` };
+  else {
+    db.removeItem(item.repo, item.issue_number);
+    worker.log(`🗑️ Webhook: issue ${worker.formatRef(item)} closed — removed from queue`);
+    outcome = { result: 'removed' };
+  }
+  if (unblocked || outcome.result === 'removed') db.generateCacheFile();
+  return unblocked ? { ...outcome, unblocked } : outcome;
+}
+
+// An edited body may add or drop "depends on #12" references
+function onIssueEdited(payload) {
+  const item = db.getItem(payload.repository.full_name, payload.issue.number);
+  if (!item) return { result: 'ignored', reason: 'not tracked' };
+  if (item.status !== 'queued') return { result: 'ignored', reason: `item is ${item.status}` };
+  const deps = worker.updateDependencies(item.repo, payload.issue);
+  db.generateCacheFile();
+  return { result: 'dependencies-updated', dependencies: deps.length };
+}
+
+// Same outcomes checkPRs() reaches by polling `gh pr view`
+async function onPullRequestClosed(payload) {
+  const pr = payload.pull_request;
+  const item = db.findItemByPR(payload.repository.full_name, pr.number);
+  if (!item) return { result: 'ignored', reason: `PR #${pr.number} is not tracked` };
+  if (item.status !== 'pr_open') return { result: 'ignored', reason: `item is ${item.status}` };
+
+  if (pr.merged) {
+    db.mergeItem(item.repo, item.issue_number);
+    worker.log(`🎉 Webhook: PR #${pr.number} merged → issue ${worker.formatRef(item)} marked as merged`);
+  } else {
+    db.failItem(item.repo, item.issue_number, { error: 'PR was closed without merging', errorClass: 'review' });
+    worker.log(`❌ Webhook: PR #${pr.number} closed → issue ${worker.formatRef(item)} marked as failed`);
+  }
+  db.generateCacheFile();
+  await worker.reportStatus(item);
+  return { result: pr.merged ? 'merged' : 'failed' };
+}
+
+// `/ai` commands are shared with the comment poller (scripts/commands.js); any other
+// comment may be the answer an item in needs-input is waiting for
+async function onIssueComment(config, payload) {
+  if (payload.issue.pull_request) return { result: 'ignored', reason: 'comment is on a pull request' };
+  const repo = payload.repository.full_name;
+  const outcome = await commands.handleComment(config, {
+    commentId: payload.comment.id,
+    repo,
+    issueNumber: payload.issue.number,
+    issue: payload.issue,
+    author: payload.comment.user.login,
+    body: payload.comment.body
+  });
+  if (outcome.result === 'commands') return outcome;
+
+  const item = db.getItem(repo, payload.issue.number);
+  if (item && item.status === 'needs-input' &&
+      await worker.checkForAnswer(item, { issue: payload.issue, comments: [payload.comment] })) {
+    return { result: 'answered' };
+  }
+  return outcome;
+}
+
+async function handleEvent(event, payload) {
+  const config = worker.loadConfig();
+  const action = payload.action;
+  if (!payload.repository) return { event, action, result: 'ignored', reason: 'no repository in payload' };
+
+  let outcome;
+  if (event === 'issues' && action === 'labeled') outcome = onIssueLabeled(config, payload);
+  else if (event === 'issues' && action === 'closed') outcome = onIssueClosed(payload);
+  else if (event === 'issues' && action === 'edited') outcome = onIssueEdited(payload);
+  else if (event === 'pull_request' && action === 'closed') outcome = await onPullRequestClosed(payload);
+  else if (event === 'issue_comment' && action === 'created') outcome = await onIssueComment(config, payload);
+  else outcome = { result: 'ignored', reason: 'event not handled' };
+
+  return { event, action, repo: payload.repository.full_name, ...outcome };
+}
+
+// X-Hub-Signature-256 value for a raw body, as GitHub computes it
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// `issues.labeled.json` → `issues`
+function eventFromFixture(file) {
+  return path.basename(file).split('.')[0];
+}
+
+async function send(file, url) {
+  const axios = require('axios');
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) throw new Error('GITHUB_WEBHOOK_SECRET not set in environment');
+  const body = fs.readFileSync(file);
+  const res = await axios.post(url, body, {
+    headers: {
+      'content-type': 'application/json',
+      'x-github-event': eventFromFixture(file),
+      'x-github-delivery': crypto.randomUUID(),
+      'x-hub-signature-256': sign(secret, body)
+    },
+    validateStatus: () => true
+  });
+  return { status: res.status, body: res.data };
+}
+
+async function main() {
+  const [command, arg, extra] = process.argv.slice(2);
+  switch (command) {
+    case 'handle': {
+      if (!arg) throw new Error('Usage: node scripts/webhook.js handle <event> [payload.json]');
+      db.initDB();
+      const payload = JSON.parse(fs.readFileSync(extra || 0, 'utf8'));
+      console.log(JSON.stringify(await handleEvent(arg, payload)));
+      break;
+    }
+    case 'send':
+      if (!arg) throw new Error('Usage: node scripts/webhook.js send <fixture.json> [url]');
+      console.log(JSON.stringify(await send(arg, extra || DEFAULT_URL)));
+      break;
+    default:
+      console.error('Usage: node scripts/webhook.js <handle <event> [payload.json] | send <fixture.json> [url]>');
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { handleEvent, sign };
@@ -0,0 +1,170 @@
+// Processing windows from routing.config.json. A pipeline (or `defaults`, for every pipeline
+// without its own) may list `windows` — times it is allowed to start items — and `quietHours`
+// — times it must not. Each entry is either a daily range with optional days, e.g.
+// "22:00-06:00" or "mon-fri 09:00-17:00" (end exclusive, may wrap past midnight), or a
+// five-field cron expression ("minute hour day-of-month month day-of-week") matching every
+// minute that counts, e.g. "* 22-23,0-5 * * *". Times are in `defaults.timezone` (an IANA
+// name), else the worker's local time. An invalid entry never matches.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SEARCH_MINUTES = 8 * 24 * 60; // how far ahead nextOpen() looks
+const RANGE = /^(?:([a-z,-]+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i;
+
+const cache = new Map();
+
+function dayNumber(name) {
+  const n = /^\d$/.test(name) ? parseInt(name, 10) % 7 : DAY_NAMES.indexOf(name.toLowerCase().slice(0, 3));
+  if (n === -1) throw new Error(`unknown day ${name}`);
+  return n;
+}
+
+// "mon-fri", "sat,sun" → Set of weekday numbers (0 = Sunday)
+function parseDays(spec) {
+  const days = new Set();
+  for (const part of spec.split(',')) {
+    const [from, to] = part.split('-');
+    const start = dayNumber(from);
+    const end = to === undefined ? start : dayNumber(to);
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) break;
+    }
+  }
+  return days;
+}
+
+function parseRange(match) {
+  const days = match[1] ? parseDays(match[1]) : null;
+  const start = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  const end = parseInt(match[4], 10) * 60 + parseInt(match[5], 10);
+  if (start >= 24 * 60 || end > 24 * 60 || start === end) throw new Error('bad time range');
+  return (t) => {
+    const minute = t.hour * 60 + t.minute;
+    if (start < end) return minute >= start && minute < end && (!days || days.has(t.weekday));
+    // Wraps midnight: the part after midnight belongs to the previous day's window
+    if (minute >= start) return !days || days.has(t.weekday);
+    return minute < end && (!days || days.has((t.weekday + 6) % 7));
+  };
+}
+
+// One cron field → Set of allowed values, or null for `*`
+function parseField(field, min, max, names) {
+  if (field === '*') return null;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    const value = (v) => (names && isNaN(v) ? names(v) : parseInt(v, 10));
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(value);
+    if (to === undefined) to = stepText === undefined ? from : max;
+    if (!(step > 0) || isNaN(from) || isNaN(to) || from < min || to > max || from > to) throw new Error(`bad field ${field}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(spec) {
+  const fields = spec.split(/\s+/);
+  if (fields.length !== 5) throw new Error('expected 5 fields');
+  const [minutes, hours, doms, months, dows] = [
+    parseField(fields[0], 0, 59),
+    parseField(fields[1], 0, 23),
+    parseField(fields[2], 1, 31),
+    parseField(fields[3], 1, 12),
+    parseField(fields[4], 0, 7, dayNumber)
+  ];
+  if (dows && dows.has(7)) dows.add(0);
+  return (t) => {
+    if (minutes && !minutes.has(t.minute)) return false;
+    if (hours && !hours.has(t.hour)) return false;
+    if (months && !months.has(t.month)) return false;
+    // As in cron, a restricted day-of-month and day-of-week match when either does
+    if (doms && dows) return doms.has(t.day) || dows.has(t.weekday);
+    return (!doms || doms.has(t.day)) && (!dows || dows.has(t.weekday));
+  };
+}
+
+// Window entry → matcher over local time parts, or null when the entry is invalid
+function parseWindow(spec) {
+  const text = String(spec || '').trim();
+  if (!cache.has(text)) {
+    let matcher = null;
+    try {
+      const match = text.match(RANGE);
+      matcher = match ? parseRange(match) : parseCron(text);
+    } catch {}
+    cache.set(text, matcher);
+  }
+  return cache.get(text);
+}
+
+function windowsFor(config, pipeline) {
+  const defaults = config.defaults || {};
+  const pipelineCfg = (config.pipelines || {})[pipeline] || {};
+  return {
+    windows: pipelineCfg.windows || defaults.windows || [],
+    quietHours: pipelineCfg.quietHours || defaults.quietHours || []
+  };
+}
+
+// Entries that don't parse, for a warning at startup
+function invalidWindows(config) {
+  const names = ['defaults', ...Object.keys(config.pipelines || {})];
+  const invalid = [];
+  for (const name of names) {
+    const cfg = name === 'defaults' ? (config.defaults || {}) : config.pipelines[name];
+    for (const key of ['windows', 'quietHours']) {
+      for (const spec of cfg[key] || []) {
+        if (!parseWindow(spec)) invalid.push(`${name}.${key}: "${spec}"`);
+      }
+    }
+  }
+  return invalid;
+}
+
+const formatters = new Map();
+
+// { minute, hour, day, month, weekday } of `date` in the configured timezone
+function localParts(config, date) {
+  const timeZone = (config.defaults || {}).timezone;
+  if (!timeZone) {
+    return { minute: date.getMinutes(), hour: date.getHours(), day: date.getDate(), month: date.getMonth() + 1, weekday: date.getDay() };
+  }
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Whether the pipeline may start an item at `date`
+function isOpen(config, pipeline, date = new Date()) {
+  const { windows, quietHours } = windowsFor(config, pipeline);
+  if (windows.length === 0 && quietHours.length === 0) return true;
+  const t = localParts(config, date);
+  const matches = (spec) => { const m = parseWindow(spec); return !!m && m(t); };
+  return (windows.length === 0 || windows.some(matches)) && !quietHours.some(matches);
+}
+
+// Start of the next minute the pipeline is open (now if it already is), or null if that is
+// more than a week away
+function nextOpen(config, pipeline, date = new Date()) {
+  if (isOpen(config, pipeline, date)) return date;
+  const start = Math.floor(date.getTime() / 60000) * 60000;
+  for (let i = 1; i <= SEARCH_MINUTES; i++) {
+    const candidate = new Date(start + i * 60000);
+    if (isOpen(config, pipeline, candidate)) return candidate;
+  }
+  return null;
+}
+
+module.exports = { parseWindow, windowsFor, invalidWindows, isOpen, nextOpen };